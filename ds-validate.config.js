@@ -0,0 +1,81 @@
+'use strict';
+// =============================================================================
+// TOKEN VALIDATOR — PROJECT POLICY
+// FILE: ds-validate.config.js
+//
+// PURPOSE:
+//   Team policies on top of the built-in rules of scripts/validate-tokens.js,
+//   and per-rule severity overrides. Loaded automatically on every run
+//   (npm run prebuild included); pass --config to use another file.
+//
+//   rules        — 'error' | 'warning' | 'off' per rule id (built-in or custom)
+//   customRules  — { id, description, severity, check(context) → findings }
+//
+//   The rule contract (context fields, finding shape) is documented in
+//   scripts/lib/validate-config.js.
+// =============================================================================
+
+/** Component token properties that paint text. */
+const TEXT_PROPERTY = /-(?:text|color)(?:-(?:hover|active|focus|disabled|selected))?$/;
+
+/** Declarations that paint text. */
+const TEXT_DECLARATIONS = ['color', 'caret-color', '-webkit-text-fill-color'];
+
+module.exports = {
+  rules: {},
+
+  customRules: [
+    {
+      id          : 'team/no-surface-for-text',
+      description : 'Text colors never come from --semantic-color-surface-* (surfaces are backgrounds)',
+      severity    : 'error',
+      check({ tokenDefs, declarations }) {
+        const findings = [];
+
+        for (const [name, { refs, line }] of tokenDefs) {
+          if (!name.startsWith('--component-') || !TEXT_PROPERTY.test(name)) continue;
+          if (/-(?:border|focus-ring)-color$/.test(name)) continue;
+          for (const ref of refs.filter(r => r.startsWith('--semantic-color-surface-'))) {
+            findings.push({ message: `Surface color for text: ${name} → ${ref}`, detail: 'use a --semantic-color-text-* token', token: name, line });
+          }
+        }
+
+        for (const { property, refs, line, layer, inRoot } of declarations) {
+          if (inRoot || !TEXT_DECLARATIONS.includes(property)) continue;
+          for (const ref of refs.filter(r => r.startsWith('--semantic-color-surface-'))) {
+            findings.push({ message: `Surface color for text: ${property}: var(${ref})`, detail: 'use a --semantic-color-text-* token', line, layer });
+          }
+        }
+
+        return findings;
+      },
+    },
+    {
+      id          : 'team/z-index-from-base',
+      description : 'Stacking order comes from --base-z-index-* tokens only',
+      severity    : 'error',
+      check({ declarations }) {
+        const findings = [];
+
+        for (const { property, value, refs, line, layer } of declarations) {
+          const isZIndex = property === 'z-index' || (property.startsWith('--') && property.includes('z-index'));
+          if (!isZIndex || property.startsWith('--base-z-index-')) continue;
+
+          // A z-index token referenced here is checked at its own definition
+          const ok = refs.length > 0 && refs.every(ref => ref.startsWith('--base-z-index-') || ref.includes('z-index'));
+          if (!ok) {
+            findings.push({
+              message : `z-index not from the base scale: ${property}: ${value}`,
+              detail  : 'use var(--base-z-index-*)',
+              token   : property.startsWith('--') ? property : null,
+              line,
+              layer,
+            });
+          }
+        }
+
+        return findings;
+      },
+    },
+  ],
+};
@@ -45,7 +45,7 @@ const DS_TOKENS = {
       {
         group: 'Structure',
         tokens: [
-          { component: '--component-button-border-radius',    semantic: null,                                    primitive: '--primitive-radius-md',          type: 'radius',   editable: true  },
+          { component: '--component-button-border-radius',    semantic: '--semantic-radius-interactive',         primitive: '--primitive-radius-md',          type: 'radius',   editable: true  },
           { component: '--component-button-border-width',     semantic: null,                                    primitive: null,                             type: 'spacing',  editable: false },
           { component: '--component-button-letter-spacing',   semantic: '--semantic-letter-spacing-ui',          primitive: '--primitive-letter-spacing-normal', type: 'typography', editable: false },
         ]
@@ -95,7 +95,7 @@ const DS_TOKENS = {
       {
         group: 'Focus ring',
         tokens: [
-          { component: '--component-button-focus-ring-color',  semantic: null, primitive: null,                                    type: 'color',   editable: true  },
+          { component: '--component-button-focus-ring-color',  semantic: '--semantic-color-border-focus', primitive: '--primitive-color-blue-500',            type: 'color',   editable: true  },
           { component: '--component-button-focus-ring-width',  semantic: null, primitive: null,                                    type: 'spacing', editable: false },
           { component: '--component-button-focus-ring-offset', semantic: null, primitive: null,                                    type: 'spacing', editable: false },
         ]
@@ -106,7 +106,7 @@ const DS_TOKENS = {
           { component: '--component-button-sm-font-size',       semantic: '--semantic-font-size-ui-sm',         primitive: '--primitive-font-size-xs',   type: 'typography', editable: true },
           { component: '--component-button-sm-padding-block',   semantic: '--semantic-spacing-component-xs',    primitive: '--primitive-spacing-2',      type: 'spacing',    editable: true },
           { component: '--component-button-sm-padding-inline',  semantic: '--semantic-spacing-component-sm',    primitive: '--primitive-spacing-3',      type: 'spacing',    editable: false },
-          { component: '--component-button-sm-min-height',      semantic: null,                                  primitive: '--primitive-spacing-8',      type: 'spacing',    editable: false },
+          { component: '--component-button-sm-min-height',      semantic: '--semantic-size-control-md',          primitive: '--primitive-spacing-8',      type: 'spacing',    editable: false },
         ]
       },
       {
@@ -115,7 +115,7 @@ const DS_TOKENS = {
           { component: '--component-button-md-font-size',       semantic: '--semantic-font-size-ui-md',         primitive: '--primitive-font-size-sm',   type: 'typography', editable: true },
           { component: '--component-button-md-padding-block',   semantic: '--semantic-spacing-component-sm',    primitive: '--primitive-spacing-3',      type: 'spacing',    editable: true },
           { component: '--component-button-md-padding-inline',  semantic: '--semantic-spacing-component-md',    primitive: '--primitive-spacing-4',      type: 'spacing',    editable: false },
-          { component: '--component-button-md-min-height',      semantic: null,                                  primitive: '--primitive-spacing-10',     type: 'spacing',    editable: false },
+          { component: '--component-button-md-min-height',      semantic: '--semantic-size-control-lg',          primitive: '--primitive-spacing-10',     type: 'spacing',    editable: false },
         ]
       },
       {
@@ -124,7 +124,7 @@ const DS_TOKENS = {
           { component: '--component-button-lg-font-size',       semantic: '--semantic-font-size-ui-lg',         primitive: '--primitive-font-size-md',   type: 'typography', editable: true },
           { component: '--component-button-lg-padding-block',   semantic: '--semantic-spacing-component-md',    primitive: '--primitive-spacing-4',      type: 'spacing',    editable: true },
           { component: '--component-button-lg-padding-inline',  semantic: '--semantic-spacing-component-lg',    primitive: '--primitive-spacing-6',      type: 'spacing',    editable: false },
-          { component: '--component-button-lg-min-height',      semantic: null,                                  primitive: '--primitive-spacing-12',     type: 'spacing',    editable: false },
+          { component: '--component-button-lg-min-height',      semantic: '--semantic-size-control-xl',          primitive: '--primitive-spacing-12',     type: 'spacing',    editable: false },
         ]
       },
     ]
@@ -141,27 +141,27 @@ const DS_TOKENS = {
       {
         group: 'Structure',
         tokens: [
-          { component: '--component-card-border-radius', semantic: null,                                   primitive: '--primitive-radius-lg',           type: 'radius',  editable: true  },
+          { component: '--component-card-border-radius', semantic: '--semantic-radius-card',               primitive: '--primitive-radius-lg',           type: 'radius',  editable: true  },
           { component: '--component-card-border-color',  semantic: '--semantic-color-border-default',      primitive: '--primitive-color-neutral-300',    type: 'color',   editable: true  },
           { component: '--component-card-bg',            semantic: '--semantic-color-surface-base',        primitive: '--primitive-color-neutral-0',      type: 'color',   editable: true  },
-          { component: '--component-card-bg-raised',     semantic: '--semantic-color-surface-raised',      primitive: '--primitive-color-neutral-50',     type: 'color',   editable: false },
-          { component: '--component-card-bg-sunken',     semantic: '--semantic-color-surface-sunken',      primitive: '--primitive-color-neutral-200',    type: 'color',   editable: false },
+          { component: '--component-card-raised-bg',     semantic: '--semantic-color-surface-raised',      primitive: '--primitive-color-neutral-50',     type: 'color',   editable: false },
+          { component: '--component-card-sunken-bg',     semantic: '--semantic-color-surface-sunken',      primitive: '--primitive-color-neutral-200',    type: 'color',   editable: false },
         ]
       },
       {
         group: 'Shadow',
         tokens: [
-          { component: '--component-card-shadow',    semantic: null, primitive: null, type: 'shadow', editable: false },
-          { component: '--component-card-shadow-sm', semantic: null, primitive: null, type: 'shadow', editable: false },
-          { component: '--component-card-shadow-md', semantic: null, primitive: null, type: 'shadow', editable: false },
-          { component: '--component-card-shadow-lg', semantic: null, primitive: null, type: 'shadow', editable: false },
+          { component: '--component-card-shadow',    semantic: '--semantic-shadow-sm', primitive: null, type: 'shadow', editable: false },
+          { component: '--component-card-shadow-sm', semantic: '--semantic-shadow-sm', primitive: null, type: 'shadow', editable: false },
+          { component: '--component-card-shadow-md', semantic: '--semantic-shadow-md', primitive: null, type: 'shadow', editable: false },
+          { component: '--component-card-shadow-lg', semantic: '--semantic-shadow-lg', primitive: null, type: 'shadow', editable: false },
         ]
       },
       {
         group: 'Header slot',
         tokens: [
           { component: '--component-card-header-title-font-size',   semantic: '--semantic-font-size-heading-sm', primitive: '--primitive-font-size-xl',  type: 'typography', editable: true  },
-          { component: '--component-card-header-title-font-weight', semantic: '--semantic-font-weight-heading',  primitive: null,                        type: 'typography', editable: false },
+          { component: '--component-card-header-title-font-weight', semantic: '--semantic-font-weight-heading',  primitive: '--primitive-font-weight-bold', type: 'typography', editable: false },
           { component: '--component-card-header-title-color',       semantic: '--semantic-color-text-default',   primitive: '--primitive-color-neutral-900', type: 'color', editable: true  },
           { component: '--component-card-header-subtitle-color',    semantic: '--semantic-color-text-subtle',    primitive: '--primitive-color-neutral-600', type: 'color', editable: false },
           { component: '--component-card-header-padding-block',     semantic: '--semantic-spacing-component-md', primitive: '--primitive-spacing-4',    type: 'spacing',    editable: true  },
@@ -186,7 +186,7 @@ const DS_TOKENS = {
       {
         group: 'Focus ring',
         tokens: [
-          { component: '--component-card-focus-ring-color', semantic: null, primitive: null, type: 'color', editable: true },
+          { component: '--component-card-focus-ring-color', semantic: '--semantic-color-border-focus', primitive: '--primitive-color-blue-500', type: 'color', editable: true },
         ]
       },
     ]
@@ -204,8 +204,8 @@ const DS_TOKENS = {
       {
         group: 'Structure',
         tokens: [
-          { component: '--component-badge-border-radius',    semantic: null,                                primitive: '--primitive-radius-full',       type: 'radius',     editable: true  },
-          { component: '--component-badge-font-weight',      semantic: '--semantic-font-weight-label',      primitive: null,                            type: 'typography', editable: false },
+          { component: '--component-badge-border-radius',    semantic: '--semantic-radius-pill',            primitive: '--primitive-radius-full',       type: 'radius',     editable: true  },
+          { component: '--component-badge-font-weight',      semantic: '--semantic-font-weight-label',      primitive: '--primitive-font-weight-semibold', type: 'typography', editable: false },
           { component: '--component-badge-letter-spacing',   semantic: '--semantic-letter-spacing-caps',    primitive: '--primitive-letter-spacing-wider', type: 'typography', editable: false },
         ]
       },
@@ -344,6 +344,8 @@ const BADGE_TOKEN_FLOW = {
 /**
  * DEPRECATED TOKEN EXAMPLE
  * Shows how deprecated tokens are handled across versions.
+ * Docs demo only — the enforced lifecycle lives in tokens.deprecations.json
+ * (aliases: scripts/emit-deprecation-aliases.js, checks: validate-tokens.js rule 16).
  */
 const DEPRECATED_TOKEN_EXAMPLE = {
   tokenName: '--component-button-primary-bg-brand',
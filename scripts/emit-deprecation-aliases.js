@@ -0,0 +1,150 @@
+'use strict';
+// =============================================================================
+// DEPRECATED TOKEN ALIASES
+// FILE: scripts/emit-deprecation-aliases.js
+//
+// PURPOSE:
+//   Keeps deprecated token names resolving during their grace period.
+//   Reads tokens.deprecations.json and writes scss/_deprecated-aliases.scss
+//   with one alias per deprecated token that has not reached removeIn:
+//
+//     @layer components {
+//       :root {
+//         --component-card-bg-raised: var(--component-card-raised-bg);
+//       }
+//     }
+//
+//   Each alias is declared in its tier's home layer (same table as
+//   validate-tokens.js rule 9). Once package.json "version" reaches an
+//   entry's removeIn, the alias is dropped and the old name stops resolving.
+//   Entries without a replacement get no alias.
+//
+//   Runs before validation in `npm run prebuild`, so the build always ships
+//   the aliases matching the current version. The file does not record that
+//   version: a release that retires no alias leaves it unchanged.
+//
+// USAGE:
+//   node scripts/emit-deprecation-aliases.js [--check]
+//
+//   --check   Write nothing; exit 1 when the file is out of date (CI)
+//
+// EXIT CODES:
+//   0 — File written (or up to date with --check)
+//   1 — Registry malformed, or file out of date with --check
+// =============================================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const { isRemoved, loadDeprecations } = require('./lib/deprecations');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const ROOT = path.resolve(__dirname, '..');
+
+const DEPRECATIONS_FILE = path.join(ROOT, 'tokens.deprecations.json');
+const PACKAGE_FILE      = path.join(ROOT, 'package.json');
+const ALIASES_SCSS      = path.join(ROOT, 'scss', '_deprecated-aliases.scss');
+
+/**
+ * Home layer per tier — aliases live where the tier's tokens live.
+ * Vendor / unknown names are never aliased.
+ */
+const HOME_LAYER = {
+  primitive : 'tokens',
+  semantic  : 'tokens',
+  base      : 'base',
+  component : 'components',
+};
+
+const LAYER_ORDER = ['tokens', 'base', 'components'];
+
+// ─── Output constants ─────────────────────────────────────────────────────────
+
+const PASS = '✔';
+const FAIL = '✖';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Home layer of a token, from its tier prefix.
+ * @param {string} name
+ * @returns {string|null}
+ */
+function homeLayer(name) {
+  const m = name.match(/^--(primitive|semantic|base|component)-/);
+  return m ? HOME_LAYER[m[1]] : null;
+}
+
+/**
+ * Render the SCSS partial for the active aliases.
+ *
+ * @param {Array<{ token: string, replacement: string, removeIn: string, reason: string }>} aliases
+ * @returns {string}
+ */
+function renderAliases(aliases) {
+  const lines = [
+    '// =============================================================================',
+    '// DEPRECATED TOKEN ALIASES — GENERATED, DO NOT EDIT',
+    '// FILE: scss/_deprecated-aliases.scss',
+    '//',
+    '// Source:    tokens.deprecations.json',
+    '// Generator: node scripts/emit-deprecation-aliases.js',
+    '//',
+    '// Old names keep resolving to their replacement until removeIn.',
+    '// =============================================================================',
+  ];
+
+  if (aliases.length === 0) {
+    lines.push('', '// No deprecated tokens in their grace period.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const layer of LAYER_ORDER) {
+    const inLayer = aliases.filter(alias => homeLayer(alias.token) === layer);
+    if (inLayer.length === 0) continue;
+
+    lines.push('', `@layer ${layer} {`, '  :root {');
+    for (const { token, replacement, removeIn } of inLayer) {
+      lines.push(`    ${token}: var(${replacement}); // removed in ${removeIn}`);
+    }
+    lines.push('  }', '}');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const check = process.argv.includes('--check');
+
+  let deprecations, version;
+  try {
+    deprecations = loadDeprecations(DEPRECATIONS_FILE);
+    version      = JSON.parse(fs.readFileSync(PACKAGE_FILE, 'utf8')).version;
+  } catch (err) {
+    console.error(`[prebuild] ERROR: Could not load ${path.relative(ROOT, DEPRECATIONS_FILE)}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const aliases = deprecations.filter(entry =>
+    entry.replacement && homeLayer(entry.token) && !isRemoved(entry, version));
+  const content = renderAliases(aliases);
+  const target  = path.relative(ROOT, ALIASES_SCSS);
+  const current = fs.existsSync(ALIASES_SCSS) ? fs.readFileSync(ALIASES_SCSS, 'utf8') : null;
+
+  if (check) {
+    if (current !== content) {
+      console.error(`[prebuild] ${FAIL} ${target} is out of date — run: node scripts/emit-deprecation-aliases.js`);
+      process.exit(1);
+    }
+    console.log(`[prebuild] ${PASS} ${target} is up to date (${aliases.length} alias${aliases.length === 1 ? '' : 'es'})`);
+    return;
+  }
+
+  if (current !== content) fs.writeFileSync(ALIASES_SCSS, content, 'utf8');
+  console.log(`[prebuild] ${PASS} ${aliases.length} deprecated alias${aliases.length === 1 ? '' : 'es'} → ${target}`);
+}
+
+main();
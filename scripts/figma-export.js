@@ -0,0 +1,551 @@
+'use strict';
+// =============================================================================
+// FIGMA TOKEN EXPORT — CSS → FIGMA
+// FILE: scripts/figma-export.js
+//
+// PURPOSE:
+//   The reverse of the Figma sync: reads the compiled CSS and writes its
+//   primitive, semantic and component tokens as a Figma token export, so a
+//   design file can be seeded from (or re-aligned with) what ships.
+//
+//   flat       — { "tokens": [{ "name", "value" }] }, the Phase 11 format
+//   dtcg       — W3C Design Tokens: nested groups of { $value, $type }
+//   variables  — a Figma Variables document in the shape of the REST
+//                response (GET /v1/files/:key/variables/local): one
+//                collection per tier, modes from figma-variables.config.json
+//
+//   Deprecated tokens (tokens.deprecations.json) are left out: their aliases
+//   are code-only and would not survive the round trip — the sync rejects a
+//   component token aliasing another component token.
+//
+//   Names are the inverse of figmaNameToCSSVar():
+//     --primitive-color-blue-600  →  primitive.color.blue.600
+//   A value that is exactly var(--token) of another exported token becomes
+//   the alias {primitive.color.blue.600} (VARIABLE_ALIAS for variables) —
+//   if the sync's tier rules allow it (semantic → primitive, component →
+//   semantic). An alias they reject, such as component → primitive, is
+//   resolved to a literal and counted in the summary, so the export can be
+//   read back without a tier violation.
+//   Any other value containing var() — a fallback, calc(), a shorthand or a
+//   reference to a base / vendor token — has no alias form: it is resolved
+//   in its scope and written as a literal, and counted in the summary.
+//
+// USAGE:
+//   node scripts/figma-export.js [input.css] [--format flat|dtcg|variables]
+//                                [--theme <name>] [--out <file>]
+//   npm run figma-export -- --format variables --out figma-variables.json
+//
+//   input          a compiled build (default: first of CSS_CANDIDATES)
+//   --theme <name> flat / dtcg only: export the values of that theme block
+//                  (e.g. dark) instead of :root. Variables exports always
+//                  carry every theme as a mode.
+//   --out <file>   write the file instead of printing to stdout
+//
+// MODES (variables):
+//   Collections and modes are the ones figma-variables.config.json maps, so
+//   an export reads back through the sync: each tier goes to the collection
+//   with its prefix, and each of that collection's modes is written from the
+//   block its selector names. The :root mode is the default mode.
+//     Primitives  →  Light (:root), Dark ([data-theme="dark"])
+//   A mode must map to :root or to a [data-theme] block of the input. Theme
+//   overrides no mode maps are left out, and counted on stderr.
+//
+// EXIT CODES:
+//   0 — Export written
+//   1 — Bad arguments, unknown theme, input not found, or (variables) a
+//       config with no collection or :root mode for a tier, or a mode
+//       whose block the input does not have
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (fs, path)
+//   - Read-only on the tree unless --out points into it
+//   - Deterministic: same CSS, same export (ids are derived from order)
+// =============================================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const { parse, walkDeclarations } = require('./lib/css-parser');
+const { getTier, getThemeName, parseVarCalls, resolveExpression } = require('./lib/token-graph');
+const { loadDeprecations } = require('./lib/deprecations');
+const { readVariablesConfig } = require('./lib/figma-formats');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CSS_CANDIDATES = [
+  path.join(ROOT, 'dist', 'ds-preview.css'),
+  path.join(ROOT, 'preview', 'css', 'ds-preview.css'),
+];
+
+const DEPRECATIONS_FILE = path.join(ROOT, 'tokens.deprecations.json');
+
+// Figma Variables collection/mode → selector mapping (see scripts/lib/figma-formats.js)
+const FIGMA_VARIABLES_CONFIG = path.join(ROOT, 'figma-variables.config.json');
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+const FORMATS = ['flat', 'dtcg', 'variables'];
+
+/** Exported tiers, in output order — one Figma Variables collection each. */
+const TIERS = ['primitive', 'semantic', 'component'];
+
+/** Tiers a token may alias — FIGMA_ALLOWED_DEPS of the sync scripts. */
+const FIGMA_ALLOWED_DEPS = {
+  primitive : [],
+  semantic  : ['primitive'],
+  component : ['semantic'],
+};
+
+/** Scopes for px values — the importer writes them back with a px unit. */
+const LENGTH_SCOPES = ['WIDTH_HEIGHT', 'GAP', 'CORNER_RADIUS'];
+
+const REM_PX = 16;
+
+// ─── Output constants ─────────────────────────────────────────────────────────
+
+const FAIL = '✖';
+const INFO = '·';
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse CLI arguments.
+ *
+ * @param {string[]} argv  process.argv
+ * @returns {{ input: string|null, format: string, theme: string|null, out: string|null }}
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const opts = {
+    input  : null,
+    format : 'flat',
+    theme  : null,
+    out    : null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format' && args[i + 1])     opts.format = args[++i];
+    else if (a.startsWith('--format='))      opts.format = a.slice('--format='.length);
+    else if (a === '--theme' && args[i + 1]) opts.theme = args[++i];
+    else if (a === '--out' && args[i + 1])   opts.out = path.resolve(process.cwd(), args[++i]);
+    else if (!a.startsWith('--'))            opts.input = path.resolve(process.cwd(), a);
+    else fail(`Unknown option "${a}"`);
+  }
+
+  if (!FORMATS.includes(opts.format)) {
+    fail(`Unknown --format "${opts.format}" — expected one of: ${FORMATS.join(', ')}`);
+  }
+  if (opts.theme && opts.format === 'variables') {
+    fail('--theme does not apply to --format variables — every theme is exported as a mode');
+  }
+
+  return opts;
+}
+
+/**
+ * Print an error and exit 1.
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`${FAIL} ${message}`);
+  process.exit(1);
+}
+
+// ─── Reading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Collect the custom properties of a compiled stylesheet: :root values (a
+ * later definition wins, as in the browser and the sync scripts) and the
+ * overrides of each [data-theme] block.
+ *
+ * @param {string} css
+ * @returns {{ root: Map<string, { value: string }>, themes: Map<string, Map<string, { value: string }>> }}
+ */
+function readCSSTokens(css) {
+  const root   = new Map();
+  const themes = new Map();
+
+  walkDeclarations(parse(css), (decl, ctx) => {
+    if (!decl.property.startsWith('--')) return;
+    if (ctx.inRoot) {
+      root.set(decl.property, { value: decl.value });
+      return;
+    }
+    for (const theme of new Set(ctx.selectors.map(getThemeName).filter(Boolean))) {
+      if (!themes.has(theme)) themes.set(theme, new Map());
+      themes.get(theme).set(decl.property, { value: decl.value });
+    }
+  });
+
+  return { root, themes };
+}
+
+/**
+ * --primitive-color-blue-600 → primitive.color.blue.600 (the inverse of
+ * figmaNameToCSSVar in the sync scripts).
+ * @param {string} cssName
+ * @returns {string}
+ */
+function cssVarToFigmaName(cssName) {
+  return cssName.replace(/^--/, '').replace(/-/g, '.');
+}
+
+/**
+ * The token a value references as a whole: var(--x) exactly, no fallback,
+ * x exported.
+ *
+ * @param {string} value
+ * @param {Set<string>} exported
+ * @returns {string|null}
+ */
+function aliasOf(value, exported) {
+  const calls = parseVarCalls(value.trim());
+  if (calls.length !== 1) return null;
+  const [call] = calls;
+  const whole  = call.start === 0 && call.end === value.trim().length;
+  return whole && call.fallback === null && exported.has(call.name) ? call.name : null;
+}
+
+/**
+ * True when the sync accepts `name` aliasing `target` (FIGMA_ALLOWED_DEPS).
+ * @param {string} name
+ * @param {string} target
+ * @returns {boolean}
+ */
+function aliasAllowed(name, target) {
+  return FIGMA_ALLOWED_DEPS[getTier(name)].includes(getTier(target));
+}
+
+/**
+ * One scope's view of the tokens: :root overlaid with a theme's overrides.
+ *
+ * @param {Map<string, { value: string }>} root
+ * @param {Map<string, { value: string }>} [overrides]
+ * @returns {Map<string, { value: string }>}
+ */
+function scopeTokens(root, overrides = new Map()) {
+  return new Map([...root, ...overrides]);
+}
+
+/**
+ * Every exported token in one scope, by CSS name: alias is the aliased CSS
+ * name or null; literal is the value resolved in that scope; inlined marks
+ * a var() value with no alias form, crossTier an alias the tier rules
+ * reject (both are written as the literal).
+ *
+ * @param {string[]} names  exported CSS names
+ * @param {Map<string, { value: string }>} defs  the scope's tokens
+ * @param {Set<string>} exported
+ * @returns {Map<string, { alias: string|null, literal: string, inlined: boolean, crossTier: boolean }>}
+ */
+function exportScope(names, defs, exported) {
+  const result = new Map();
+  for (const name of names) {
+    const value     = defs.get(name).value;
+    const target    = aliasOf(value, exported);
+    const crossTier = target !== null && !aliasAllowed(name, target);
+    const alias     = crossTier ? null : target;
+    const literal   = resolveExpression(value, defs, new Set([name])).trim();
+    result.set(name, { alias, literal, inlined: target === null && parseVarCalls(value).length > 0, crossTier });
+  }
+  return result;
+}
+
+// ─── Type inference ───────────────────────────────────────────────────────────
+
+/**
+ * #rgb, #rgba, #rrggbb, #rrggbbaa, rgb() and rgba() as 0–1 channels; null
+ * for any other value.
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number, a: number }|null}
+ */
+function parseColor(value) {
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map(d => d + d).join('');
+    const channel = i => parseInt(digits.slice(i, i + 2), 16) / 255;
+    return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) : 1 };
+  }
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1
+      : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255, a: alpha };
+  }
+
+  return null;
+}
+
+/**
+ * DTCG $type for a resolved CSS value, or null when none fits.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function dtcgType(value) {
+  if (parseColor(value) || /^(hsla?|hwb|lab|lch|oklab|oklch|color)\(/i.test(value)) return 'color';
+  if (/^-?(\d+\.?\d*|\.\d+)(px|rem)$/.test(value)) return 'dimension';
+  if (/^-?(\d+\.?\d*|\.\d+)m?s$/.test(value))      return 'duration';
+  if (/^-?(\d+\.?\d*|\.\d+)$/.test(value))         return 'number';
+  if (/^cubic-bezier\(/.test(value))               return 'cubicBezier';
+  return null;
+}
+
+/**
+ * Figma variable type and value for a resolved CSS value. px and rem
+ * become FLOAT pixels scoped to lengths; unitless numbers FLOAT for any
+ * scope; everything else not a color is a STRING.
+ *
+ * @param {string} value
+ * @returns {{ resolvedType: 'COLOR'|'FLOAT'|'STRING', value: *, scopes: string[] }}
+ */
+function variableValue(value) {
+  const color = parseColor(value);
+  if (color) return { resolvedType: 'COLOR', value: color, scopes: ['ALL_SCOPES'] };
+
+  const length = value.match(/^(-?(?:\d+\.?\d*|\.\d+))(px|rem)$/);
+  if (length) {
+    const px = parseFloat(length[1]) * (length[2] === 'rem' ? REM_PX : 1);
+    return { resolvedType: 'FLOAT', value: px, scopes: LENGTH_SCOPES };
+  }
+  if (/^-?(\d+\.?\d*|\.\d+)$/.test(value)) {
+    return { resolvedType: 'FLOAT', value: parseFloat(value), scopes: ['ALL_SCOPES'] };
+  }
+  return { resolvedType: 'STRING', value, scopes: ['ALL_SCOPES'] };
+}
+
+// ─── Writers ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Map<string, { alias: string|null, literal: string }>} scope
+ * @returns {{ tokens: Array<{ name: string, value: string }> }}
+ */
+function toFlat(scope) {
+  return {
+    tokens: [...scope].map(([name, { alias, literal }]) => ({
+      name  : cssVarToFigmaName(name),
+      value : alias ? `{${cssVarToFigmaName(alias)}}` : literal,
+    })),
+  };
+}
+
+/**
+ * Nested DTCG groups. A token whose name is also a group (…bg and
+ * …bg-hover) moves into the group as its "$root" token.
+ *
+ * @param {Map<string, { alias: string|null, literal: string }>} scope
+ * @param {Map<string, { alias: string|null, literal: string }>} rootScope  types come from :root
+ * @returns {Object}
+ */
+function toDTCG(scope, rootScope) {
+  const tree = {};
+
+  for (const [name, { alias, literal }] of scope) {
+    const type  = dtcgType(rootScope.get(name).literal);
+    const token = {
+      $value : alias ? `{${cssVarToFigmaName(alias)}}` : literal,
+      ...(type ? { $type: type } : {}),
+    };
+
+    const parts = cssVarToFigmaName(name).split('.');
+    let group   = tree;
+    for (const part of parts.slice(0, -1)) {
+      if (!group[part])                  group[part] = {};
+      else if ('$value' in group[part])  group[part] = { $root: group[part] };
+      group = group[part];
+    }
+    const last = parts[parts.length - 1];
+    group[last] = group[last] ? { $root: token, ...group[last] } : token;
+  }
+
+  return tree;
+}
+
+/**
+ * The figma-variables.config.json collection of each exported tier — the
+ * one whose prefix is the tier — with its modes in output order, the :root
+ * mode first. A mode's scope is 'root' or the theme name of its block.
+ *
+ * @param {*} config  parsed figma-variables.config.json
+ * @param {Map<string, Map>} themes  the input's [data-theme] blocks
+ * @returns {Map<string, { name: string, modes: Array<{ name: string, scope: string }> }>}  by tier
+ * @throws {Error}  naming the collection or mode the input cannot fill
+ */
+function variablesCollections(config, themes) {
+  const mapping     = readVariablesConfig(config);
+  const collections = new Map();
+
+  for (const tier of TIERS) {
+    const entry = [...mapping].find(([, { prefix }]) => prefix === tier);
+    if (!entry) throw new Error(`No collection with "prefix": "${tier}"`);
+    const [name, { modes }] = entry;
+
+    const mapped = Object.entries(modes).map(([mode, selector]) => {
+      if (selector.trim() === ':root') return { name: mode, scope: 'root' };
+      const theme = getThemeName(selector.trim());
+      if (!theme) {
+        throw new Error(`Collection "${name}": mode "${mode}" maps to ${selector} — only :root and [data-theme] blocks are exported`);
+      }
+      if (!themes.has(theme)) {
+        throw new Error(`Collection "${name}": mode "${mode}" maps to ${selector}, which the input has no block for`);
+      }
+      return { name: mode, scope: theme };
+    });
+    const root = mapped.filter(mode => mode.scope === 'root');
+    if (root.length !== 1) throw new Error(`Collection "${name}": exactly one mode must map to :root`);
+
+    collections.set(tier, { name, modes: [...root, ...mapped.filter(mode => mode.scope !== 'root')] });
+  }
+
+  return collections;
+}
+
+/**
+ * A Figma Variables document: one collection per tier, with the modes
+ * figma-variables.config.json maps it to.
+ *
+ * @param {string[]} names  exported CSS names
+ * @param {Map<string, { name: string, modes: Array<{ name: string, scope: string }> }>} collections
+ *        variablesCollections()
+ * @param {Map<string, Map>} scopes  'root' and each theme name → exportScope()
+ * @returns {Object}
+ */
+function toVariables(names, collections, scopes) {
+  // Ids first: aliases may point into another collection
+  const ids = new Map();
+  TIERS.forEach((tier, index) => {
+    names.filter(name => getTier(name) === tier)
+      .forEach((name, v) => ids.set(name, `VariableID:${index + 1}:${v + 1}`));
+  });
+
+  const variableCollections = {};
+  const variables           = {};
+
+  TIERS.forEach((tier, index) => {
+    const n       = index + 1;
+    const id      = `VariableCollectionId:${n}:0`;
+    const members = names.filter(name => getTier(name) === tier);
+    const { name: collectionName } = collections.get(tier);
+    const modes   = collections.get(tier).modes.map((mode, m) => ({ ...mode, modeId: `${n}:${m}` }));
+
+    variableCollections[id] = {
+      id,
+      name                 : collectionName,
+      modes                : modes.map(({ modeId, name }) => ({ modeId, name })),
+      defaultModeId        : `${n}:0`,
+      remote               : false,
+      hiddenFromPublishing : false,
+      variableIds          : members.map(name => ids.get(name)),
+    };
+
+    for (const name of members) {
+      const { resolvedType, scopes: variableScopes } = variableValue(scopes.get('root').get(name).literal);
+      const valuesByMode = {};
+      for (const mode of modes) {
+        const { alias, literal } = scopes.get(mode.scope).get(name);
+        valuesByMode[mode.modeId] = alias
+          ? { type: 'VARIABLE_ALIAS', id: ids.get(alias) }
+          : variableValue(literal).value;
+      }
+      variables[ids.get(name)] = {
+        id                   : ids.get(name),
+        name                 : cssVarToFigmaName(name).split('.').slice(1).join('/'),
+        variableCollectionId : id,
+        resolvedType,
+        valuesByMode,
+        remote               : false,
+        description          : '',
+        hiddenFromPublishing : false,
+        scopes               : variableScopes,
+        codeSyntax           : { WEB: `var(${name})` },
+      };
+    }
+  });
+
+  return { status: 200, error: false, meta: { variableCollections, variables } };
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const opts = parseArgs(process.argv);
+
+  const file = opts.input || CSS_CANDIDATES.find(candidate => fs.existsSync(candidate));
+  if (!file || !fs.existsSync(file)) fail('No compiled CSS found — run `npm run build` or pass a CSS file');
+
+  let deprecated;
+  try {
+    deprecated = new Set(loadDeprecations(DEPRECATIONS_FILE).map(entry => entry.token));
+  } catch (err) {
+    fail(`Could not load ${path.relative(ROOT, DEPRECATIONS_FILE)}: ${err.message}`);
+  }
+
+  const css      = readCSSTokens(fs.readFileSync(file, 'utf8'));
+  const names    = [...css.root.keys()]
+    .filter(name => TIERS.includes(getTier(name)) && !deprecated.has(name))
+    .sort((a, b) => TIERS.indexOf(getTier(a)) - TIERS.indexOf(getTier(b)));
+  const exported = new Set(names);
+
+  if (opts.theme && !css.themes.has(opts.theme)) {
+    fail(`No [data-theme="${opts.theme}"] block in ${path.relative(ROOT, file)} — themes: ${[...css.themes.keys()].join(', ') || 'none'}`);
+  }
+
+  const scopes = new Map([['root', exportScope(names, css.root, exported)]]);
+  for (const [theme, overrides] of css.themes) {
+    scopes.set(theme, exportScope(names, scopeTokens(css.root, overrides), exported));
+  }
+
+  let collections = null;
+  if (opts.format === 'variables') {
+    try {
+      const config = JSON.parse(fs.readFileSync(FIGMA_VARIABLES_CONFIG, 'utf8'));
+      collections  = variablesCollections(config, css.themes);
+    } catch (err) {
+      fail(`${path.relative(ROOT, FIGMA_VARIABLES_CONFIG)}: ${err.message}`);
+    }
+  }
+
+  const scope = scopes.get(opts.theme || 'root');
+  let document;
+  if (opts.format === 'flat')      document = toFlat(scope);
+  else if (opts.format === 'dtcg') document = toDTCG(scope, scopes.get('root'));
+  else                             document = toVariables(names, collections, scopes);
+
+  // Variables exports carry the mapped modes; flat / dtcg only the selected scope
+  const written = collections
+    ? [...new Set([...collections.values()].flatMap(c => c.modes.map(mode => mode.scope)))].map(s => scopes.get(s))
+    : [scope];
+  const inlined   = new Set(written.flatMap(s => [...s].filter(([, t]) => t.inlined).map(([name]) => name)));
+  const crossTier = new Set(written.flatMap(s => [...s].filter(([, t]) => t.crossTier).map(([name]) => name)));
+  const output  = JSON.stringify(document, null, 2) + '\n';
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, output, 'utf8');
+    console.error(`[figma-export] ${names.length} tokens (${opts.format}${opts.theme ? `, ${opts.theme}` : ''}) → ${path.relative(process.cwd(), opts.out)}`);
+  } else {
+    process.stdout.write(output);
+  }
+  if (collections) {
+    // Theme overrides that differ from :root, in a tier no mode maps the theme for
+    for (const [theme, overrides] of css.themes) {
+      const left = [...overrides].filter(([name, { value }]) => exported.has(name)
+        && value !== css.root.get(name).value
+        && !collections.get(getTier(name)).modes.some(mode => mode.scope === theme));
+      if (left.length > 0) {
+        console.error(`${INFO} [data-theme="${theme}"] overrides ${left.length} token(s) no mode in ${path.basename(FIGMA_VARIABLES_CONFIG)} maps — not exported`);
+      }
+    }
+  }
+  if (inlined.size > 0) {
+    console.error(`${INFO} ${inlined.size} value(s) have no single-token alias (fallbacks, calc(), shorthands, base tokens) — written resolved`);
+  }
+  if (crossTier.size > 0) {
+    console.error(`${INFO} ${crossTier.size} alias(es) break the Figma tier rules (component → semantic → primitive) — written resolved: ${[...crossTier].join(', ')}`);
+  }
+}
+
+main();
@@ -14,6 +14,14 @@
 //   node scripts/figma-sync-apply.js [figma-export.json] [options]
 //   npm run figma-sync-apply [-- options]
 //
+//   The export may be the flat { "tokens": [...] } format, W3C Design
+//   Tokens (DTCG), Tokens Studio or a Figma Variables REST response —
+//   detected automatically, see scripts/lib/figma-formats.js. A Tokens
+//   Studio export with "$themes" yields one [data-theme="<theme slug>"]
+//   block per theme; a Figma Variables export yields one block per selector
+//   its modes map to in figma-variables.config.json. Each block is validated
+//   and diffed on its own; --theme and --scope then do not apply.
+//
 // OPTIONS:
 //   --yes, -y          Apply all architecturally valid changes (non-interactive)
 //   --theme <name>     Theme selector name (default: "user")
@@ -36,12 +44,16 @@
 //   primitive.* → semantic.* → component.*
 //   Tokens that violate this chain are blocked before review begins.
 //   --base-* tokens are code-only and blocked at the validation gate.
+//   A theme or mode scope other than :root overrides primitive tokens only.
 // =============================================================================
 
 const fs       = require('fs');
 const path     = require('path');
 const readline = require('readline');
 
+const { parse, walkDeclarations } = require('./lib/css-parser');
+const { detectFigmaFormat, readFigmaExport } = require('./lib/figma-formats');
+
 // ─── Paths ────────────────────────────────────────────────────────────────────
 
 const ROOT = path.resolve(__dirname, '..');
@@ -54,6 +66,9 @@ const CSS_CANDIDATES = [
 const USER_THEME_REGISTRY = path.join(ROOT, 'preview', 'data', 'user-theme.registry.json');
 const USER_THEME_SCSS     = path.join(ROOT, 'scss', 'themes', '_user-theme.scss');
 
+// Figma Variables collection/mode → selector mapping (see scripts/lib/figma-formats.js)
+const FIGMA_VARIABLES_CONFIG = path.join(ROOT, 'figma-variables.config.json');
+
 // ─── Output constants ─────────────────────────────────────────────────────────
 
 const SEP  = '─'.repeat(60);
@@ -110,8 +125,10 @@ function parseArgs(argv) {
 
 // ─── Shared Utilities ─────────────────────────────────────────────────────────
 // These functions mirror figma-sync-dry-run.js (Phase 11).
-// Both scripts are intentionally self-contained.
-// If the shared parsing or validation logic changes, update both files.
+// CSS parsing is shared via scripts/lib/css-parser.js and export-format
+// reading via scripts/lib/figma-formats.js; the rest of the Figma-side logic
+// is intentionally duplicated so each script reads top to bottom.
+// If the shared validation logic changes, update both files.
 
 const FIGMA_ALLOWED_DEPS = {
   primitive : [],
@@ -148,61 +165,78 @@ function getTierFromFigmaName(figmaName) {
   return VALID_FIGMA_TIERS.has(prefix) ? prefix : null;
 }
 
-function parseCSSTokens(css) {
-  const tokens = new Map();
-  const lines  = css.split('\n');
-  let braceDepth = 0;
-  let inRoot     = false;
-  let rootDepth  = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw     = lines[i];
-    const trimmed = raw.trim();
+function normalizeSelector(selector) {
+  return selector.replace(/["'\s]/g, '');
+}
 
-    if (!inRoot && /^:root\s*\{/.test(trimmed)) {
-      inRoot    = true;
-      rootDepth = braceDepth;
+function parseCSSTokens(css, scope = null) {
+  const tokens    = new Map();
+  const overrides = new Map();
+  const target    = scope && normalizeSelector(scope);
+  walkDeclarations(parse(css), (decl, ctx) => {
+    if (!decl.property.startsWith('--')) return;
+    if (ctx.inRoot) {
+      tokens.set(decl.property, { value: decl.value, line: decl.line });
+    } else if (target && ctx.selectors.some(sel => normalizeSelector(sel) === target)) {
+      overrides.set(decl.property, { value: decl.value, line: decl.line });
     }
+  });
+  for (const [name, data] of overrides) tokens.set(name, data);
+  return tokens;
+}
 
-    braceDepth += (raw.match(/\{/g) || []).length - (raw.match(/\}/g) || []).length;
-
-    if (inRoot && braceDepth <= rootDepth) {
-      inRoot = false;
+// A scope's own override block, without the :root values it inherits
+function parseScopeOverrides(css, scope) {
+  const overrides = new Map();
+  const target    = normalizeSelector(scope);
+  walkDeclarations(parse(css), (decl, ctx) => {
+    if (!decl.property.startsWith('--') || ctx.inRoot) return;
+    if (ctx.selectors.some(sel => normalizeSelector(sel) === target)) {
+      overrides.set(decl.property, { value: decl.value, line: decl.line });
     }
+  });
+  return overrides;
+}
 
-    if (inRoot) {
-      const m = trimmed.match(/^(--[\w-]+)\s*:\s*(.+?)\s*;/);
-      if (m) tokens.set(m[1], { value: m[2], line: i + 1 });
-    }
-  }
+function isRootScope(selector) {
+  return !selector || normalizeSelector(selector) === ':root';
+}
 
-  return tokens;
+function toFigmaToken(entry) {
+  return {
+    cssName    : figmaNameToCSSVar(entry.name),
+    cssValue   : figmaValueToCSS(entry.value),
+    figmaName  : entry.name,
+    figmaValue : entry.value,
+    tier       : getTierFromFigmaName(entry.name),
+    type       : entry.type,
+    description: entry.description,
+  };
 }
 
-function parseFigmaExport(json) {
-  let data;
-  try { data = JSON.parse(json); }
+function parseJSON(json) {
+  try { return JSON.parse(json); }
   catch (e) { throw new Error(`Invalid JSON: ${e.message}`); }
+}
 
-  if (!data || !Array.isArray(data.tokens)) {
-    throw new Error('Figma export must contain a "tokens" array at root level');
-  }
+function loadVariablesConfig() {
+  if (!fs.existsSync(FIGMA_VARIABLES_CONFIG)) return null;
+  try { return JSON.parse(fs.readFileSync(FIGMA_VARIABLES_CONFIG, 'utf8')); }
+  catch (e) { throw new Error(`${path.basename(FIGMA_VARIABLES_CONFIG)}: ${e.message}`); }
+}
 
-  return data.tokens.map((entry, idx) => {
-    if (typeof entry.name !== 'string' || !entry.name.trim()) {
-      throw new Error(`Token[${idx}] missing valid "name" field`);
-    }
-    if (typeof entry.value !== 'string') {
-      throw new Error(`Token "${entry.name}" missing valid "value" field`);
-    }
-    return {
-      cssName   : figmaNameToCSSVar(entry.name),
-      cssValue  : figmaValueToCSS(entry.value),
-      figmaName : entry.name,
-      figmaValue: entry.value,
-      tier      : getTierFromFigmaName(entry.name),
-    };
-  });
+function parseFigmaExport(json, variablesConfig = loadVariablesConfig()) {
+  return readFigmaExport(parseJSON(json), { variablesConfig }).tokens.map(toFigmaToken);
+}
+
+function parseFigmaThemes(json, variablesConfig = loadVariablesConfig()) {
+  return readFigmaExport(parseJSON(json), { variablesConfig }).themes.map(theme => ({
+    name     : theme.name,
+    slug     : theme.slug,
+    selector : theme.selector,
+    tokens   : theme.tokens.map(toFigmaToken),
+    sources  : theme.sources.map(toFigmaToken),
+  }));
 }
 
 function validateFigmaTiers(figmaTokens) {
@@ -236,6 +270,17 @@ function validateFigmaTiers(figmaTokens) {
   return errors;
 }
 
+// Theme contract: scopes other than :root override primitive tokens only
+function validateScopeContract(scopeTokens, selector) {
+  if (isRootScope(selector)) return [];
+  return scopeTokens
+    .filter(token => token.tier && token.tier !== 'primitive')
+    .map(token => ({
+      message: `Theme contract: ${token.figmaName} in ${selector}`,
+      detail : `${token.tier} tokens are defined in :root only — a theme overrides primitive tokens`,
+    }));
+}
+
 function buildGraph(figmaTokens) {
   const graph = new Map();
   for (const t of figmaTokens) {
@@ -273,7 +318,23 @@ function findCycles(graph) {
   return cycles;
 }
 
-function diffTokens(cssTokens, figmaTokens) {
+// Figma has no rem: Variables exports carry px for the CSS rem lengths, so
+// '4px' and '0.25rem' are the same value at the 16px root
+const ROOT_FONT_SIZE_PX = 16;
+
+function sameValue(cssValue, figmaValue) {
+  if (cssValue === figmaValue) return true;
+  const px = value => {
+    const m = /^(-?\d*\.?\d+)(px|rem)$/.exec(value.trim());
+    return m ? parseFloat(m[1]) * (m[2] === 'rem' ? ROOT_FONT_SIZE_PX : 1) : null;
+  };
+  const a = px(cssValue);
+  return a !== null && a === px(figmaValue);
+}
+
+// `inherited` (:root) is given for theme scopes diffed against their override
+// block: a token the block does not override is new only if it differs
+function diffTokens(cssTokens, figmaTokens, inherited = null) {
   const figmaMap    = new Map(figmaTokens.map(t => [t.cssName, t.cssValue]));
   const cssRelevant = new Map();
   for (const [name, data] of cssTokens) {
@@ -283,10 +344,12 @@ function diffTokens(cssTokens, figmaTokens) {
   const added = [], modified = [], removed = [], unchanged = [];
   for (const [name, figmaValue] of figmaMap) {
     if (!cssRelevant.has(name)) {
-      added.push({ name, figmaValue });
+      inherited && inherited.has(name) && sameValue(inherited.get(name).value, figmaValue)
+        ? unchanged.push({ name })
+        : added.push({ name, figmaValue });
     } else {
       const cssValue = cssRelevant.get(name).value;
-      cssValue !== figmaValue
+      !sameValue(cssValue, figmaValue)
         ? modified.push({ name, cssValue, figmaValue })
         : unchanged.push({ name });
     }
@@ -303,23 +366,28 @@ function diffTokens(cssTokens, figmaTokens) {
  * Load the persisted user theme registry if it exists.
  * Returns an empty structure when no registry is found.
  *
+ * `tokens` / `removed` belong to the --theme/--scope block; `themes` holds
+ * one { name, selector, tokens, removed } entry per Tokens Studio theme,
+ * keyed by its [data-theme] slug.
+ *
  * @param {string} registryPath
- * @returns {{ tokens: Object, removed: string[], changelog: Array }}
+ * @returns {{ tokens: Object, removed: string[], themes: Object, changelog: Array }}
  */
 function loadUserThemeRegistry(registryPath) {
   if (!fs.existsSync(registryPath)) {
-    return { tokens: {}, removed: [], changelog: [] };
+    return { tokens: {}, removed: [], themes: {}, changelog: [] };
   }
   try {
     const data = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
     return {
       tokens   : data.tokens    || {},
       removed  : data.removed   || [],
+      themes   : data.themes    || {},
       changelog: data.changelog || [],
     };
   } catch {
     console.warn(`${WARN} Could not parse existing registry — starting fresh.`);
-    return { tokens: {}, removed: [], changelog: [] };
+    return { tokens: {}, removed: [], themes: {}, changelog: [] };
   }
 }
 
@@ -446,49 +514,68 @@ function buildSelector(scope, themeName) {
   return scope === 'attr' ? `[data-theme="${themeName}"]` : ':root';
 }
 
+/**
+ * Render selector blocks as indented declaration lines, one blank line
+ * between blocks. Empty blocks are dropped.
+ *
+ * @param {Array<{ selector: string, tokens: Object }>} blocks
+ * @returns {string[]}
+ */
+function renderBlocks(blocks) {
+  const lines = [];
+  for (const { selector, tokens } of blocks) {
+    const entries = Object.entries(tokens);
+    if (entries.length === 0) continue;
+    const maxLen = entries.reduce((m, [k]) => Math.max(m, k.length), 0);
+    if (lines.length > 0) lines.push('');
+    lines.push(`  ${selector} {`);
+    for (const [name, value] of entries) {
+      const pad = ' '.repeat(maxLen - name.length + 1);
+      lines.push(`    ${name}:${pad}${value};`);
+    }
+    lines.push(`  }`);
+  }
+  return lines;
+}
+
 /**
  * Generate the user-theme.css content.
- * Produces a self-contained @layer themes { <selector> { ... } } block.
+ * Produces a self-contained @layer themes { … } block holding one
+ * <selector> { ... } block per theme.
  *
- * @param {Object} tokens     { '--token-name': 'css-value' }
- * @param {string} selector   ':root' or '[data-theme="user"]'
+ * @param {Array<{ selector: string, tokens: Object }>} blocks
+ *                            tokens: { '--token-name': 'css-value' };
+ *                            selector: ':root' or '[data-theme="user"]'
  * @param {string} sourceFile Figma export path (for comment header)
  * @returns {string}
  */
-function generateThemeCSS(tokens, selector, sourceFile) {
-  const now     = new Date().toISOString();
-  const relSrc  = path.basename(sourceFile);
-  const entries = Object.entries(tokens);
+function generateThemeCSS(blocks, sourceFile) {
+  const now    = new Date().toISOString();
+  const relSrc = path.basename(sourceFile);
+  const count  = blocks.reduce((n, b) => n + Object.keys(b.tokens).length, 0);
+  const decls  = renderBlocks(blocks);
 
   const header = [
     `/* Design System — User Theme`,
     ` * Generated : ${now}`,
     ` * Source    : ${relSrc}`,
-    ` * Tokens    : ${entries.length}`,
-    ` * Scope     : ${selector}`,
+    ` * Tokens    : ${count}`,
+    ` * Scope     : ${blocks.map(b => b.selector).join(', ')}`,
     ` *`,
     ` * DO NOT EDIT MANUALLY — regenerate with: npm run figma-sync-apply`,
     ` */`,
   ].join('\n');
 
-  if (entries.length === 0) {
+  if (decls.length === 0) {
     return header + '\n\n/* (no token overrides — all tokens use system defaults) */\n';
   }
 
-  const maxLen  = entries.reduce((m, [k]) => Math.max(m, k.length), 0);
-  const decls   = entries.map(([name, value]) => {
-    const pad = ' '.repeat(maxLen - name.length + 1);
-    return `    ${name}:${pad}${value};`;
-  });
-
   return [
     header,
     '',
     `@layer themes {`,
     '',
-    `  ${selector} {`,
     ...decls,
-    `  }`,
     '',
     `}`,
     '',
@@ -499,23 +586,19 @@ function generateThemeCSS(tokens, selector, sourceFile) {
  * Generate the _user-theme.scss content.
  * Structurally identical to the CSS output; SCSS comment style.
  *
- * @param {Object} tokens
- * @param {string} selector
+ * @param {Array<{ selector: string, tokens: Object }>} blocks
  * @param {string} sourceFile
  * @returns {string}
  */
-function generateThemeSCSS(tokens, selector, sourceFile) {
-  const now     = new Date().toISOString();
-  const relSrc  = path.basename(sourceFile);
-  const entries = Object.entries(tokens);
-  const maxLen  = entries.reduce((m, [k]) => Math.max(m, k.length), 0);
-
-  const decls = entries.length > 0
-    ? entries.map(([name, value]) => {
-        const pad = ' '.repeat(maxLen - name.length + 1);
-        return `    ${name}:${pad}${value};`;
-      })
-    : ['    // (no token overrides — all tokens use system defaults)'];
+function generateThemeSCSS(blocks, sourceFile) {
+  const now    = new Date().toISOString();
+  const relSrc = path.basename(sourceFile);
+  const count  = blocks.reduce((n, b) => n + Object.keys(b.tokens).length, 0);
+  const decls  = renderBlocks(blocks);
+
+  const body = decls.length > 0
+    ? decls
+    : [`  ${blocks[0].selector} {`, '    // (no token overrides — all tokens use system defaults)', `  }`];
 
   return [
     `// =============================================================================`,
@@ -525,8 +608,8 @@ function generateThemeSCSS(tokens, selector, sourceFile) {
     `//`,
     `// Generated : ${now}`,
     `// Source    : ${relSrc}`,
-    `// Tokens    : ${entries.length}`,
-    `// Scope     : ${selector}`,
+    `// Tokens    : ${count}`,
+    `// Scope     : ${blocks.map(b => b.selector).join(', ')}`,
     `//`,
     `// To include in the SCSS build pipeline, add to scss/themes/_index.scss:`,
     `//   @use 'user-theme';`,
@@ -536,9 +619,7 @@ function generateThemeSCSS(tokens, selector, sourceFile) {
     '',
     `@layer themes {`,
     '',
-    `  ${selector} {`,
-    ...decls,
-    `  }`,
+    ...body,
     '',
     `}`,
     '',
@@ -550,7 +631,10 @@ function generateThemeSCSS(tokens, selector, sourceFile) {
  * Directories are created if they don't exist.
  * Nothing is written until all content has been generated in memory.
  *
- * @param {{ tokens: Object, removed: string[], changelog: Array }} merged
+ * The --theme/--scope block comes first (kept even when empty unless
+ * Tokens Studio themes exist), followed by one block per theme.
+ *
+ * @param {{ tokens: Object, removed: string[], themes: Object, changelog: Array }} merged
  * @param {Object} opts
  * @param {string} cssSourceFile  Path to compiled CSS (for registry metadata)
  * @returns {{ cssPath: string, scssPath: string, registryPath: string }}
@@ -558,10 +642,16 @@ function generateThemeSCSS(tokens, selector, sourceFile) {
 function writeOutputFiles(merged, opts, cssSourceFile) {
   const { figmaFile, themeName, scope, outputDir } = opts;
   const selector = buildSelector(scope, themeName);
+  const themes   = Object.values(merged.themes);
+
+  const blocks = [
+    ...(Object.keys(merged.tokens).length > 0 || themes.length === 0 ? [{ selector, tokens: merged.tokens }] : []),
+    ...themes.map(theme => ({ selector: theme.selector, tokens: theme.tokens })),
+  ];
 
   // Generate all content in memory before touching disk
-  const cssContent      = generateThemeCSS(merged.tokens, selector, figmaFile);
-  const scssContent     = generateThemeSCSS(merged.tokens, selector, figmaFile);
+  const cssContent      = generateThemeCSS(blocks, figmaFile);
+  const scssContent     = generateThemeSCSS(blocks, figmaFile);
   const registryContent = JSON.stringify({
     meta: {
       generatedAt : new Date().toISOString(),
@@ -573,6 +663,7 @@ function writeOutputFiles(merged, opts, cssSourceFile) {
     },
     tokens   : merged.tokens,
     removed  : merged.removed,
+    ...(themes.length > 0 ? { themes: merged.themes } : {}),
     changelog: merged.changelog,
   }, null, 2) + '\n';
 
@@ -635,22 +726,65 @@ async function main() {
   console.log('');
 
   // ── c) Parse inputs ───────────────────────────────────────────────────────
-  const cssTokens = parseCSSTokens(fs.readFileSync(cssFile, 'utf8'));
+  const css = fs.readFileSync(cssFile, 'utf8');
 
   let figmaTokens;
+  let themes;
+  let format;
   try {
-    figmaTokens = parseFigmaExport(fs.readFileSync(opts.figmaFile, 'utf8'));
+    const figmaJSON       = fs.readFileSync(opts.figmaFile, 'utf8');
+    const variablesConfig = loadVariablesConfig();
+    figmaTokens = parseFigmaExport(figmaJSON, variablesConfig);
+    themes      = parseFigmaThemes(figmaJSON, variablesConfig);
+    format      = detectFigmaFormat(JSON.parse(figmaJSON));
   } catch (e) {
     console.error(`${FAIL} Figma parse error: ${e.message}`);
     process.exit(1);
   }
+  console.log(`${INFO} Figma export: ${figmaTokens.length} token(s), ${format} format`);
+
+  // Tokens Studio themes and Figma Variables modes produce one block per
+  // scope selector; anything else produces the single --theme/--scope block.
+  const targets = themes.length > 0
+    ? themes.map(theme => ({
+        key      : theme.slug,
+        label    : theme.name,
+        selector : theme.selector,
+        tokens   : theme.tokens,
+        sources  : theme.sources,
+      }))
+    : [{ key: null, label: null, selector: buildSelector(opts.scope, opts.themeName), tokens: figmaTokens, sources: [] }];
+
+  if (themes.length > 0) {
+    console.log(`${INFO} ${themes.length} scope(s): ` +
+                targets.map(t => `${t.label} → ${t.selector}`).join(', '));
+    if (opts.scope !== 'root' || opts.themeName !== 'user') {
+      console.log(`${WARN} --theme / --scope are ignored — the export sets a scope per theme or mode`);
+    }
+  }
+  console.log('');
+
+  // $type / $description metadata from DTCG exports, shown during review
+  const renderMeta = (target, name) => {
+    const meta = target.tokens.find(t => t.cssName === name);
+    if (meta && meta.type)        console.log(`              type:     ${meta.type}`);
+    if (meta && meta.description) console.log(`              note:     ${meta.description}`);
+  };
+  const titled = (target, text) => (target.label ? `[${target.label}] ${text}` : text);
 
   // ── d) Architecture validation gate ──────────────────────────────────────
   // Violated tokens are blocked entirely — they cannot be approved or applied.
-  const archErrors = validateFigmaTiers(figmaTokens);
-  const cycles     = findCycles(buildGraph(figmaTokens));
-  for (const cycle of cycles) {
-    archErrors.push({ message: `Circular dependency: ${cycle.join(' → ')}` });
+  // Each theme is validated with its source sets, which its references use.
+  const archErrors = [];
+  for (const target of targets) {
+    const scoped = [...target.sources, ...target.tokens];
+    const contract = target.key ? validateScopeContract(target.tokens, target.selector) : [];
+    for (const e of [...validateFigmaTiers(scoped), ...contract]) {
+      archErrors.push({ ...e, message: titled(target, e.message) });
+    }
+    for (const cycle of findCycles(buildGraph(scoped))) {
+      archErrors.push({ message: titled(target, `Circular dependency: ${cycle.join(' → ')}`) });
+    }
   }
 
   if (archErrors.length > 0) {
@@ -669,53 +803,75 @@ async function main() {
   console.log('');
 
   // ── e) Build diff ─────────────────────────────────────────────────────────
-  const { added, modified, removed, unchanged } = diffTokens(cssTokens, figmaTokens);
+  // Each export theme other than :root is compared against its own override
+  // block and the :root values it inherits; anything else against :root.
+  for (const target of targets) {
+    const sourceNames = new Set(target.sources.map(t => t.cssName));
+    if (target.key && !isRootScope(target.selector)) {
+      target.diff = diffTokens(parseScopeOverrides(css, target.selector), target.tokens, parseCSSTokens(css));
+    } else {
+      target.diff = diffTokens(parseCSSTokens(css), target.tokens);
+      target.diff.removed = target.diff.removed.filter(t => !sourceNames.has(t.name));
+    }
 
-  console.log('Diff against compiled CSS:');
-  console.log(`  ${INFO} NEW        ${added.length}      (in Figma, not in CSS)`);
-  console.log(`  ${INFO} MODIFIED   ${modified.length}      (in both, value differs)`);
-  console.log(`  ${INFO} REMOVED    ${removed.length}      (in CSS, not in Figma — informational)`);
-  console.log(`  ${INFO} UNCHANGED  ${unchanged.length}`);
-  console.log('');
+    const { added, modified, removed, unchanged } = target.diff;
+    console.log(titled(target, 'Diff against compiled CSS:'));
+    console.log(`  ${INFO} NEW        ${added.length}      (in Figma, not in CSS)`);
+    console.log(`  ${INFO} MODIFIED   ${modified.length}      (in both, value differs)`);
+    console.log(`  ${INFO} REMOVED    ${removed.length}      (in CSS, not in Figma — informational)`);
+    console.log(`  ${INFO} UNCHANGED  ${unchanged.length}`);
+    console.log('');
+  }
 
-  if (added.length === 0 && modified.length === 0) {
+  const pending = targets.filter(t => t.diff.added.length > 0 || t.diff.modified.length > 0);
+  if (pending.length === 0) {
     console.log(`${PASS} No new or modified tokens — nothing to apply.`);
-    if (removed.length > 0) {
-      console.log(`${INFO} ${removed.length} token(s) exist in system CSS but not Figma. No action required.`);
+    const removedCount = targets.reduce((n, t) => n + t.diff.removed.length, 0);
+    if (removedCount > 0) {
+      console.log(`${INFO} ${removedCount} token(s) exist in system CSS but not Figma. No action required.`);
     }
     process.exit(0);
   }
 
   // ── f) Load existing user theme registry ─────────────────────────────────
   const currentRegistry = loadUserThemeRegistry(USER_THEME_REGISTRY);
-  const existingCount   = Object.keys(currentRegistry.tokens).length;
+  const existingCount   = Object.keys(currentRegistry.tokens).length +
+    Object.values(currentRegistry.themes).reduce((n, theme) => n + Object.keys(theme.tokens).length, 0);
 
   if (existingCount > 0) {
     console.log(`${INFO} Existing user theme: ${existingCount} token(s) will be merged`);
     console.log('');
   }
 
-  // Tokens the user previously overrode that Figma no longer has
-  // → offer to remove the override and revert to system default
-  const removableFromTheme = removed.filter(r => r.name in currentRegistry.tokens);
+  for (const target of targets) {
+    target.current = target.key
+      ? currentRegistry.themes[target.key] || { tokens: {}, removed: [] }
+      : currentRegistry;
+    // Tokens the user previously overrode that Figma no longer has
+    // → offer to remove the override and revert to system default
+    target.removable = target.diff.removed.filter(r => r.name in target.current.tokens);
+    target.approved  = { added: [], updated: [], removed: [] };
+  }
 
   // ── g) Review ─────────────────────────────────────────────────────────────
-  let approvedAdded   = [];
-  let approvedUpdated = [];
-  let approvedRemoved = [];
-  let skippedCount    = 0;
+  let skippedCount = 0;
 
   if (opts.yes) {
     // ── Non-interactive path ─────────────────────────────────────────────
-    approvedAdded   = added;
-    approvedUpdated = modified;
-    // Removals always require explicit confirmation even in --yes mode
-    approvedRemoved = [];
-    skippedCount    = removableFromTheme.length;
-
-    console.log(`${INFO} --yes: applying ${added.length + modified.length} change(s) without prompts`);
-    if (removableFromTheme.length > 0) {
-      console.log(`${WARN} ${removableFromTheme.length} removal(s) skipped — rerun without --yes to review them`);
+    let applying  = 0;
+    let removable = 0;
+    for (const target of targets) {
+      target.approved.added   = target.diff.added;
+      target.approved.updated = target.diff.modified;
+      // Removals always require explicit confirmation even in --yes mode
+      skippedCount += target.removable.length;
+      applying     += target.diff.added.length + target.diff.modified.length;
+      removable    += target.removable.length;
+    }
+
+    console.log(`${INFO} --yes: applying ${applying} change(s) without prompts`);
+    if (removable > 0) {
+      console.log(`${WARN} ${removable} removal(s) skipped — rerun without --yes to review them`);
     }
     console.log('');
 
@@ -731,56 +887,75 @@ async function main() {
 
     // Show what's coming before the first prompt
     console.log('Review queue:');
-    if (added.length > 0)            console.log(`  ${INFO} ${added.length} NEW token(s) to add`);
-    if (modified.length > 0)         console.log(`  ${INFO} ${modified.length} MODIFIED token(s) to update`);
-    if (removableFromTheme.length > 0) console.log(`  ${INFO} ${removableFromTheme.length} override(s) to remove from user theme`);
+    for (const target of targets) {
+      const { added, modified } = target.diff;
+      if (added.length > 0)            console.log(`  ${INFO} ${titled(target, `${added.length} NEW token(s) to add`)}`);
+      if (modified.length > 0)         console.log(`  ${INFO} ${titled(target, `${modified.length} MODIFIED token(s) to update`)}`);
+      if (target.removable.length > 0) {
+        console.log(`  ${INFO} ${titled(target, `${target.removable.length} override(s) to remove from user theme`)}`);
+      }
+    }
     console.log('');
     console.log('  At each prompt: [y]es  [n]o  [a]ll  [s]kip all  [q]uit');
 
     let quit = false;
 
-    // Review: NEW
-    if (!quit && added.length > 0) {
-      const result = await reviewCategory(rl, 'NEW', added, (item, i, total) => {
-        console.log(`  [${i} of ${total}]  + ${item.name}`);
-        console.log(`              value: ${item.figmaValue}`);
-      });
-      approvedAdded = result.approved;
-      skippedCount += result.skipped.length;
-      if (result.quit) quit = true;
-    }
+    for (const target of targets) {
+      if (quit) break;
+      const { added, modified } = target.diff;
 
-    // Review: MODIFIED
-    if (!quit && modified.length > 0) {
-      const result = await reviewCategory(rl, 'MODIFIED', modified, (item, i, total) => {
-        console.log(`  [${i} of ${total}]  ~ ${item.name}`);
-        console.log(`              current:  ${item.cssValue}`);
-        console.log(`              proposed: ${item.figmaValue}`);
-      });
-      approvedUpdated = result.approved;
-      skippedCount += result.skipped.length;
-      if (result.quit) quit = true;
-    }
+      if (target.label && (added.length > 0 || modified.length > 0 || target.removable.length > 0)) {
+        console.log('');
+        console.log(SEP);
+        console.log(`Scope: ${target.label}  →  ${target.selector}`);
+      }
 
-    // Review: REMOVED from user theme (only tokens the user previously overrode)
-    if (!quit && removableFromTheme.length > 0) {
-      console.log('');
-      console.log(SEP);
-      console.log('User theme overrides not present in Figma');
-      console.log('Removing will revert each token to its system default.');
-      const result = await reviewCategory(rl, 'REMOVED', removableFromTheme, (item, i, total) => {
-        console.log(`  [${i} of ${total}]  - ${item.name}`);
-        console.log(`              your override:   ${currentRegistry.tokens[item.name]}`);
-        console.log(`              system default:  ${item.cssValue}`);
-      });
-      approvedRemoved = result.approved;
-      skippedCount += result.skipped.length;
-      if (result.quit) quit = true;
+      // Review: NEW
+      if (!quit && added.length > 0) {
+        const result = await reviewCategory(rl, 'NEW', added, (item, i, total) => {
+          console.log(`  [${i} of ${total}]  + ${item.name}`);
+          console.log(`              value:    ${item.figmaValue}`);
+          renderMeta(target, item.name);
+        });
+        target.approved.added = result.approved;
+        skippedCount += result.skipped.length;
+        if (result.quit) quit = true;
+      }
+
+      // Review: MODIFIED
+      if (!quit && modified.length > 0) {
+        const result = await reviewCategory(rl, 'MODIFIED', modified, (item, i, total) => {
+          console.log(`  [${i} of ${total}]  ~ ${item.name}`);
+          console.log(`              current:  ${item.cssValue}`);
+          console.log(`              proposed: ${item.figmaValue}`);
+          renderMeta(target, item.name);
+        });
+        target.approved.updated = result.approved;
+        skippedCount += result.skipped.length;
+        if (result.quit) quit = true;
+      }
+
+      // Review: REMOVED from user theme (only tokens the user previously overrode)
+      if (!quit && target.removable.length > 0) {
+        console.log('');
+        console.log(SEP);
+        console.log(titled(target, 'User theme overrides not present in Figma'));
+        console.log('Removing will revert each token to its system default.');
+        const result = await reviewCategory(rl, 'REMOVED', target.removable, (item, i, total) => {
+          console.log(`  [${i} of ${total}]  - ${item.name}`);
+          console.log(`              your override:   ${target.current.tokens[item.name]}`);
+          console.log(`              system default:  ${item.cssValue}`);
+        });
+        target.approved.removed = result.approved;
+        skippedCount += result.skipped.length;
+        if (result.quit) quit = true;
+      }
     }
 
     rl.close();
 
-    const totalApprovedSoFar = approvedAdded.length + approvedUpdated.length + approvedRemoved.length;
+    const totalApprovedSoFar = targets.reduce((n, t) =>
+      n + t.approved.added.length + t.approved.updated.length + t.approved.removed.length, 0);
     if (quit && totalApprovedSoFar === 0) {
       console.log('\nQuit — no changes approved. Nothing was written.');
       process.exit(2);
@@ -790,7 +965,8 @@ async function main() {
     }
   }
 
-  const totalApproved = approvedAdded.length + approvedUpdated.length + approvedRemoved.length;
+  const totalApproved = targets.reduce((n, t) =>
+    n + t.approved.added.length + t.approved.updated.length + t.approved.removed.length, 0);
 
   if (totalApproved === 0) {
     console.log(`\n${INFO} No changes approved — nothing to write.`);
@@ -803,11 +979,22 @@ async function main() {
   console.log(`Applying ${totalApproved} change(s)...`);
   console.log('');
 
-  const merged = mergeRegistryChanges(currentRegistry, {
-    added           : approvedAdded,
-    updated         : approvedUpdated,
-    removedFromTheme: approvedRemoved,
-  });
+  const merged = { ...currentRegistry, themes: { ...currentRegistry.themes }, changelog: [] };
+  for (const target of targets) {
+    const result = mergeRegistryChanges(target.current, {
+      added           : target.approved.added,
+      updated         : target.approved.updated,
+      removedFromTheme: target.approved.removed,
+    });
+    if (target.key) {
+      merged.themes[target.key] = { name: target.label, selector: target.selector, tokens: result.tokens, removed: result.removed };
+      merged.changelog.push(...result.changelog.map(entry => ({ theme: target.key, ...entry })));
+    } else {
+      merged.tokens  = result.tokens;
+      merged.removed = result.removed;
+      merged.changelog.push(...result.changelog);
+    }
+  }
 
   const outPaths = writeOutputFiles(merged, opts, cssFile);
 
@@ -817,20 +1004,23 @@ async function main() {
   console.log(`${PASS} ${path.relative(ROOT, outPaths.registryPath)}`);
   console.log('');
 
-  if (approvedAdded.length > 0) {
-    console.log(`  Added (${approvedAdded.length})`);
-    for (const t of approvedAdded)   console.log(`    + ${t.name}`);
-    console.log('');
-  }
-  if (approvedUpdated.length > 0) {
-    console.log(`  Updated (${approvedUpdated.length})`);
-    for (const t of approvedUpdated) console.log(`    ~ ${t.name}`);
-    console.log('');
-  }
-  if (approvedRemoved.length > 0) {
-    console.log(`  Removed from user theme (${approvedRemoved.length})`);
-    for (const t of approvedRemoved) console.log(`    - ${t.name}`);
-    console.log('');
+  for (const target of targets) {
+    const { added, updated, removed } = target.approved;
+    if (added.length > 0) {
+      console.log(`  ${titled(target, `Added (${added.length})`)}`);
+      for (const t of added)   console.log(`    + ${t.name}`);
+      console.log('');
+    }
+    if (updated.length > 0) {
+      console.log(`  ${titled(target, `Updated (${updated.length})`)}`);
+      for (const t of updated) console.log(`    ~ ${t.name}`);
+      console.log('');
+    }
+    if (removed.length > 0) {
+      console.log(`  ${titled(target, `Removed from user theme (${removed.length})`)}`);
+      for (const t of removed) console.log(`    - ${t.name}`);
+      console.log('');
+    }
   }
   if (skippedCount > 0) {
     console.log(`  ${WARN} Skipped: ${skippedCount} token(s)`);
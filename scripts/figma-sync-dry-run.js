@@ -14,16 +14,27 @@
 //
 // USAGE:
 //   node scripts/figma-sync-dry-run.js [path/to/figma-export.json]
+//                                      [--format text|markdown|json] [--out <file>]
 //   Default path: figma-export.json (project root)
 //
 //   npm run figma-sync                       ← uses default figma-export.json
 //   npm run figma-sync -- tokens/export.json ← custom path
+//   npm run figma-sync -- tokens/export.json --format markdown --out sync.md
+//
+//   --format text      the console report (default)
+//   --format markdown  a PR-ready summary (scripts/lib/sync-report.js):
+//                      added / modified / removed tables with hex swatches,
+//                      blocking errors, and the registered components that
+//                      consume the changed tokens (compiled CSS graph)
+//   --format json      the same report model, for bots and tooling
+//   --out <file>       write the markdown / json report instead of stdout
 //
 // EXIT CODES:
 //   0 — No architectural violations  (diff may still contain changes)
 //   1 — Architecture violations OR file not found
 //
-// INPUT FORMAT:
+// INPUT FORMATS (detected automatically — scripts/lib/figma-formats.js):
+//   flat:
 //   {
 //     "tokens": [
 //       { "name": "semantic.color.brand.default", "value": "{primitive.color.blue.600}" },
@@ -31,6 +42,22 @@
 //     ]
 //   }
 //
+//   W3C Design Tokens (DTCG) — groups are flattened to the same dotted names:
+//   {
+//     "primitive": { "color": { "$type": "color", "blue": { "600": { "$value": "#2563eb" } } } },
+//     "semantic":  { "color": { "brand": { "default": { "$value": "{primitive.color.blue.600}",
+//                                                       "$description": "Brand fill" } } } }
+//   }
+//
+//   Tokens Studio — token sets plus "$themes": each theme is checked and
+//   diffed on its own, against its [data-theme="<theme slug>"] scope.
+//
+//   Figma Variables — the GET /v1/files/:key/variables/local response saved
+//   to a file. figma-variables.config.json maps each collection to a tier
+//   prefix and each mode to a selector; every selector is checked and
+//   diffed on its own, against that scope in the compiled CSS:
+//     npm run figma-sync -- docs/examples/figma-variables.json
+//
 // NAME CONVERSION:
 //   "semantic.color.brand.default"  →  "--semantic-color-brand-default"
 //   "{primitive.color.blue.600}"    →  "var(--primitive-color-blue-600)"
@@ -38,12 +65,19 @@
 // ARCHITECTURAL CONTRACT:
 //   primitive.* → semantic.* → component.*
 //   Any Figma token that violates this chain fails immediately.
+//   A theme or mode scope other than :root overrides primitive tokens only
+//   (the [data-theme] contract); it is diffed against its own override block.
 //   This engine is a gatekeeper, not a convenience tool.
 // =============================================================================
 
 const fs   = require('fs');
 const path = require('path');
 
+const { parse, walkDeclarations } = require('./lib/css-parser');
+const { detectFigmaFormat, readFigmaExport } = require('./lib/figma-formats');
+const { buildDependencyGraph, dependentsOf, resolveValue } = require('./lib/token-graph');
+const { renderSyncMarkdown } = require('./lib/sync-report');
+
 // ─── Configuration ────────────────────────────────────────────────────────────
 
 /**
@@ -55,6 +89,20 @@ const CSS_CANDIDATES = [
   path.resolve(__dirname, '../preview/css/ds-preview.css'),
 ];
 
+/**
+ * Maps Figma Variables collections and modes to tier prefixes and selectors.
+ * Only read for Figma Variables exports (scripts/lib/figma-formats.js).
+ */
+const FIGMA_VARIABLES_CONFIG = path.resolve(__dirname, '../figma-variables.config.json');
+
+/**
+ * Registered components (tokenPrefix, bemBlock) — the markdown / json report
+ * attributes the impact of a change to them.
+ */
+const COMPONENT_REGISTRY_FILE = path.resolve(__dirname, '../preview/data/component.registry.json');
+
+const FORMATS = ['text', 'markdown', 'json'];
+
 /**
  * Allowed referencing tiers in Figma token exports.
  *
@@ -169,120 +217,188 @@ function getTierFromFigmaName(figmaName) {
 
 // ─── CSS Parsing ──────────────────────────────────────────────────────────────
 
+/**
+ * Compare-ready form of a selector: Sass drops attribute-value quotes, so
+ * [data-theme="dark"] compiles to [data-theme=dark].
+ *
+ * @param {string} selector
+ * @returns {string}
+ */
+function normalizeSelector(selector) {
+  return selector.replace(/["'\s]/g, '');
+}
+
 /**
  * Parse compiled CSS and extract all custom property definitions from :root
- * blocks across all @layer contexts.
+ * blocks across all @layer contexts — or, given a scope selector, the values
+ * that scope sees: :root with the scope's overrides (e.g. [data-theme="…"])
+ * on top.
  *
  * Returns Map<cssVarName, { value: string, line: number }>.
  *
- * State machine (line-by-line, no external parser):
- *   - Tracks brace depth to identify :root open/close boundaries
- *   - Extracts "--name: value;" declarations found inside :root
+ * Uses the shared tokenizer (scripts/lib/css-parser.js):
+ *   - A rule counts as :root when its selector list contains :root, so
+ *     `:root, [data-theme="light"] { … }` is collected too
  *   - @layer context is irrelevant — all :root tokens are collected
- *   - Theme override selectors ([data-theme]) are NOT matched and are
- *     intentionally skipped (only canonical :root values are compared)
+ *   - Scope-only override selectors ([data-theme] without :root) are
+ *     skipped unless `scope` names them (themes and Figma Variables modes
+ *     are compared against their own scope)
+ *   - Later definitions overwrite earlier ones, matching the cascade
  *
- * Requires expanded (non-minified) CSS input. The build pipeline always
- * produces expanded output in dist/ds-preview.css.
+ * Expanded and minified builds produce the same token map.
  *
- * @param {string} css  Expanded CSS source
+ * @param {string} css  Compiled CSS source
+ * @param {string|null} [scope]  e.g. '[data-theme="dark"]'
  * @returns {Map<string, { value: string, line: number }>}
  */
-function parseCSSTokens(css) {
-  const tokens = new Map();
-  const lines  = css.split('\n');
-
-  let braceDepth = 0;
-  let inRoot     = false;
-  let rootDepth  = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw     = lines[i];
-    const trimmed = raw.trim();
-    const lineNum = i + 1;
-
-    // Detect :root block opening.
-    // Check BEFORE counting this line's braces so rootDepth captures the
-    // depth of the enclosing context (not including the :root { itself).
-    if (!inRoot && /^:root\s*\{/.test(trimmed)) {
-      inRoot    = true;
-      rootDepth = braceDepth;
+function parseCSSTokens(css, scope = null) {
+  const tokens    = new Map();
+  const overrides = new Map();
+  const target    = scope && normalizeSelector(scope);
+
+  walkDeclarations(parse(css), (decl, ctx) => {
+    if (!decl.property.startsWith('--')) return;
+    if (ctx.inRoot) {
+      tokens.set(decl.property, { value: decl.value, line: decl.line });
+    } else if (target && ctx.selectors.some(sel => normalizeSelector(sel) === target)) {
+      overrides.set(decl.property, { value: decl.value, line: decl.line });
     }
+  });
 
-    // Update brace depth for this line
-    const opens  = (raw.match(/\{/g) || []).length;
-    const closes = (raw.match(/\}/g) || []).length;
-    braceDepth  += opens - closes;
-
-    // Detect :root block closing
-    // When depth returns to rootDepth, the closing } for :root was on this line.
-    if (inRoot && braceDepth <= rootDepth) {
-      inRoot = false;
-    }
+  // Theme overrides win regardless of source order (they live in a later layer)
+  for (const [name, data] of overrides) tokens.set(name, data);
+  return tokens;
+}
 
-    // Extract custom property definitions inside :root
-    if (inRoot) {
-      const m = trimmed.match(/^(--[\w-]+)\s*:\s*(.+?)\s*;/);
-      if (m) {
-        tokens.set(m[1], { value: m[2], line: lineNum });
-      }
+/**
+ * The custom properties a scope selector declares itself — its override
+ * block(s), without the :root values it inherits. A theme or mode is diffed
+ * against this: a token it does not override is not "removed" from it.
+ *
+ * @param {string} css
+ * @param {string} scope  e.g. '[data-theme="dark"]'
+ * @returns {Map<string, { value: string, line: number }>}
+ */
+function parseScopeOverrides(css, scope) {
+  const overrides = new Map();
+  const target    = normalizeSelector(scope);
+
+  walkDeclarations(parse(css), (decl, ctx) => {
+    if (!decl.property.startsWith('--') || ctx.inRoot) return;
+    if (ctx.selectors.some(sel => normalizeSelector(sel) === target)) {
+      overrides.set(decl.property, { value: decl.value, line: decl.line });
     }
-  }
+  });
+  return overrides;
+}
 
-  return tokens;
+/**
+ * True for the :root scope (a Figma Variables default mode), which defines
+ * every token rather than overriding some.
+ * @param {string|null} selector
+ * @returns {boolean}
+ */
+function isRootScope(selector) {
+  return !selector || normalizeSelector(selector) === ':root';
 }
 
 // ─── Figma Parsing ────────────────────────────────────────────────────────────
 
 /**
- * Parse a Figma JSON export and convert all entries to CSS-ready form.
- *
- * Expected input structure:
- *   {
- *     "tokens": [
- *       { "name": "semantic.color.brand.default", "value": "{primitive.color.blue.600}" },
- *       { "name": "primitive.color.blue.600",     "value": "#2563eb" }
- *     ]
- *   }
+ * Convert one export entry (scripts/lib/figma-formats.js) to CSS-ready form.
  *
- * @param {string} json  Raw JSON string from the Figma export file
- * @returns {Array<{
- *   cssName:    string,   // "--semantic-color-brand-default"
- *   cssValue:   string,   // "var(--primitive-color-blue-600)"
- *   figmaName:  string,   // "semantic.color.brand.default"
- *   figmaValue: string,   // "{primitive.color.blue.600}"
- *   tier:       string|null
- * }>}
- * @throws {Error}  On malformed JSON or missing required fields
- */
-function parseFigmaExport(json) {
-  let data;
+ * @param {{ name: string, value: string, type: string|null, description: string|null }} entry
+ * @returns {{
+ *   cssName:     string,   // "--semantic-color-brand-default"
+ *   cssValue:    string,   // "var(--primitive-color-blue-600)"
+ *   figmaName:   string,   // "semantic.color.brand.default"
+ *   figmaValue:  string,   // "{primitive.color.blue.600}"
+ *   tier:        string|null,
+ *   type:        string|null,   // DTCG $type (null for flat exports)
+ *   description: string|null    // DTCG $description
+ * }}
+ */
+function toFigmaToken(entry) {
+  return {
+    cssName    : figmaNameToCSSVar(entry.name),
+    cssValue   : figmaValueToCSS(entry.value),
+    figmaName  : entry.name,
+    figmaValue : entry.value,
+    tier       : getTierFromFigmaName(entry.name),
+    type       : entry.type,
+    description: entry.description,
+  };
+}
+
+/**
+ * Parse a Figma export file's JSON text.
+ * @param {string} json
+ * @returns {Object}
+ * @throws {Error}  On malformed JSON
+ */
+function parseJSON(json) {
   try {
-    data = JSON.parse(json);
+    return JSON.parse(json);
   } catch (e) {
     throw new Error(`Invalid JSON: ${e.message}`);
   }
+}
 
-  if (!data || !Array.isArray(data.tokens)) {
-    throw new Error('Figma export must contain a "tokens" array at the root level');
+/**
+ * Load figma-variables.config.json — the collection/mode → selector mapping
+ * a Figma Variables export needs. Returns null when the file does not exist.
+ *
+ * @returns {Object|null}
+ * @throws {Error}  On malformed JSON
+ */
+function loadVariablesConfig() {
+  if (!fs.existsSync(FIGMA_VARIABLES_CONFIG)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(FIGMA_VARIABLES_CONFIG, 'utf8'));
+  } catch (e) {
+    throw new Error(`${path.basename(FIGMA_VARIABLES_CONFIG)}: ${e.message}`);
   }
+}
 
-  return data.tokens.map((entry, idx) => {
-    if (typeof entry.name !== 'string' || !entry.name.trim()) {
-      throw new Error(`Token[${idx}] is missing a valid "name" field`);
-    }
-    if (typeof entry.value !== 'string') {
-      throw new Error(`Token "${entry.name}" is missing a valid "value" field`);
-    }
+/**
+ * Parse a Figma JSON export and convert all entries to CSS-ready form.
+ *
+ * The format is detected automatically (scripts/lib/figma-formats.js):
+ *   flat            — { "tokens": [{ "name": "semantic.color.brand.default", "value": "{primitive.color.blue.600}" }] }
+ *   dtcg            — W3C design tokens: nested groups of { "$value", "$type", "$description" }
+ *   tokens-studio   — token sets plus "$themes"; every set, merged in set order
+ *   figma-variables — GET /v1/files/:key/variables/local response; default-mode values
+ *
+ * All are flattened to the same dot-notation entries; "$type" and
+ * "$description" ride along as metadata.
+ *
+ * @param {string} json  Raw JSON string from the Figma export file
+ * @param {Object|null} [variablesConfig]  figma-variables.config.json contents
+ * @returns {Array<ReturnType<typeof toFigmaToken>>}
+ * @throws {Error}  On malformed JSON, an unrecognized format or unreadable tokens
+ */
+function parseFigmaExport(json, variablesConfig = loadVariablesConfig()) {
+  return readFigmaExport(parseJSON(json), { variablesConfig }).tokens.map(toFigmaToken);
+}
 
-    return {
-      cssName   : figmaNameToCSSVar(entry.name),
-      cssValue  : figmaValueToCSS(entry.value),
-      figmaName : entry.name,
-      figmaValue: entry.value,
-      tier      : getTierFromFigmaName(entry.name),
-    };
-  });
+/**
+ * Parse the scoped token lists of an export ([] for flat and DTCG exports):
+ * one per Tokens Studio theme ([data-theme="<slug>"]) or per selector that
+ * Figma Variables modes map to. `sources` are tokens the scope references
+ * but does not emit (Tokens Studio "source" sets, default-mode variables).
+ *
+ * @param {string} json
+ * @param {Object|null} [variablesConfig]
+ * @returns {Array<{ name: string, slug: string, selector: string, tokens: Array, sources: Array }>}
+ */
+function parseFigmaThemes(json, variablesConfig = loadVariablesConfig()) {
+  return readFigmaExport(parseJSON(json), { variablesConfig }).themes.map(theme => ({
+    name     : theme.name,
+    slug     : theme.slug,
+    selector : theme.selector,
+    tokens   : theme.tokens.map(toFigmaToken),
+    sources  : theme.sources.map(toFigmaToken),
+  }));
 }
 
 // ─── Architecture Validation ──────────────────────────────────────────────────
@@ -356,6 +472,30 @@ function validateFigmaTiers(figmaTokens) {
   return errors;
 }
 
+/**
+ * Theme contract (Phase 2 — validate-tokens.js rule 7a): a scope other than
+ * :root — a Tokens Studio theme, a Figma Variables mode — overrides
+ * primitive tokens only. Semantic and component tokens are defined once, in
+ * :root, and follow the primitives they reference in every theme.
+ *
+ * Only the scope's own tokens are checked; its source sets resolve
+ * references and are never written to the scope.
+ *
+ * @param {Array} scopeTokens
+ * @param {{ selector: string }} theme
+ * @returns {Array<{ message: string, detail: string }>}
+ */
+function validateScopeContract(scopeTokens, theme) {
+  if (isRootScope(theme.selector)) return [];
+  return scopeTokens
+    .filter(token => token.tier && token.tier !== 'primitive')
+    .map(token => ({
+      message : `Theme contract: ${token.figmaName} in ${theme.selector}`,
+      detail  : `${token.tier} tokens are defined in :root only — a theme overrides primitive tokens; ` +
+                'change the primitive this token references instead',
+    }));
+}
+
 // ─── Cycle Detection ──────────────────────────────────────────────────────────
 
 /**
@@ -445,6 +585,30 @@ function findCycles(graph) {
 
 // ─── Diff Engine ─────────────────────────────────────────────────────────────
 
+/**
+ * Length values at the 16px root: '0.25rem' and '4px' are the same value.
+ * Figma has no rem, so Figma Variables exports carry pixels for the rem
+ * lengths the CSS defines (scripts/lib/figma-formats.js).
+ */
+const ROOT_FONT_SIZE_PX = 16;
+
+/**
+ * True when a CSS and a Figma value are the same: equal text, or one
+ * px / rem length with the same size at the root font size.
+ * @param {string} cssValue
+ * @param {string} figmaValue
+ * @returns {boolean}
+ */
+function sameValue(cssValue, figmaValue) {
+  if (cssValue === figmaValue) return true;
+  const px = value => {
+    const m = /^(-?\d*\.?\d+)(px|rem)$/.exec(value.trim());
+    return m ? parseFloat(m[1]) * (m[2] === 'rem' ? ROOT_FONT_SIZE_PX : 1) : null;
+  };
+  const a = px(cssValue);
+  return a !== null && a === px(figmaValue);
+}
+
 /**
  * Diff Figma tokens against the compiled CSS token set.
  *
@@ -454,15 +618,22 @@ function findCycles(graph) {
  *
  * Classification:
  *   NEW       — token exists in Figma but not in CSS
- *   MODIFIED  — token exists in both but values differ (string comparison)
+ *   MODIFIED  — token exists in both but values differ
  *   REMOVED   — token exists in CSS (within Figma's tiers) but not in Figma
  *   UNCHANGED — token exists in both and values are identical
  *
- * Value comparison is a direct string equality check after both sides have
- * been normalized to CSS format. No computed-value equivalence is attempted.
+ * Values are compared as text after both sides have been normalized to CSS
+ * format; the one equivalence is px / rem lengths (sameValue). No other
+ * computed-value equivalence is attempted.
+ *
+ * A theme or mode scope passes its override block as `cssTokens` and the
+ * :root values as `inherited`: a Figma token the block does not override
+ * is NEW only when its value differs from the one the scope inherits, and
+ * REMOVED lists overrides the scope no longer makes.
  *
  * @param {Map<string, { value: string }>} cssTokens
  * @param {Array<{ cssName: string, cssValue: string }>} figmaTokens
+ * @param {Map<string, { value: string }>|null} [inherited]
  * @returns {{
  *   added:     Array<{ name: string, figmaValue: string }>,
  *   modified:  Array<{ name: string, cssValue: string, figmaValue: string }>,
@@ -470,7 +641,7 @@ function findCycles(graph) {
  *   unchanged: Array<{ name: string }>
  * }}
  */
-function diffTokens(cssTokens, figmaTokens) {
+function diffTokens(cssTokens, figmaTokens, inherited = null) {
   const figmaMap = new Map(figmaTokens.map(t => [t.cssName, t.cssValue]));
 
   // Filter CSS tokens to only those in Figma's tier universe
@@ -490,10 +661,15 @@ function diffTokens(cssTokens, figmaTokens) {
   // Classify each Figma token relative to CSS
   for (const [name, figmaValue] of figmaMap) {
     if (!cssRelevant.has(name)) {
-      added.push({ name, figmaValue });
+      // Not overridden by the scope, and Figma agrees with what it inherits
+      if (inherited && inherited.has(name) && sameValue(inherited.get(name).value, figmaValue)) {
+        unchanged.push({ name });
+      } else {
+        added.push({ name, figmaValue });
+      }
     } else {
       const cssValue = cssRelevant.get(name).value;
-      if (cssValue !== figmaValue) {
+      if (!sameValue(cssValue, figmaValue)) {
         modified.push({ name, cssValue, figmaValue });
       } else {
         unchanged.push({ name });
@@ -525,20 +701,23 @@ function diffTokens(cssTokens, figmaTokens) {
  *
  * @param {{
  *   figmaFile:  string,
+ *   format:     'flat'|'dtcg'|'tokens-studio'|'figma-variables',
+ *   theme:      { name: string, selector: string } | null,   // theme / mode scope
  *   cssFile:    string,
  *   archErrors: Array<{ message: string, detail?: string }>,
  *   noCycles:   boolean,
  *   diff:       { added, modified, removed, unchanged } | null
  * }} params
  */
-function printSyncReport({ figmaFile, cssFile, archErrors, noCycles, diff }) {
+function printSyncReport({ figmaFile, format, theme, cssFile, archErrors, noCycles, diff }) {
   const relFigma = path.relative(process.cwd(), figmaFile);
   const relCSS   = path.relative(process.cwd(), cssFile);
 
   console.log('');
   console.log(SEP);
   console.log('Figma Sync Dry Run Report');
-  console.log(`Figma source : ${relFigma}`);
+  console.log(`Figma source : ${relFigma}  (${format})`);
+  if (theme) console.log(`Scope        : ${theme.name}  →  ${theme.selector}`);
   console.log(`CSS source   : ${relCSS}`);
   console.log(SEP);
   console.log('');
@@ -621,9 +800,176 @@ function printSyncReport({ figmaFile, cssFile, archErrors, noCycles, diff }) {
   console.log('');
 }
 
+// ─── Component Impact ─────────────────────────────────────────────────────────
+
+/**
+ * Read the components of component.registry.json, keyed by component id.
+ * Returns {} when the file does not exist.
+ *
+ * @returns {Object<string, { name: string, tokenPrefix?: string, bemBlock?: string }>}
+ */
+function loadComponentRegistry() {
+  if (!fs.existsSync(COMPONENT_REGISTRY_FILE)) return {};
+  return JSON.parse(fs.readFileSync(COMPONENT_REGISTRY_FILE, 'utf8')).components || {};
+}
+
+/**
+ * The registered component a graph node belongs to: a token by its
+ * tokenPrefix, a rule by its BEM block (.ds-btn, .ds-btn__icon,
+ * .ds-btn--primary). null for anything else.
+ *
+ * @param {{ kind: string, id: string, selector?: string }} node
+ * @param {Object<string, { tokenPrefix?: string, bemBlock?: string }>} components
+ * @returns {string|null}  component id
+ */
+function componentOfNode(node, components) {
+  for (const [id, c] of Object.entries(components)) {
+    if (node.kind === 'token' && c.tokenPrefix && node.id.startsWith(`${c.tokenPrefix}-`)) return id;
+    if (node.kind === 'rule' && c.bemBlock && new RegExp(`\\.${c.bemBlock}(?=__|--|[^\\w-]|$)`).test(node.selector)) {
+      return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Registered components that consume the changed tokens, directly or
+ * through other tokens, in the compiled CSS dependency graph. A changed
+ * component token counts as affecting its own component.
+ *
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @param {string[]} changed  added, modified and removed CSS names (names
+ *        missing from the compiled CSS have no dependents)
+ * @param {Object<string, { name: string }>} components
+ * @returns {Array<{ id: string, name: string, changed: string[], tokens: string[], rules: string[] }>}
+ */
+function analyzeComponentImpact(graph, changed, components) {
+  const impact = new Map();
+  const entry  = id => {
+    if (!impact.has(id)) impact.set(id, { changed: new Set(), tokens: new Set(), rules: new Set() });
+    return impact.get(id);
+  };
+
+  for (const token of changed) {
+    const own = graph.nodes.has(token) ? componentOfNode(graph.nodes.get(token), components) : null;
+    if (own) {
+      entry(own).changed.add(token);
+      entry(own).tokens.add(token);
+    }
+    if (!graph.nodes.has(token)) continue;
+
+    for (const { id } of dependentsOf(graph, token)) {
+      const node      = graph.nodes.get(id);
+      const component = componentOfNode(node, components);
+      if (!component) continue;
+      entry(component).changed.add(token);
+      if (node.kind === 'rule') entry(component).rules.add(node.selector);
+      else entry(component).tokens.add(node.id);
+    }
+  }
+
+  return Object.keys(components)
+    .filter(id => impact.has(id))
+    .map(id => ({
+      id,
+      name    : components[id].name || id,
+      changed : [...impact.get(id).changed],
+      tokens  : [...impact.get(id).tokens],
+      rules   : [...impact.get(id).rules],
+    }));
+}
+
+/**
+ * One scope of the markdown / json report: the diff with resolved values
+ * (for swatches) and its component impact.
+ *
+ * @param {{
+ *   theme:      { name: string, selector: string } | null,
+ *   archErrors: Array<{ message: string, detail?: string }>,
+ *   noCycles:   boolean,
+ *   diff:       { added, modified, removed, unchanged } | null,
+ *   cssTokens:  Map<string, { value: string }>,   // the scope in the compiled CSS
+ *   figmaDefs:  Map<string, { value: string }>,   // the scope's Figma tokens (CSS names)
+ *   graph:      { nodes: Map, edges: Map },
+ *   components: Object
+ * }} params
+ * @returns {Object}  one entry of renderSyncMarkdown's model.scopes
+ */
+function buildScopeReport({ theme, archErrors, noCycles, diff, cssTokens, figmaDefs, graph, components }) {
+  const scope = {
+    name     : theme ? theme.name : null,
+    selector : theme ? theme.selector : null,
+    blocked  : archErrors.length > 0,
+    noCycles,
+    errors   : archErrors.map(e => ({ message: e.message, detail: e.detail || null })),
+  };
+  if (scope.blocked) return { ...scope, added: [], modified: [], removed: [], unchanged: 0, impact: [] };
+
+  // Figma values resolve through the export first, then the compiled CSS
+  const figmaScope = new Map([...cssTokens, ...figmaDefs]);
+  // Added tokens count too: in a theme they are new overrides of existing tokens
+  const changed    = [...diff.added, ...diff.modified, ...diff.removed].map(t => t.name);
+
+  return {
+    ...scope,
+    added     : diff.added.map(t => ({ name: t.name, value: t.figmaValue, resolved: resolveValue(t.name, figmaScope) })),
+    modified  : diff.modified.map(t => ({
+      name          : t.name,
+      code          : t.cssValue,
+      figma         : t.figmaValue,
+      codeResolved  : resolveValue(t.name, cssTokens),
+      figmaResolved : resolveValue(t.name, figmaScope),
+    })),
+    removed   : diff.removed.map(t => ({ name: t.name, value: t.cssValue, resolved: resolveValue(t.name, cssTokens) })),
+    unchanged : diff.unchanged.length,
+    impact    : analyzeComponentImpact(graph, changed, components),
+  };
+}
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse CLI arguments.
+ *
+ * @param {string[]} argv  process.argv
+ * @returns {{ figmaFile: string, format: 'text'|'markdown'|'json', out: string|null }}
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const opts = {
+    figmaFile : path.resolve(process.cwd(), 'figma-export.json'),
+    format    : 'text',
+    out       : null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format' && args[i + 1])   opts.format = args[++i];
+    else if (a.startsWith('--format='))    opts.format = a.slice('--format='.length);
+    else if (a === '--out' && args[i + 1]) opts.out = path.resolve(process.cwd(), args[++i]);
+    else if (!a.startsWith('--'))          opts.figmaFile = path.resolve(process.cwd(), a);
+    else {
+      console.error(`${FAIL} Unknown option "${a}"`);
+      process.exit(1);
+    }
+  }
+
+  if (!FORMATS.includes(opts.format)) {
+    console.error(`${FAIL} Unknown --format "${opts.format}" — expected one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  if (opts.out && opts.format === 'text') {
+    console.error(`${FAIL} --out needs --format markdown or --format json`);
+    process.exit(1);
+  }
+
+  return opts;
+}
+
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
 function main() {
+  const opts = parseArgs(process.argv);
 
   // ── a) Locate compiled CSS ────────────────────────────────────────────────
   let cssFile = null;
@@ -636,64 +982,149 @@ function main() {
     console.warn(`${WARN} No compiled CSS found. Run \`npm run build\` first.`);
     console.warn('    Candidates checked:');
     for (const c of CSS_CANDIDATES) console.warn(`      ${c}`);
-    process.exit(0);  // not a hard failure — skip validation, allow the build
+    return;  // not a hard failure — skip validation, allow the build (exit 0)
   }
 
   // ── b) Locate Figma export file ───────────────────────────────────────────
-  const figmaArg  = process.argv[2];
-  const figmaFile = figmaArg
-    ? path.resolve(process.cwd(), figmaArg)
-    : path.resolve(process.cwd(), 'figma-export.json');
+  const { figmaFile } = opts;
 
   if (!fs.existsSync(figmaFile)) {
     console.error('');
     console.error(`${FAIL} Figma export file not found: ${path.relative(process.cwd(), figmaFile)}`);
-    console.error('    Usage: node scripts/figma-sync-dry-run.js [path/to/figma-export.json]');
+    console.error('    Usage: node scripts/figma-sync-dry-run.js [path/to/figma-export.json] [--format text|markdown|json]');
     console.error('    Default: figma-export.json  (project root)');
-    process.exit(1);
+    process.exitCode = 1;
+    return;
   }
 
-  // ── c) Parse CSS tokens ────────────────────────────────────────────────────
-  const css       = fs.readFileSync(cssFile, 'utf8');
-  const cssTokens = parseCSSTokens(css);
+  // ── c) Read compiled CSS ──────────────────────────────────────────────────
+  const css = fs.readFileSync(cssFile, 'utf8');
 
   // ── d) Parse Figma tokens ─────────────────────────────────────────────────
   const figmaJSON = fs.readFileSync(figmaFile, 'utf8');
   let figmaTokens;
+  let themes;
+  let format;
   try {
-    figmaTokens = parseFigmaExport(figmaJSON);
+    const variablesConfig = loadVariablesConfig();
+    figmaTokens = parseFigmaExport(figmaJSON, variablesConfig);
+    themes      = parseFigmaThemes(figmaJSON, variablesConfig);
+    format      = detectFigmaFormat(JSON.parse(figmaJSON));
   } catch (e) {
     console.error(`${FAIL} Failed to parse Figma export: ${e.message}`);
-    process.exit(1);
+    process.exitCode = 1;
+    return;
   }
 
-  // ── e) Validate Figma architecture ────────────────────────────────────────
-  const archErrors = validateFigmaTiers(figmaTokens);
-  const figmaGraph = buildFigmaGraph(figmaTokens);
-  const cycles     = findCycles(figmaGraph);
-  const noCycles   = cycles.length === 0;
-
-  for (const cycle of cycles) {
-    archErrors.push({
-      message : `Circular dependency: ${cycle.join(' → ')}`,
-    });
+  // Tokens Studio themes and Figma Variables modes are checked scope by
+  // scope, each against its own selector; anything else is one :root check.
+  // A scope other than :root is diffed against its own override block, with
+  // the :root values it inherits; cssTokens is everything the scope sees.
+  const rootTokens = parseCSSTokens(css);
+  const targets = themes.length > 0
+    ? themes.map(theme => {
+        const root = isRootScope(theme.selector);
+        return {
+          theme,
+          tokens    : theme.tokens,
+          sources   : theme.sources,
+          cssTokens : root ? rootTokens : parseCSSTokens(css, theme.selector),
+          cssDefs   : root ? rootTokens : parseScopeOverrides(css, theme.selector),
+          inherited : root ? null : rootTokens,
+        };
+      })
+    : [{ theme: null, tokens: figmaTokens, sources: [], cssTokens: rootTokens, cssDefs: rootTokens, inherited: null }];
+
+  // The markdown / json report attributes changes to components
+  const report = opts.format === 'text' ? null : { graph: buildDependencyGraph(css), components: null, scopes: [] };
+  if (report) {
+    try {
+      report.components = loadComponentRegistry();
+    } catch (e) {
+      console.error(`${FAIL} Could not read ${path.relative(process.cwd(), COMPONENT_REGISTRY_FILE)}: ${e.message}`);
+      process.exitCode = 1;
+      return;
+    }
   }
 
-  // Architecture violations block the sync entirely — diff is skipped
-  if (archErrors.length > 0) {
-    printSyncReport({ figmaFile, cssFile, archErrors, noCycles, diff: null });
-    process.exit(1);
-  }
+  let blocked = false;
+  for (const { theme, tokens, sources, cssTokens, cssDefs, inherited } of targets) {
+
+    // ── e) Validate Figma architecture ──────────────────────────────────────
+    // Source sets are validated with the theme: its references resolve there
+    const archErrors = [
+      ...validateFigmaTiers([...sources, ...tokens]),
+      ...(theme ? validateScopeContract(tokens, theme) : []),
+    ];
+    const figmaGraph = buildFigmaGraph([...sources, ...tokens]);
+    const cycles     = findCycles(figmaGraph);
+    const noCycles   = cycles.length === 0;
+
+    for (const cycle of cycles) {
+      archErrors.push({
+        message : `Circular dependency: ${cycle.join(' → ')}`,
+      });
+    }
 
-  // ── f) Diff ───────────────────────────────────────────────────────────────
-  const diff = diffTokens(cssTokens, figmaTokens);
+    // Architecture violations block the sync entirely — diff is skipped
+    if (archErrors.length > 0) {
+      if (report) {
+        report.scopes.push(buildScopeReport({ theme, archErrors, noCycles, diff: null, cssTokens }));
+      } else {
+        printSyncReport({ figmaFile, format, theme, cssFile, archErrors, noCycles, diff: null });
+      }
+      blocked = true;
+      continue;
+    }
 
-  // ── g) Report + exit ─────────────────────────────────────────────────────
-  printSyncReport({ figmaFile, cssFile, archErrors, noCycles, diff });
+    // ── f) Diff ─────────────────────────────────────────────────────────────
+    // :root: tokens only in source sets are not removed — the scope merely
+    // references them. A theme's overrides are all its own.
+    const sourceNames = new Set(sources.map(t => t.cssName));
+    const diff        = diffTokens(cssDefs, tokens, inherited);
+    if (!inherited) diff.removed = diff.removed.filter(t => !sourceNames.has(t.name));
+
+    // ── g) Report ───────────────────────────────────────────────────────────
+    if (report) {
+      const figmaDefs = new Map([...sources, ...tokens].map(t => [t.cssName, { value: t.cssValue }]));
+      report.scopes.push(buildScopeReport({
+        theme, archErrors, noCycles, diff, cssTokens, figmaDefs, graph: report.graph, components: report.components,
+      }));
+    } else {
+      printSyncReport({ figmaFile, format, theme, cssFile, archErrors, noCycles, diff });
+    }
+  }
+
+  if (report) {
+    const model = {
+      figmaFile : path.relative(process.cwd(), figmaFile),
+      format,
+      cssFile   : path.relative(process.cwd(), cssFile),
+      passed    : !blocked,
+      scopes    : report.scopes,
+    };
+    const output = opts.format === 'markdown' ? renderSyncMarkdown(model) : JSON.stringify(model, null, 2) + '\n';
+    if (opts.out) {
+      fs.writeFileSync(opts.out, output, 'utf8');
+      console.error(`[figma-sync] ${opts.format} report → ${path.relative(process.cwd(), opts.out)}`);
+    } else {
+      process.stdout.write(output);
+    }
+  }
 
   // Diff changes are informational — they do not fail the run.
   // A developer must deliberately apply them to SCSS.
-  process.exit(0);
+  // exitCode, not process.exit(): a piped stdout is written asynchronously,
+  // and exiting would cut the report off at the pipe buffer
+  process.exitCode = blocked ? 1 : 0;
 }
 
-main();
+// Run as a script; when required (scripts/token-graph.js --figma), only the
+// export parser and graph builder are used.
+if (require.main === module) main();
+
+module.exports = {
+  parseFigmaExport,
+  parseFigmaThemes,
+  buildFigmaGraph,
+};
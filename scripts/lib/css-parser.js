@@ -0,0 +1,393 @@
+'use strict';
+// =============================================================================
+// CSS PARSER — SHARED TOKENIZER + AST WALKER
+// FILE: scripts/lib/css-parser.js
+//
+// PURPOSE:
+//   Single CSS parser shared by every script that reads compiled CSS:
+//     scripts/validate-tokens.js      (Phase 10 — token graph validator)
+//     scripts/figma-sync-dry-run.js   (Phase 11 — Figma sync dry run)
+//     scripts/figma-sync-apply.js     (Phase 12 — theme sync apply)
+//     scripts/lib/token-graph.js      (token resolution — validator, token-api-diff)
+//
+//   Replaces the per-script line-based brace counters, which mis-parsed:
+//     - minified output (dist/ds-preview.min.css — everything on one line)
+//     - selector lists such as `:root, [data-theme="light"] {`
+//     - comments containing braces or starting mid-line
+//     - several declarations on one line
+//
+// HOW IT WORKS:
+//   A single character-level pass that understands comments, strings,
+//   escapes and parentheses. Structural characters ({ } ;) are only honoured
+//   outside strings, comments and parentheses, so values such as
+//   url("data:…;…") or content: "}" never break the block structure.
+//
+//   The result is a small AST:
+//     stylesheet  { children }
+//     atrule      { name, params, children|null, line, column }
+//     rule        { selector, selectors, children, line, column }
+//     decl        { property, value, important, line, column }
+//     comment     { text, line, column }
+//
+//   stylesheet.errors lists what the parser had to recover from, as
+//   { message, line, column }: an unclosed ( or {, or a stray }.
+//
+//   walk() visits every node in document order with its context:
+//     layer     — dotted name of the enclosing @layer block(s), or null
+//     selectors — selector list of the innermost enclosing rule
+//     inRoot    — innermost enclosing rule's selector list contains :root
+//     rule      — innermost enclosing rule node, or null
+//     atRules   — enclosing at-rules, outermost first
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only
+//   - Never throws on malformed input: unbalanced braces are closed at EOF,
+//     stray closing braces are ignored — and each recovery is recorded in
+//     stylesheet.errors
+//   - A } inside parentheses is text, like { and ; — an unclosed ( runs to
+//     the end of the input, as in the browser, and is reported
+//   - Whitespace in preludes and values is collapsed to single spaces
+//     (outside strings), so expanded and minified builds compare equal
+// =============================================================================
+
+// ─── Parser ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a CSS string into an AST.
+ *
+ * Line and column numbers are 1-based and point at the first non-whitespace
+ * character of each statement (the property name for declarations, the
+ * selector for rules, the @ for at-rules).
+ *
+ * @param {string} css
+ * @returns {{ type: 'stylesheet', children: Array<Object>,
+ *             errors: Array<{ message: string, line: number, column: number }> }}
+ */
+function parse(css) {
+  const root  = { type: 'stylesheet', children: [], errors: [] };
+  const stack = [root];
+
+  let line   = 1;
+  let column = 1;
+
+  // Current statement buffer (comments removed, whitespace collapsed)
+  let buf       = '';
+  let bufLine   = 0;
+  let bufColumn = 0;
+  let parens    = 0;
+  let parenLine   = 0;
+  let parenColumn = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  /** Advance the position counters over css[from, to). */
+  function advance(from, to) {
+    for (let k = from; k < to; k++) {
+      if (css[k] === '\n') { line++; column = 1; }
+      else column++;
+    }
+  }
+
+  /** Append text to the statement buffer, remembering where it started. */
+  function append(text) {
+    if (buf === '') {
+      if (/^\s+$/.test(text)) return;   // leading whitespace is not content
+      bufLine   = line;
+      bufColumn = column;
+    }
+    buf += text;
+  }
+
+  function resetBuffer() {
+    buf       = '';
+    bufLine   = 0;
+    bufColumn = 0;
+    parens    = 0;
+  }
+
+  /** Close the buffered text as a block-less statement (declaration or @rule;). */
+  function flushStatement() {
+    const text = buf.trim();
+    if (text !== '') {
+      const node = text.startsWith('@')
+        ? makeAtRule(text, null, bufLine, bufColumn)
+        : makeDeclaration(text, bufLine, bufColumn);
+      if (node) current().children.push(node);
+    }
+    resetBuffer();
+  }
+
+  let i = 0;
+  while (i < css.length) {
+    const ch = css[i];
+
+    // ── Comment ─────────────────────────────────────────────────────────────
+    if (ch === '/' && css[i + 1] === '*') {
+      const end  = css.indexOf('*/', i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      current().children.push({
+        type   : 'comment',
+        text   : css.slice(i + 2, end === -1 ? css.length : end).trim(),
+        line,
+        column,
+      });
+      if (buf !== '' && !/\s$/.test(buf)) buf += ' ';
+      advance(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // ── String ──────────────────────────────────────────────────────────────
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < css.length && css[j] !== ch && css[j] !== '\n') {
+        j += css[j] === '\\' ? 2 : 1;
+      }
+      const stop = Math.min(j + 1, css.length);
+      append(css.slice(i, stop));
+      advance(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // ── Escape (e.g. `.md\:p-4`, `\{`) — never structural ──────────────────
+    if (ch === '\\') {
+      const stop = Math.min(i + 2, css.length);
+      append(css.slice(i, stop));
+      advance(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // ── Whitespace — collapsed to a single space ────────────────────────────
+    if (/\s/.test(ch)) {
+      if (buf !== '' && !/\s$/.test(buf)) buf += ' ';
+      advance(i, i + 1);
+      i++;
+      continue;
+    }
+
+    if (ch === '(' && parens++ === 0) {
+      parenLine   = line;
+      parenColumn = column;
+    }
+    if (ch === ')' && parens > 0) parens--;
+
+    if (ch === '{' && parens === 0) {
+      // ── Block opens: rule or at-rule ────────────────────────────────────
+      const prelude = buf.trim();
+      const node    = prelude.startsWith('@')
+        ? makeAtRule(prelude, [], bufLine || line, bufColumn || column)
+        : makeRule(prelude, bufLine || line, bufColumn || column);
+      current().children.push(node);
+      stack.push(node);
+      resetBuffer();
+    } else if (ch === ';' && parens === 0) {
+      flushStatement();
+    } else if (ch === '}' && parens === 0) {
+      // ── Block closes (last declaration may omit its semicolon) ──────────
+      flushStatement();
+      if (stack.length > 1) stack.pop();
+      else root.errors.push({ message: 'Stray "}" ignored', line, column });
+    } else {
+      append(ch);
+    }
+
+    advance(i, i + 1);
+    i++;
+  }
+
+  if (parens > 0) {
+    root.errors.push({
+      message : 'Unclosed "(" — everything after it was read as one value',
+      line    : parenLine,
+      column  : parenColumn,
+    });
+  }
+  flushStatement();
+  for (const node of stack.slice(1).reverse()) {
+    const label = node.type === 'rule' ? node.selector : `@${node.name} ${node.params}`.trim();
+    root.errors.push({ message: `Unclosed "{" of ${label} — closed at the end of the input`, line: node.line, column: node.column });
+  }
+  return root;
+}
+
+// ─── Node factories ───────────────────────────────────────────────────────────
+
+/**
+ * @param {string} prelude   e.g. '@layer tokens'
+ * @param {Array|null} children  [] for block at-rules, null for statements
+ * @param {number} line
+ * @param {number} column
+ */
+function makeAtRule(prelude, children, line, column) {
+  const m = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/);
+  return {
+    type   : 'atrule',
+    name   : m ? m[1] : '',
+    params : m ? m[2].trim() : prelude.slice(1).trim(),
+    children,
+    line,
+    column,
+  };
+}
+
+/**
+ * @param {string} selector
+ * @param {number} line
+ * @param {number} column
+ */
+function makeRule(selector, line, column) {
+  return {
+    type      : 'rule',
+    selector,
+    selectors : splitTopLevel(selector, ','),
+    children  : [],
+    line,
+    column,
+  };
+}
+
+/**
+ * Build a declaration node from "property: value [!important]".
+ * Returns null for text that has no top-level colon (not a declaration).
+ *
+ * @param {string} text
+ * @param {number} line
+ * @param {number} column
+ */
+function makeDeclaration(text, line, column) {
+  const colon = text.indexOf(':');
+  if (colon <= 0) return null;
+
+  const property = text.slice(0, colon).trim();
+  let value      = text.slice(colon + 1).trim();
+  let important  = false;
+
+  const imp = value.match(/\s*!\s*important$/i);
+  if (imp) {
+    important = true;
+    value     = value.slice(0, imp.index).trim();
+  }
+
+  return { type: 'decl', property, value, important, line, column };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Split a string on a separator character, ignoring separators nested in
+ * parentheses, brackets or strings.
+ *
+ *   ':root, [data-theme="a,b"]'  →  [':root', '[data-theme="a,b"]']
+ *   'a, b'  (sep ',')            →  ['a', 'b']
+ *
+ * @param {string} text
+ * @param {string} sep  single character
+ * @returns {string[]}  trimmed, empty parts removed
+ */
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth   = 0;
+  let quote   = null;
+  let start   = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '\\') i++;
+    else if (ch === '(' || ch === '[') depth++;
+    else if ((ch === ')' || ch === ']') && depth > 0) depth--;
+    else if (ch === sep && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * True when a selector list targets :root.
+ * @param {string[]} selectors
+ * @returns {boolean}
+ */
+function isRootSelectorList(selectors) {
+  return selectors.some(s => s === ':root');
+}
+
+// ─── Walker ───────────────────────────────────────────────────────────────────
+
+/**
+ * Visit every node of the AST in document order.
+ *
+ * The callback receives (node, context). Context objects are immutable
+ * snapshots — they are safe to keep after the walk returns.
+ *
+ * @param {{ children: Array }} ast
+ * @param {(node: Object, ctx: {
+ *   layer:     string|null,
+ *   selectors: string[],
+ *   inRoot:    boolean,
+ *   rule:      Object|null,
+ *   atRules:   Array<{ name: string, params: string }>
+ * }) => void} callback
+ */
+function walk(ast, callback) {
+  const initial = { layer: null, selectors: [], inRoot: false, rule: null, atRules: [] };
+
+  function visit(nodes, ctx) {
+    for (const node of nodes) {
+      callback(node, ctx);
+      if (!node.children) continue;
+
+      if (node.type === 'atrule') {
+        const next = {
+          ...ctx,
+          atRules: [...ctx.atRules, { name: node.name, params: node.params }],
+        };
+        if (node.name === 'layer') {
+          const name = node.params || '<anonymous>';
+          next.layer = ctx.layer ? `${ctx.layer}.${name}` : name;
+        }
+        visit(node.children, next);
+      } else if (node.type === 'rule') {
+        visit(node.children, {
+          ...ctx,
+          selectors : node.selectors,
+          inRoot    : isRootSelectorList(node.selectors),
+          rule      : node,
+        });
+      }
+    }
+  }
+
+  visit(ast.children, initial);
+}
+
+/**
+ * Visit every declaration with its context.
+ * Convenience wrapper around walk() for the common case.
+ *
+ * @param {{ children: Array }} ast
+ * @param {(decl: Object, ctx: Object) => void} callback
+ */
+function walkDeclarations(ast, callback) {
+  walk(ast, (node, ctx) => {
+    if (node.type === 'decl') callback(node, ctx);
+  });
+}
+
+module.exports = {
+  parse,
+  walk,
+  walkDeclarations,
+  splitTopLevel,
+  isRootSelectorList,
+};
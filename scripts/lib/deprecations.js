@@ -0,0 +1,121 @@
+'use strict';
+// =============================================================================
+// TOKEN DEPRECATIONS — REGISTRY LOADER
+// FILE: scripts/lib/deprecations.js
+//
+// PURPOSE:
+//   Reads tokens.deprecations.json, the single record of deprecated tokens:
+//     {
+//       "deprecations": [
+//         { "token": "--old", "deprecatedSince": "1.1.0", "removeIn": "2.0.0",
+//           "replacement": "--new", "reason": "…" }
+//       ]
+//     }
+//
+//   Shared by:
+//     scripts/validate-tokens.js          (rule 16 — deprecated token usage)
+//     scripts/emit-deprecation-aliases.js (alias declarations for the build)
+//
+// LIFECYCLE (package.json "version" against each entry):
+//   version <  removeIn — grace period: the build emits `--old: var(--new)`,
+//                         usages are reported as warnings
+//   version >= removeIn — removed: no alias, any usage or definition is an error
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only
+//   - Malformed entries throw: a half-read registry must never pass silently
+// =============================================================================
+
+const fs = require('fs');
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Compare two x.y.z versions (pre-release and build suffixes are ignored).
+ *
+ *   compareVersions('1.10.0', '1.9.2')  →  1
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}  negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const pa = a.split(/[-+]/)[0].split('.').map(Number);
+  const pb = b.split(/[-+]/)[0].split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * True once `version` has reached the entry's removeIn version.
+ * @param {{ removeIn: string }} entry
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isRemoved(entry, version) {
+  return compareVersions(version, entry.removeIn) >= 0;
+}
+
+/**
+ * Load and check the deprecation registry. Returns [] when the file does not
+ * exist. Throws on a malformed entry, naming the entry.
+ *
+ * @param {string} file
+ * @returns {Array<{ token: string, deprecatedSince: string, removeIn: string,
+ *                   replacement: string|null, reason: string }>}
+ */
+function loadDeprecations(file) {
+  if (!fs.existsSync(file)) return [];
+  return parseDeprecations(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Check the registry contents — the JSON text of tokens.deprecations.json,
+ * e.g. as read from a git ref. Throws on a malformed entry.
+ *
+ * @param {string} text
+ * @returns {Array<{ token: string, deprecatedSince: string, removeIn: string,
+ *                   replacement: string|null, reason: string }>}
+ */
+function parseDeprecations(text) {
+  const data    = JSON.parse(text);
+  const entries = data.deprecations || [];
+  const seen    = new Set();
+
+  for (const entry of entries) {
+    const label = entry.token || JSON.stringify(entry);
+    if (typeof entry.token !== 'string' || !entry.token.startsWith('--')) {
+      throw new Error(`${label}: "token" must be a custom property name`);
+    }
+    for (const field of ['deprecatedSince', 'removeIn']) {
+      if (!VERSION_PATTERN.test(entry[field] || '')) {
+        throw new Error(`${label}: "${field}" must be an x.y.z version`);
+      }
+    }
+    if (compareVersions(entry.removeIn, entry.deprecatedSince) <= 0) {
+      throw new Error(`${label}: "removeIn" must be later than "deprecatedSince"`);
+    }
+    if (entry.replacement != null && !String(entry.replacement).startsWith('--')) {
+      throw new Error(`${label}: "replacement" must be a custom property name or null`);
+    }
+    if (seen.has(entry.token)) throw new Error(`${label}: listed twice`);
+    seen.add(entry.token);
+  }
+
+  return entries.map(entry => ({
+    token           : entry.token,
+    deprecatedSince : entry.deprecatedSince,
+    removeIn        : entry.removeIn,
+    replacement     : entry.replacement || null,
+    reason          : entry.reason || '',
+  }));
+}
+
+module.exports = {
+  compareVersions,
+  isRemoved,
+  loadDeprecations,
+  parseDeprecations,
+};
@@ -0,0 +1,544 @@
+'use strict';
+// =============================================================================
+// FIGMA TOKEN SYNC — EXPORT FORMAT READERS
+// FILE: scripts/lib/figma-formats.js
+//
+// PURPOSE:
+//   Turns a parsed Figma token export into one flat list of
+//   { name, value, type, description } entries in dot notation, whatever
+//   format the export was written in. The format is detected from the shape
+//   of the document:
+//
+//     flat — { "tokens": [{ "name": "semantic.color.brand", "value": "…" }] }
+//     dtcg — W3C Design Tokens Community Group format: nested groups, tokens
+//            are objects with "$value", optional "$type" / "$description"
+//     tokens-studio — Tokens Studio for Figma: one DTCG-like tree per token
+//            set, plus "$themes" and "$metadata.tokenSetOrder"
+//     figma-variables — the Figma REST response of
+//            GET /v1/files/:key/variables/local, saved to a file: variable
+//            collections with modes (Light / Dark, Compact / Comfortable …)
+//
+//   Shared by:
+//     scripts/figma-sync-dry-run.js  (Phase 11)
+//     scripts/figma-sync-apply.js    (Phase 12)
+//     scripts/figma-export.js        (readVariablesConfig — mode names)
+//
+// DTCG READING:
+//   - Group keys are joined with "." — { primitive: { color: { blue: { 600:
+//     { $value } } } } } becomes "primitive.color.blue.600"
+//   - "$type" is inherited from the closest group that declares it
+//   - A group's "$root" token is named after the group itself, so a name can
+//     be both a token and a group: { bg: { $root: { $value }, hover: { … } } }
+//     becomes "…bg" and "…bg.hover"
+//   - "{primitive.color.blue.600}" aliases are kept as-is: the sync scripts
+//     already convert whole-value references to var()
+//   - Object and array values are written as CSS:
+//       dimension / duration  { value: 16, unit: "px" }  →  16px
+//       color                 { colorSpace, components, alpha?, hex? }
+//                                                        →  hex, else color()
+//       cubicBezier           [0.4, 0, 0.2, 1]           →  cubic-bezier(…)
+//       fontFamily            ["Inter", "system-ui"]     →  Inter, system-ui
+//       shadow                { offsetX, …, color }      →  box-shadow value
+//       border                { width, style, color }    →  border shorthand
+//   - typography composites are flattened into one token per member:
+//       semantic.typography.heading { fontSize: "32px" }
+//         →  semantic.typography.heading.font-size  32px
+//   - A reference inside a shorthand (shadow color, border width …) or in
+//     a math expression ("{space.base} * 2") has no single-token CSS form:
+//     it throws, naming the token — alias the whole token or split it instead
+//
+// TOKENS STUDIO READING:
+//   - Each top-level key except "$themes" / "$metadata" is a token set. Set
+//     names are not part of token names; sets are merged in
+//     $metadata.tokenSetOrder (document order when absent), later sets
+//     overriding earlier ones
+//   - Tokens may use "value" / "type" / "description" (legacy) or the "$"
+//     forms; boxShadow values ({ x, y, blur, spread, color, type }) are read
+//     as DTCG shadows, fontFamilies as fontFamily
+//   - Every "$themes" entry becomes a theme: its "enabled" sets are the
+//     theme's tokens, its "source" sets are only there to resolve references
+//     and are not emitted, "disabled" sets are ignored. The theme's slug
+//     ("Brand Dark" → "brand-dark") is its [data-theme] value
+//
+// FIGMA VARIABLES READING:
+//   Needs a mapping config (figma-variables.config.json) — the REST response
+//   carries no tier or selector information:
+//     {
+//       "collections": {
+//         "Semantic": { "prefix": "semantic",
+//                       "modes": { "Light": ":root", "Dark": "[data-theme=\"dark\"]" } }
+//       }
+//     }
+//   - Variable names are "/"-separated: "color/brand/default" in a collection
+//     with prefix "semantic" becomes "semantic.color.brand.default"
+//   - { type: "VARIABLE_ALIAS", id } values are resolved by id to a
+//     "{dotted.name}" reference; an id missing from the export throws
+//   - COLOR values ({ r, g, b, a } in 0–1) become hex; FLOAT values get "px"
+//     when the variable's scopes are all length scopes (GAP, CORNER_RADIUS,
+//     FONT_SIZE …), otherwise stay unitless
+//   - Every mapped (collection, mode) pair is emitted as a scope; pairs that
+//     map to the same selector are merged into one. Each scope's sources are
+//     the collections' default-mode values — what the cascade falls back to
+//   - Collections without a mapping are skipped; a mapped collection must
+//     map every one of its modes
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (none needed)
+//   - Pure: parsed JSON in, entries out; the caller reads the file
+//   - Unreadable input throws with the offending token's name: a half-read
+//     export must never reach the diff
+// =============================================================================
+
+const REFERENCE = /^\{[^{}]+\}$/;
+
+/**
+ * Detect the export format from the document shape.
+ *
+ * @param {*} data  parsed JSON
+ * @returns {'flat'|'dtcg'|'tokens-studio'|'figma-variables'|null}
+ */
+function detectFigmaFormat(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (Array.isArray(data.tokens)) return 'flat';
+  if ('$themes' in data || '$metadata' in data) return 'tokens-studio';
+  if (data.meta && data.meta.variables && data.meta.variableCollections) return 'figma-variables';
+
+  const hasToken = node => Object.entries(node).some(([key, child]) =>
+    (!key.startsWith('$') || key === '$root') && child && typeof child === 'object' && !Array.isArray(child) &&
+    ('$value' in child || hasToken(child)));
+  return hasToken(data) ? 'dtcg' : null;
+}
+
+/**
+ * Read a flat { tokens: [{ name, value }] } export.
+ *
+ * @param {{ tokens: Array }} data
+ * @returns {Array<{ name: string, value: string, type: null, description: null }>}
+ */
+function readFlatTokens(data) {
+  return data.tokens.map((entry, idx) => {
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`Token[${idx}] is missing a valid "name" field`);
+    }
+    if (typeof entry.value !== 'string') {
+      throw new Error(`Token "${entry.name}" is missing a valid "value" field`);
+    }
+    return { name: entry.name, value: entry.value, type: null, description: null };
+  });
+}
+
+/**
+ * Write one DTCG value member as a CSS string. References are only allowed
+ * when `allowReference` is set (a whole-token value).
+ *
+ * @param {*} value
+ * @param {string|null} type
+ * @param {string} name  token name, for errors
+ * @param {boolean} [allowReference]
+ * @returns {string}
+ */
+function dtcgValueToCSS(value, type, name, allowReference = false) {
+  if (typeof value === 'number') return String(value);
+
+  if (typeof value === 'string') {
+    const whole = REFERENCE.test(value.trim());
+    if ((whole && !allowReference) || (!whole && /\{[^{}]+\}/.test(value))) {
+      throw new Error(`Token "${name}": references inside a ${type || 'composite'} value have no CSS form — ` +
+                      'alias the whole token instead');
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    if (type === 'cubicBezier' && value.length === 4) return `cubic-bezier(${value.join(', ')})`;
+    if (type === 'fontFamily') {
+      return value.map(family => (/[\s,]/.test(family) ? `"${family}"` : family)).join(', ');
+    }
+    if (type === 'shadow') return value.map(layer => dtcgValueToCSS(layer, type, name)).join(', ');
+    throw new Error(`Token "${name}": unsupported array value for $type "${type}"`);
+  }
+
+  if (value && typeof value === 'object') {
+    if ('value' in value && 'unit' in value) return `${value.value}${value.unit}`;
+    if (type === 'color' && Array.isArray(value.components)) {
+      if (value.hex) return value.hex;
+      const alpha = value.alpha !== undefined && value.alpha !== 1 ? ` / ${value.alpha}` : '';
+      return `color(${value.colorSpace} ${value.components.join(' ')}${alpha})`;
+    }
+    if (type === 'shadow') {
+      const parts = ['offsetX', 'offsetY', 'blur', 'spread']
+        .filter(key => value[key] !== undefined)
+        .map(key => dtcgValueToCSS(value[key], 'dimension', name));
+      return `${value.inset ? 'inset ' : ''}${parts.join(' ')} ${dtcgValueToCSS(value.color, 'color', name)}`;
+    }
+    if (type === 'border') {
+      return ['width', 'style', 'color']
+        .filter(key => value[key] !== undefined)
+        .map(key => dtcgValueToCSS(value[key], key === 'width' ? 'dimension' : key, name))
+        .join(' ');
+    }
+  }
+
+  throw new Error(`Token "${name}": unsupported value for $type "${type}"`);
+}
+
+/**
+ * camelCase DTCG member name to a kebab-case token segment.
+ *   "letterSpacing"  →  "letter-spacing"
+ * @param {string} key
+ * @returns {string}
+ */
+function memberSegment(key) {
+  return key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+}
+
+/**
+ * Read a DTCG document: walk the groups depth-first in document order and
+ * emit one entry per token (one per member for typography composites).
+ *
+ * @param {Object} data
+ * @returns {Array<{ name: string, value: string, type: string|null, description: string|null }>}
+ */
+function readDTCGTokens(data) {
+  const tokens = [];
+
+  const visit = (node, pathParts, inheritedType) => {
+    const type = typeof node.$type === 'string' ? node.$type : inheritedType;
+
+    if ('$value' in node) {
+      const name        = pathParts.join('.');
+      const description = typeof node.$description === 'string' ? node.$description : null;
+      if (pathParts.length === 0) throw new Error('"$value" at the root level is not a token');
+
+      if (type === 'typography' && node.$value && typeof node.$value === 'object') {
+        for (const [member, value] of Object.entries(node.$value)) {
+          tokens.push({
+            name       : `${name}.${memberSegment(member)}`,
+            value      : dtcgValueToCSS(value, member, `${name}.${memberSegment(member)}`, true),
+            type       : member,
+            description,
+          });
+        }
+      } else {
+        tokens.push({ name, value: dtcgValueToCSS(node.$value, type || null, name, true), type: type || null, description });
+      }
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (key === '$root' && child && typeof child === 'object' && '$value' in child) {
+        visit(child, pathParts, type);
+        continue;
+      }
+      if (key.startsWith('$')) continue;
+      if (!child || typeof child !== 'object' || Array.isArray(child)) {
+        throw new Error(`"${[...pathParts, key].join('.')}" is neither a group nor a token (no "$value")`);
+      }
+      if (/[.{}]/.test(key)) {
+        throw new Error(`"${[...pathParts, key].join('.')}": group and token names cannot contain ".", "{" or "}"`);
+      }
+      visit(child, [...pathParts, key], type);
+    }
+  };
+
+  visit(data, [], null);
+  return tokens;
+}
+
+const TOKENS_STUDIO_TYPES = {
+  boxShadow    : 'shadow',
+  fontFamilies : 'fontFamily',
+};
+
+/**
+ * Tokens Studio "My Theme / Dark" → "my-theme-dark".
+ * @param {string} name
+ * @returns {string}
+ */
+function themeSlug(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Rewrite one Tokens Studio set into the DTCG shape read by readDTCGTokens.
+ *
+ * @param {Object} node  a set, group or token
+ * @returns {Object}
+ */
+function normalizeTokensStudioSet(node) {
+  if ('value' in node || '$value' in node) {
+    const type  = node.$type !== undefined ? node.$type : node.type;
+    const value = node.$value !== undefined ? node.$value : node.value;
+    const shadow = layer => (layer && typeof layer === 'object' && 'x' in layer
+      ? { offsetX: layer.x, offsetY: layer.y, blur: layer.blur, spread: layer.spread, color: layer.color,
+          inset: layer.type === 'innerShadow' }
+      : layer);
+    return {
+      $type        : TOKENS_STUDIO_TYPES[type] || type,
+      $value       : type === 'boxShadow' ? (Array.isArray(value) ? value.map(shadow) : shadow(value)) : value,
+      $description : node.$description !== undefined ? node.$description : node.description,
+    };
+  }
+
+  const group = {};
+  for (const [key, child] of Object.entries(node)) {
+    group[key] = child && typeof child === 'object' && !Array.isArray(child) && !key.startsWith('$')
+      ? normalizeTokensStudioSet(child)
+      : child;
+  }
+  return group;
+}
+
+/**
+ * Read a Tokens Studio export: every set, merged in set order, and one
+ * token list per theme.
+ *
+ * @param {Object} data
+ * @returns {{ tokens: Array,
+ *             themes: Array<{ name: string, slug: string, selector: string, tokens: Array, sources: Array }> }}
+ */
+function readTokensStudioTokens(data) {
+  const metadata = data.$metadata || {};
+  const order    = Array.isArray(metadata.tokenSetOrder)
+    ? metadata.tokenSetOrder
+    : Object.keys(data).filter(key => !key.startsWith('$'));
+
+  const sets = new Map();
+  for (const setName of order) {
+    const set = data[setName];
+    if (!set || typeof set !== 'object' || Array.isArray(set)) {
+      throw new Error(`Token set "${setName}" listed in $metadata.tokenSetOrder does not exist`);
+    }
+    try {
+      sets.set(setName, readDTCGTokens(normalizeTokensStudioSet(set)));
+    } catch (e) {
+      throw new Error(`Token set "${setName}": ${e.message}`);
+    }
+  }
+
+  // Later sets override earlier ones, as in Tokens Studio itself
+  const merge = names => {
+    const merged = new Map();
+    for (const setName of order) {
+      if (!names.has(setName)) continue;
+      for (const token of sets.get(setName)) merged.set(token.name, token);
+    }
+    return merged;
+  };
+
+  const slugs  = new Set();
+  const themes = (data.$themes || []).map((theme, idx) => {
+    if (!theme || typeof theme.name !== 'string' || !themeSlug(theme.name)) {
+      throw new Error(`$themes[${idx}] is missing a valid "name" field`);
+    }
+    const slug = themeSlug(theme.name);
+    if (slugs.has(slug)) throw new Error(`Theme "${theme.name}": another theme already maps to [data-theme="${slug}"]`);
+    slugs.add(slug);
+
+    const selected = theme.selectedTokenSets || {};
+    for (const setName of Object.keys(selected)) {
+      if (!sets.has(setName)) throw new Error(`Theme "${theme.name}": unknown token set "${setName}"`);
+    }
+    const withStatus = status => new Set(Object.keys(selected).filter(setName => selected[setName] === status));
+    const enabled    = merge(withStatus('enabled'));
+    const sources    = merge(withStatus('source'));
+    for (const name of enabled.keys()) sources.delete(name);
+
+    return {
+      name     : theme.name,
+      slug,
+      selector : `[data-theme="${slug}"]`,
+      tokens   : [...enabled.values()],
+      sources  : [...sources.values()],
+    };
+  });
+
+  return { tokens: [...merge(new Set(order)).values()], themes };
+}
+
+// Figma variable scopes whose FLOAT values are lengths (px in Figma)
+const LENGTH_SCOPES = new Set([
+  'CORNER_RADIUS', 'WIDTH_HEIGHT', 'GAP', 'STROKE_FLOAT', 'EFFECT_FLOAT',
+  'FONT_SIZE', 'LETTER_SPACING', 'PARAGRAPH_SPACING', 'PARAGRAPH_INDENT',
+]);
+
+/**
+ * Check a figma-variables.config.json document.
+ *
+ * @param {*} config  parsed JSON
+ * @returns {Map<string, { prefix: string|null, modes: Object<string, string> }>}  by collection name
+ * @throws {Error}  naming the offending entry
+ */
+function readVariablesConfig(config) {
+  if (!config || typeof config.collections !== 'object' || Array.isArray(config.collections)) {
+    throw new Error('Figma Variables config must contain a "collections" object');
+  }
+  const collections = new Map();
+  for (const [name, entry] of Object.entries(config.collections)) {
+    if (!entry || typeof entry.modes !== 'object' || Object.keys(entry.modes).length === 0) {
+      throw new Error(`Collection "${name}": "modes" must map each mode name to a selector`);
+    }
+    for (const [mode, selector] of Object.entries(entry.modes)) {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        throw new Error(`Collection "${name}": mode "${mode}" must map to a selector string`);
+      }
+    }
+    if (entry.prefix !== undefined && (typeof entry.prefix !== 'string' || /[./]/.test(entry.prefix))) {
+      throw new Error(`Collection "${name}": "prefix" must be a single name segment such as "semantic"`);
+    }
+    collections.set(name, { prefix: entry.prefix || null, modes: entry.modes });
+  }
+  return collections;
+}
+
+/**
+ * "Color/Brand Default" → "color.brand-default" (plus the collection prefix).
+ * @param {string} variableName
+ * @param {string|null} prefix
+ * @returns {string}
+ */
+function variableTokenName(variableName, prefix) {
+  const segments = variableName.split('/').map(segment =>
+    segment.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''));
+  return [...(prefix ? [prefix] : []), ...segments].join('.');
+}
+
+/**
+ * Figma { r, g, b, a } (0–1 channels) → "#rrggbb" or "#rrggbbaa".
+ * @param {{ r: number, g: number, b: number, a?: number }} color
+ * @returns {string}
+ */
+function figmaColorToHex(color) {
+  const hex = channel => Math.round(channel * 255).toString(16).padStart(2, '0');
+  const a   = color.a === undefined ? 1 : color.a;
+  return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}${a < 1 ? hex(a) : ''}`;
+}
+
+/**
+ * Read a Figma Variables REST response with its mapping config: every
+ * variable's default-mode value, and one token list per mapped selector.
+ *
+ * @param {{ meta: { variables: Object, variableCollections: Object } }} data
+ * @param {*} config  parsed figma-variables.config.json
+ * @returns {{ tokens: Array,
+ *             themes: Array<{ name: string, slug: string, selector: string, tokens: Array, sources: Array }> }}
+ */
+function readFigmaVariables(data, config) {
+  if (!config) {
+    throw new Error('A Figma Variables export needs figma-variables.config.json to map collections and modes to selectors');
+  }
+  const mapping     = readVariablesConfig(config);
+  const variables   = data.meta.variables;
+  const collections = Object.values(data.meta.variableCollections)
+    .filter(collection => mapping.has(collection.name));
+
+  // Variable id → token name, for alias resolution across collections
+  const names = new Map();
+  for (const variable of Object.values(variables)) {
+    const collection = data.meta.variableCollections[variable.variableCollectionId];
+    if (collection && mapping.has(collection.name)) {
+      names.set(variable.id, variableTokenName(variable.name, mapping.get(collection.name).prefix));
+    }
+  }
+
+  const valueOf = (variable, modeId) => {
+    const name  = names.get(variable.id);
+    const value = variable.valuesByMode[modeId];
+    if (value === undefined) throw new Error(`Variable "${variable.name}" has no value for mode ${modeId}`);
+    if (value && value.type === 'VARIABLE_ALIAS') {
+      if (!names.has(value.id)) {
+        throw new Error(`Variable "${variable.name}" aliases ${value.id}, which is not in the export or in a mapped collection`);
+      }
+      return `{${names.get(value.id)}}`;
+    }
+    switch (variable.resolvedType) {
+      case 'COLOR': return figmaColorToHex(value);
+      case 'FLOAT': {
+        const scopes = variable.scopes || [];
+        return scopes.length > 0 && scopes.every(scope => LENGTH_SCOPES.has(scope)) ? `${value}px` : String(value);
+      }
+      case 'STRING':  return String(value);
+      default: throw new Error(`Token "${name}": unsupported variable type ${variable.resolvedType}`);
+    }
+  };
+
+  const tokensFor = (collection, modeId) => collection.variableIds
+    .filter(id => variables[id])
+    .map(id => {
+      const variable = variables[id];
+      return {
+        name        : names.get(id),
+        value       : valueOf(variable, modeId),
+        type        : variable.resolvedType.toLowerCase(),
+        description : variable.description || null,
+      };
+    });
+
+  const defaults = new Map();
+  const scopes   = new Map();
+  for (const collection of collections) {
+    const { modes } = mapping.get(collection.name);
+    for (const mode of collection.modes) {
+      if (!(mode.name in modes)) {
+        throw new Error(`Collection "${collection.name}": mode "${mode.name}" has no selector in the config`);
+      }
+    }
+    for (const token of tokensFor(collection, collection.defaultModeId)) defaults.set(token.name, token);
+
+    for (const mode of collection.modes) {
+      const selector = modes[mode.name].trim();
+      if (!scopes.has(selector)) scopes.set(selector, { labels: [], tokens: new Map() });
+      const scope = scopes.get(selector);
+      scope.labels.push(`${collection.name}/${mode.name}`);
+      for (const token of tokensFor(collection, mode.modeId)) scope.tokens.set(token.name, token);
+    }
+  }
+
+  const themes = [...scopes].map(([selector, scope]) => {
+    const sources = new Map(defaults);
+    for (const name of scope.tokens.keys()) sources.delete(name);
+    return {
+      name    : scope.labels.join(', '),
+      slug    : themeSlug(selector),
+      selector,
+      tokens  : [...scope.tokens.values()],
+      sources : [...sources.values()],
+    };
+  });
+
+  return { tokens: [...defaults.values()], themes };
+}
+
+/**
+ * Read a parsed Figma export in any supported format.
+ *
+ * The token shape is { name, value, type, description }. `tokens` is the
+ * whole export (default modes for Figma Variables); `themes` is one entry
+ * per Tokens Studio theme or mapped Figma Variables selector ([] for the
+ * other formats), with `sources` holding reference-only tokens.
+ *
+ * @param {*} data  parsed JSON
+ * @param {{ variablesConfig?: Object|null }} [options]
+ *        variablesConfig — parsed figma-variables.config.json, required for
+ *        Figma Variables exports
+ * @returns {{ format: 'flat'|'dtcg'|'tokens-studio'|'figma-variables',
+ *             tokens: Array<{ name: string, value: string, type: string|null, description: string|null }>,
+ *             themes: Array<{ name: string, slug: string, selector: string, tokens: Array, sources: Array }> }}
+ * @throws {Error}  when the format is not recognized or a token cannot be read
+ */
+function readFigmaExport(data, options = {}) {
+  const format = detectFigmaFormat(data);
+  if (format === 'flat') return { format, tokens: readFlatTokens(data), themes: [] };
+  if (format === 'dtcg') return { format, tokens: readDTCGTokens(data), themes: [] };
+  if (format === 'tokens-studio') return { format, ...readTokensStudioTokens(data) };
+  if (format === 'figma-variables') return { format, ...readFigmaVariables(data, options.variablesConfig) };
+  throw new Error('Unrecognized Figma export — expected a "tokens" array at the root level, ' +
+                  'W3C design tokens (groups of { "$value" } objects), a Tokens Studio export ' +
+                  'or a Figma Variables REST response');
+}
+
+module.exports = {
+  detectFigmaFormat,
+  readFigmaExport,
+  readVariablesConfig,
+};
@@ -0,0 +1,222 @@
+'use strict';
+// =============================================================================
+// TOKEN HEALTH REPORT — HTML RENDERER
+// FILE: scripts/lib/health-report.js
+//
+// PURPOSE:
+//   Renders the model built by validate-tokens.js --report html into one
+//   standalone HTML page for design leads and build archives:
+//     - tier counts
+//     - per-component coverage score
+//     - violations grouped by component (active, baselined and suppressed)
+//     - orphan tokens and unused semantic tokens
+//     - every token with its value and resolved value per theme
+//
+//   The page carries its own styles and a small filter script — no network
+//   requests, no dependency on the design system's own CSS, so an archived
+//   report renders the same forever.
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (none needed)
+//   - Pure: model in, string out; the caller writes the file
+//   - Deterministic: no timestamps, same model always renders the same page
+// =============================================================================
+
+const TIER_ORDER = ['primitive', 'semantic', 'base', 'component', 'vendor', 'unknown'];
+
+const STYLES = `
+  :root { color-scheme: light; font: 14px/1.5 system-ui, sans-serif; color: #1f2328; background: #f6f8fa; }
+  body { margin: 0; padding: 32px; }
+  main { max-width: 1200px; margin: 0 auto; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 40px 0 12px; font-size: 18px; }
+  h3 { margin: 0; font-size: 15px; display: inline; }
+  .meta { color: #59636e; margin: 0 0 16px; }
+  .status { display: inline-block; padding: 2px 10px; border-radius: 999px; font-weight: 600; color: #fff; }
+  .status.pass { background: #1a7f37; } .status.fail { background: #cf222e; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { background: #fff; border: 1px solid #d1d9e0; border-radius: 8px; padding: 12px 16px; min-width: 110px; }
+  .card strong { display: block; font-size: 22px; }
+  .card span { color: #59636e; text-transform: capitalize; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d1d9e0; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 10px; border-bottom: 1px solid #e6eaef; }
+  th { background: #f6f8fa; font-weight: 600; position: sticky; top: 0; }
+  code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+  details { background: #fff; border: 1px solid #d1d9e0; border-radius: 8px; margin-bottom: 12px; }
+  details > summary { padding: 10px 14px; cursor: pointer; }
+  details > table { border: 0; border-top: 1px solid #d1d9e0; }
+  .sev { font-weight: 600; } .sev.error { color: #cf222e; } .sev.warning { color: #9a6700; }
+  .muted { color: #59636e; }
+  .accepted td { color: #59636e; }
+  .bar { position: relative; height: 8px; width: 120px; background: #e6eaef; border-radius: 4px; overflow: hidden; display: inline-block; vertical-align: middle; margin-right: 8px; }
+  .bar i { position: absolute; inset: 0 auto 0 0; background: #1a7f37; }
+  .bar.low i { background: #cf222e; } .bar.mid i { background: #bf8700; }
+  .swatch { display: inline-block; width: 12px; height: 12px; border: 1px solid #0003; border-radius: 2px; vertical-align: middle; margin-right: 6px; }
+  .themed { background: #fff8c5; }
+  ul.tokens { columns: 3; background: #fff; border: 1px solid #d1d9e0; border-radius: 8px; padding: 12px 12px 12px 32px; margin: 0; }
+  #filter { width: 320px; padding: 6px 10px; margin-bottom: 12px; border: 1px solid #d1d9e0; border-radius: 6px; }
+`;
+
+const SCRIPT = `
+  document.getElementById('filter').addEventListener('input', function (event) {
+    var query = event.target.value.trim().toLowerCase();
+    document.querySelectorAll('#tokens tbody tr').forEach(function (row) {
+      row.hidden = query !== '' && row.textContent.toLowerCase().indexOf(query) === -1;
+    });
+  });
+`;
+
+/**
+ * Escape text for HTML element and attribute content.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A color swatch for values that are plain colors, '' otherwise.
+ * @param {string|null} value
+ * @returns {string}
+ */
+function swatch(value) {
+  if (!value || !/^(#[0-9a-f]{3,8}|(rgba?|hsla?|oklch|oklab)\([^()]*\)|white|black|transparent)$/i.test(value.trim())) {
+    return '';
+  }
+  return `<span class="swatch" style="background:${escapeHTML(value.trim())}"></span>`;
+}
+
+/**
+ * Coverage bar with a percentage label.
+ * @param {number} score  0–100
+ * @returns {string}
+ */
+function scoreBar(score) {
+  const level = score < 60 ? ' low' : score < 90 ? ' mid' : '';
+  return `<span class="bar${level}"><i style="width:${score}%"></i></span>${score}%`;
+}
+
+/**
+ * Findings table for one component group.
+ * @param {Array<{ rule: string, severity: string, message: string, detail: string|null,
+ *                 file: string|null, line: number|null, status: string }>} findings
+ * @returns {string}
+ */
+function renderFindings(findings) {
+  const rows = findings.map(f => {
+    const location = f.file ? `${f.file}${f.line ? `:${f.line}` : ''}` : '';
+    const accepted = f.status === 'active' ? '' : ' class="accepted"';
+    return `<tr${accepted}>` +
+      `<td class="sev ${f.severity}">${f.severity}</td>` +
+      `<td><code>${escapeHTML(f.rule)}</code></td>` +
+      `<td>${escapeHTML(f.message)}${f.detail ? `<br><span class="muted">${escapeHTML(f.detail)}</span>` : ''}</td>` +
+      `<td><code>${escapeHTML(location)}</code></td>` +
+      `<td>${escapeHTML(f.status)}</td></tr>`;
+  });
+  return '<table><thead><tr><th>Severity</th><th>Rule</th><th>Finding</th><th>Location</th><th>Status</th></tr></thead>' +
+    `<tbody>\n${rows.join('\n')}\n</tbody></table>`;
+}
+
+/**
+ * Render the health report page.
+ *
+ * @param {{ source: string, version: string|null, passed: boolean,
+ *           summary: { errors: number, warnings: number, suppressed: number },
+ *           tiers: Object<string, number>, themes: string[],
+ *           tokens: Array<{ name: string, tier: string, layer: string|null, value: string,
+ *                           resolved: Object<string, string|null> }>,
+ *           orphans: string[], unusedSemantics: string[],
+ *           groups: Array<{ id: string, name: string, findings: Array }>,
+ *           coverage: Array<{ id: string, name: string, version: string|null, tokens: number,
+ *                             consumed: number, registered: number, clean: number, score: number }> }} model
+ * @returns {string}
+ */
+function renderHealthReport(model) {
+  const { source, version, passed, summary, tiers, themes, tokens, orphans, unusedSemantics, groups, coverage } = model;
+  const scopes = ['default', ...themes];
+
+  const tierCards = TIER_ORDER
+    .filter(tier => tiers[tier])
+    .map(tier => `<div class="card"><strong>${tiers[tier]}</strong><span>${tier}</span></div>`)
+    .join('');
+
+  const coverageRows = coverage.map(c =>
+    `<tr><td>${escapeHTML(c.name)}${c.version ? ` <span class="muted">${escapeHTML(c.version)}</span>` : ''}</td>` +
+    `<td>${c.tokens}</td><td>${c.consumed}</td><td>${c.registered}</td><td>${c.clean}</td>` +
+    `<td>${scoreBar(c.score)}</td></tr>`).join('\n');
+
+  const groupBlocks = groups.map(group => {
+    const active = group.findings.filter(f => f.status === 'active');
+    const errors = active.filter(f => f.severity === 'error').length;
+    const counts = `${errors} error(s), ${active.length - errors} warning(s), ` +
+                   `${group.findings.length - active.length} accepted`;
+    const body   = group.findings.length > 0 ? renderFindings(group.findings) : '';
+    return `<details${errors > 0 ? ' open' : ''}><summary><h3>${escapeHTML(group.name)}</h3> ` +
+      `<span class="muted">— ${counts}</span></summary>${body}</details>`;
+  }).join('\n');
+
+  const list = names => (names.length > 0
+    ? `<ul class="tokens">${names.map(n => `<li><code>${escapeHTML(n)}</code></li>`).join('')}</ul>`
+    : '<p class="muted">None.</p>');
+
+  const tokenRows = tokens.map(t => {
+    const cells = scopes.map(scope => {
+      const value  = t.resolved[scope];
+      const themed = scope !== 'default' && value !== t.resolved.default ? ' class="themed"' : '';
+      return `<td${themed}>${value === null ? '<span class="muted">—</span>' : `${swatch(value)}<code>${escapeHTML(value)}</code>`}</td>`;
+    });
+    return `<tr><td><code>${escapeHTML(t.name)}</code></td><td>${t.tier}</td><td>${escapeHTML(t.layer || '')}</td>` +
+      `<td><code>${escapeHTML(t.value)}</code></td>${cells.join('')}</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Token health report — ${escapeHTML(source)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Token health report</h1>
+<p class="meta">Source <code>${escapeHTML(source)}</code>${version ? ` · package ${escapeHTML(version)}` : ''} ·
+<span class="status ${passed ? 'pass' : 'fail'}">${passed ? 'PASSED' : 'FAILED'}</span>
+${summary.errors} error(s) · ${summary.warnings} new warning(s) · ${summary.suppressed} accepted</p>
+
+<h2>Tiers</h2>
+<div class="cards">${tierCards}</div>
+
+<h2>Component coverage</h2>
+<p class="muted">A token is covered when it is consumed (by a rule or another token), listed in a registry and has no finding.</p>
+<table><thead><tr><th>Component</th><th>Tokens</th><th>Consumed</th><th>Registered</th><th>Clean</th><th>Score</th></tr></thead>
+<tbody>${coverageRows}</tbody></table>
+
+<h2>Violations by component</h2>
+${groupBlocks || '<p class="muted">No findings.</p>'}
+
+<h2>Orphan tokens (${orphans.length})</h2>
+${list(orphans)}
+
+<h2>Unused semantic tokens (${unusedSemantics.length})</h2>
+${list(unusedSemantics)}
+
+<h2>Tokens (${tokens.length})</h2>
+<input id="filter" type="search" placeholder="Filter tokens, tiers, values…" aria-label="Filter tokens">
+<table id="tokens"><thead><tr><th>Token</th><th>Tier</th><th>Layer</th><th>Value</th>${scopes.map(s => `<th>${escapeHTML(s)}</th>`).join('')}</tr></thead>
+<tbody>${tokenRows}</tbody></table>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHealthReport,
+};
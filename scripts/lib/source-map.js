@@ -0,0 +1,137 @@
+'use strict';
+// =============================================================================
+// SOURCE MAP LOOKUP
+// FILE: scripts/lib/source-map.js
+//
+// PURPOSE:
+//   Map a line in compiled CSS back to the SCSS file and line that produced
+//   it. Used by validate-tokens.js --source, which compiles scss/ in memory
+//   with the sass API and reports findings against the real sources, e.g.
+//     scss/components/badge/_badge.variables.scss:74
+//
+// SCOPE:
+//   Decodes Source Map v3 "mappings" (Base64 VLQ) — the only part needed.
+//   Names, sourcesContent and index maps (sections) are not supported;
+//   Dart Sass never emits index maps.
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (path, url)
+//   - Pure: takes a parsed map object, never touches the file system
+// =============================================================================
+
+const path              = require('path');
+const { fileURLToPath } = require('url');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_INDEX = new Map([...BASE64].map((ch, i) => [ch, i]));
+
+/**
+ * Decode one Base64 VLQ segment into its integer fields.
+ *
+ *   'AAAA'  →  [0, 0, 0, 0]
+ *   'IACA'  →  [4, 0, 1, 0]
+ *
+ * @param {string} segment
+ * @returns {number[]}
+ */
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const ch of segment) {
+    const digit = BASE64_INDEX.get(ch);
+    if (digit === undefined) throw new Error(`Invalid Base64 VLQ character "${ch}"`);
+
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Decode a v3 "mappings" string into absolute segments per generated line.
+ *
+ * @param {string} mappings
+ * @returns {Array<Array<{ column: number, source: number, line: number, sourceColumn: number }>>}
+ *          index 0 = generated line 1; all numbers 0-based as in the spec
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let source = 0, line = 0, sourceColumn = 0;
+
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let column = 0;
+
+    for (const segment of lineText.split(',')) {
+      if (segment === '') continue;
+      const fields = decodeVLQ(segment);
+      column += fields[0];
+      if (fields.length < 4) continue;   // generated-only segment — no source
+      source       += fields[1];
+      line         += fields[2];
+      sourceColumn += fields[3];
+      segments.push({ column, source, line, sourceColumn });
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * Build a lookup function over a parsed source map.
+ *
+ * The returned function takes a 1-based generated line (and optional 1-based
+ * column) and returns the 1-based original position, or null when the line
+ * has no mapping. Without a column, the first mapped segment on the line is
+ * used — the start of the declaration or selector in expanded output.
+ *
+ * Source URLs (file:///…) are converted to paths relative to `relativeTo`.
+ *
+ * @param {{ sources: string[], sourceRoot?: string, mappings: string }} map
+ * @param {string} [relativeTo]  default: process.cwd()
+ * @returns {(line: number, column?: number) => { file: string, line: number, column: number }|null}
+ */
+function createSourceMapLookup(map, relativeTo = process.cwd()) {
+  const lines   = decodeMappings(map.mappings);
+  const sources = map.sources.map(source => {
+    const full = source.startsWith('file:')
+      ? fileURLToPath(source)
+      : path.resolve(relativeTo, map.sourceRoot || '', source);
+    return path.relative(relativeTo, full).split(path.sep).join('/');
+  });
+
+  return function lookup(line, column) {
+    const segments = lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    let match = segments[0];
+    if (column !== undefined) {
+      for (const seg of segments) {
+        if (seg.column <= column - 1) match = seg;
+        else break;
+      }
+    }
+
+    return {
+      file   : sources[match.source],
+      line   : match.line + 1,
+      column : match.sourceColumn + 1,
+    };
+  };
+}
+
+module.exports = {
+  decodeMappings,
+  createSourceMapLookup,
+};
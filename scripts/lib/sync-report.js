@@ -0,0 +1,180 @@
+'use strict';
+// =============================================================================
+// FIGMA TOKEN SYNC — PULL REQUEST REPORT RENDERER
+// FILE: scripts/lib/sync-report.js
+//
+// PURPOSE:
+//   Renders the model built by figma-sync-dry-run.js --format markdown into
+//   one GitHub-flavoured Markdown comment for design-token pull requests:
+//     - overall status (safe / blocked) and sources
+//     - per scope (:root, each theme or Figma Variables mode):
+//         blocking architecture errors, or
+//         added / modified / removed token tables
+//     - component impact: which registered components consume the changed
+//       tokens, through the compiled CSS dependency graph
+//
+//   Color swatches use GitHub's color preview: a code span holding only a
+//   hex value (`#2563eb`) renders with a swatch in PR comments. Resolved
+//   hex values are added next to var() values for that reason.
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (none needed)
+//   - Pure: model in, string out; the caller writes or prints it
+//   - Deterministic: no timestamps, same model always renders the same text
+// =============================================================================
+
+/** Tables longer than this are collapsed into <details>. */
+const COLLAPSE_ROWS = 15;
+
+/** Affected tokens / rules listed per component before "+N more". */
+const LIST_LIMIT = 5;
+
+const HEX = /^#[0-9a-f]{3,8}$/i;
+
+/**
+ * Inline code for a table cell: pipes escaped, backticks and newlines
+ * removed.
+ * @param {string} text
+ * @returns {string}
+ */
+function code(text) {
+  return `\`${String(text).replace(/`/g, "'").replace(/\s+/g, ' ').replace(/\|/g, '\\|')}\``;
+}
+
+/**
+ * A value cell: the value, plus its resolved hex (a swatch) when the value
+ * is a reference.
+ * @param {string|null} value
+ * @param {string|null} resolved
+ * @returns {string}
+ */
+function valueCell(value, resolved) {
+  if (value === null) return '—';
+  const swatch = resolved && resolved !== value && HEX.test(resolved.trim()) ? ` ${code(resolved.trim())}` : '';
+  return `${code(value)}${swatch}`;
+}
+
+/**
+ * A table, collapsed into <details> when long.
+ * @param {string} title  e.g. 'Modified (3)'
+ * @param {string[]} header
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+function table(title, header, rows) {
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`),
+  ].join('\n');
+  if (rows.length > COLLAPSE_ROWS) {
+    return `<details><summary><strong>${title}</strong></summary>\n\n${lines}\n\n</details>`;
+  }
+  return `**${title}**\n\n${lines}`;
+}
+
+/**
+ * First LIST_LIMIT names as code, then "+N more".
+ * @param {string[]} names
+ * @returns {string}
+ */
+function shortList(names) {
+  if (names.length === 0) return '—';
+  const shown = names.slice(0, LIST_LIMIT).map(code).join(', ');
+  return names.length > LIST_LIMIT ? `${shown} +${names.length - LIST_LIMIT} more` : shown;
+}
+
+/**
+ * One scope's section.
+ * @param {Object} scope  see renderSyncMarkdown
+ * @param {boolean} titled  several scopes: give each a heading
+ * @returns {string}
+ */
+function renderScope(scope, titled) {
+  const parts = [];
+  if (titled) {
+    parts.push(`### ${scope.name ? `${scope.name} → ${code(scope.selector)}` : code(':root')}`);
+  }
+
+  if (scope.blocked) {
+    parts.push(`⛔ **Blocked** — ${scope.errors.length} architecture violation(s). ` +
+      'Fix the Figma token structure; nothing in this scope can be applied.');
+    parts.push(table(`Architecture violations (${scope.errors.length})`, ['Violation', 'Detail'],
+      scope.errors.map(e => [e.message.replace(/\|/g, '\\|'), e.detail ? e.detail.replace(/\|/g, '\\|') : '—'])));
+    if (!scope.noCycles) parts.push('Circular dependencies were found in the Figma tokens.');
+    return parts.join('\n\n');
+  }
+
+  const { added, modified, removed, unchanged } = scope;
+  const total = added.length + modified.length + removed.length;
+  if (total === 0) {
+    parts.push(`✅ All ${unchanged} tokens match — no changes.`);
+    return parts.join('\n\n');
+  }
+
+  parts.push(`${total} change(s) — ${added.length} added, ${modified.length} modified, ` +
+    `${removed.length} removed · ${unchanged} unchanged`);
+  if (added.length > 0) {
+    parts.push(table(`Added (${added.length})`, ['Token', 'Figma'],
+      added.map(t => [code(t.name), valueCell(t.value, t.resolved)])));
+  }
+  if (modified.length > 0) {
+    parts.push(table(`Modified (${modified.length})`, ['Token', 'Code', 'Figma'],
+      modified.map(t => [code(t.name), valueCell(t.code, t.codeResolved), valueCell(t.figma, t.figmaResolved)])));
+  }
+  if (removed.length > 0) {
+    parts.push(table(`Removed (${removed.length})`, ['Token', 'Code'],
+      removed.map(t => [code(t.name), valueCell(t.value, t.resolved)])));
+  }
+
+  if (scope.impact.length > 0) {
+    parts.push(table(`Component impact (${scope.impact.length})`,
+      ['Component', 'Changed tokens', 'Affected tokens', 'Affected rules'],
+      scope.impact.map(c => [
+        c.name,
+        shortList(c.changed),
+        c.tokens.length > 0 ? `${c.tokens.length}: ${shortList(c.tokens)}` : '—',
+        c.rules.length > 0 ? `${c.rules.length}: ${shortList(c.rules)}` : '—',
+      ])));
+  } else if (modified.length + removed.length > 0) {
+    parts.push('No component consumes the modified or removed tokens.');
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Render the sync report as Markdown.
+ *
+ * @param {{ figmaFile: string, format: string, cssFile: string, passed: boolean,
+ *           scopes: Array<{ name: string|null, selector: string|null, blocked: boolean, noCycles: boolean,
+ *                           errors: Array<{ message: string, detail: string|null }>,
+ *                           added: Array<{ name: string, value: string, resolved: string|null }>,
+ *                           modified: Array<{ name: string, code: string, figma: string,
+ *                                             codeResolved: string|null, figmaResolved: string|null }>,
+ *                           removed: Array<{ name: string, value: string, resolved: string|null }>,
+ *                           unchanged: number,
+ *                           impact: Array<{ id: string, name: string, changed: string[],
+ *                                           tokens: string[], rules: string[] }> }> }} model
+ * @returns {string}
+ */
+function renderSyncMarkdown(model) {
+  const { figmaFile, format, cssFile, passed, scopes } = model;
+  const changes = scopes.reduce((sum, s) => sum + (s.blocked ? 0 : s.added.length + s.modified.length + s.removed.length), 0);
+  const status  = !passed ? '⛔ Blocked'
+    : changes > 0 ? `✅ Safe — ${changes} change(s) pending` : '✅ In sync';
+
+  const sections = [
+    `## Figma token sync — ${status}`,
+    `Figma source ${code(figmaFile)} (${format}) · CSS ${code(cssFile)}`,
+    ...scopes.map(scope => renderScope(scope, scopes.length > 1 || scope.name !== null)),
+  ];
+  if (passed && changes > 0) {
+    sections.push('_Dry run only — apply with `npm run figma-sync-apply`, then rebuild._');
+  }
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  renderSyncMarkdown,
+};
@@ -0,0 +1,376 @@
+'use strict';
+// =============================================================================
+// TOKEN GRAPH — NAMES, REFERENCES AND RESOLUTION
+// FILE: scripts/lib/token-graph.js
+//
+// PURPOSE:
+//   The token-level primitives shared by every script that reasons about
+//   the primitive → semantic → component chain:
+//     scripts/validate-tokens.js   (token graph validator)
+//     scripts/token-api-diff.js    (breaking-change detector)
+//     scripts/token-graph.js       (graph export and impact analysis)
+//
+//   getTier            — tier from the name prefix
+//   parseVarCalls      — every var() call in a value, nested fallbacks included
+//   extractVarRefs     — referenced token names
+//   resolveChain       — alias chain (--component → --semantic → --primitive)
+//   resolveValue       — fully resolved value, as the browser computes it
+//   collectRootTokens  — :root custom property definitions of a stylesheet
+//   buildGraph         — token → dependency edges (validator rule 2)
+//   buildDependencyGraph / dependentsOf / dependenciesOf
+//                      — tokens + CSS rules + vendor tokens, and impact queries
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins and ./css-parser only
+//   - Token maps are Map<name, { value: string, … }>; extra fields are ignored
+// =============================================================================
+
+const { parse, walk } = require('./css-parser');
+
+/**
+ * Determine the tier of a CSS custom property by its name prefix.
+ * @param {string} name  e.g. '--semantic-color-brand-default'
+ * @returns {'primitive'|'semantic'|'component'|'base'|'unknown'}
+ */
+function getTier(name) {
+  if (name.startsWith('--primitive-')) return 'primitive';
+  if (name.startsWith('--semantic-'))  return 'semantic';
+  if (name.startsWith('--component-')) return 'component';
+  if (name.startsWith('--base-'))      return 'base';
+  return 'unknown';
+}
+
+/**
+ * Return the theme name targeted by a selector, or null when the selector is
+ * not a theme scope. Sass strips the quotes from attribute values, so both
+ * forms are accepted.
+ *
+ *   '[data-theme="dark"]'  →  'dark'
+ *   '[data-theme=dark]'    →  'dark'
+ *   '.ds-btn'              →  null
+ *
+ * @param {string} selector
+ * @returns {string|null}
+ */
+function getThemeName(selector) {
+  const m = selector.match(/^\[data-theme=(["']?)([^"'\]]+)\1\]$/);
+  return m ? m[2] : null;
+}
+
+/**
+ * Find every var() call in a CSS value, including calls nested in fallbacks.
+ *
+ *   'var(--a, var(--b, 4px))'
+ *     → [{ name: '--a', fallback: 'var(--b, 4px)', depth: 0, … },
+ *        { name: '--b', fallback: '4px',           depth: 1, … }]
+ *
+ * depth counts the enclosing var() calls — depth > 0 means the call only
+ * runs when an outer token is undefined. start/end delimit the whole call.
+ *
+ * @param {string} value
+ * @returns {Array<{ name: string, fallback: string|null, depth: number, start: number, end: number }>}
+ */
+function parseVarCalls(value) {
+  const calls = [];
+  const open  = [];   // end offsets of the var() calls enclosing the cursor
+  const regex = /var\(\s*(--[\w-]+)\s*/g;
+  let match;
+
+  while ((match = regex.exec(value)) !== null) {
+    while (open.length > 0 && open[open.length - 1] <= match.index) open.pop();
+
+    // Find the matching ")" and the first top-level comma
+    let depth = 1;
+    let comma = -1;
+    let i     = regex.lastIndex;
+    for (; i < value.length && depth > 0; i++) {
+      if (value[i] === '(') depth++;
+      else if (value[i] === ')') depth--;
+      else if (value[i] === ',' && depth === 1 && comma === -1) comma = i;
+    }
+    const end = depth === 0 ? i : value.length;
+
+    calls.push({
+      name     : match[1],
+      fallback : comma === -1 ? null : value.slice(comma + 1, end - 1).trim(),
+      depth    : open.length,
+      start    : match.index,
+      end,
+    });
+    open.push(end);
+  }
+  return calls;
+}
+
+/**
+ * Extract every var(--name) reference from a CSS value string.
+ * Handles: var(--x), var(--x, fallback), var(--x, var(--y)).
+ * References nested in fallbacks are included — they are real dependencies
+ * whenever the outer token is missing.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function extractVarRefs(value) {
+  return parseVarCalls(value).map(call => call.name);
+}
+
+/**
+ * References that appear only inside var() fallbacks.
+ * @param {string} value
+ * @returns {Set<string>}
+ */
+function extractFallbackRefs(value) {
+  const calls   = parseVarCalls(value);
+  const primary = new Set(calls.filter(c => c.depth === 0).map(c => c.name));
+  return new Set(calls.filter(c => c.depth > 0 && !primary.has(c.name)).map(c => c.name));
+}
+
+/**
+ * Follow a token's alias chain: each step is the value's first var() while
+ * the value is a bare var() reference.
+ *
+ *   --component-button-primary-bg
+ *     → --semantic-color-brand-default → --primitive-color-blue-600
+ *
+ * @param {string} name
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @returns {string[]}  chain, starting with `name`
+ */
+function resolveChain(name, tokenDefs) {
+  const chain = [name];
+  let current = name;
+  while (tokenDefs.has(current)) {
+    const m = tokenDefs.get(current).value.match(/^var\(\s*(--[\w-]+)\s*(?:,[\s\S]*)?\)$/);
+    if (!m || chain.includes(m[1])) break;
+    chain.push(m[1]);
+    current = m[1];
+  }
+  return chain;
+}
+
+/**
+ * Fully resolve a token's value by substituting every var() with the value
+ * of the token it references (fallbacks are used for undefined tokens).
+ * Returns null for undefined tokens and cycles.
+ *
+ * @param {string} name
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @param {Set<string>} [seen]
+ * @returns {string|null}
+ */
+function resolveValue(name, tokenDefs, seen = new Set()) {
+  if (!tokenDefs.has(name) || seen.has(name)) return null;
+  return resolveExpression(tokenDefs.get(name).value, tokenDefs, new Set(seen).add(name));
+}
+
+/**
+ * Resolve every top-level var() in a CSS value, as the browser would:
+ * the referenced token's resolved value, else the resolved fallback.
+ * A var() with neither is left as written.
+ *
+ * @param {string} text
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @param {Set<string>} [seen]
+ * @returns {string}
+ */
+function resolveExpression(text, tokenDefs, seen = new Set()) {
+  let result = text;
+  const calls = parseVarCalls(text).filter(call => call.depth === 0).reverse();
+  for (const { name, fallback, start, end } of calls) {
+    const value = resolveValue(name, tokenDefs, seen)
+      ?? (fallback !== null ? resolveExpression(fallback, tokenDefs, seen) : text.slice(start, end));
+    result = result.slice(0, start) + value + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Collect the :root custom property definitions of a stylesheet. The first
+ * definition of a name wins, as in validate-tokens.js (the tokens layer is
+ * emitted first and is canonical).
+ *
+ * @param {string|{ children: Array }} cssOrAst  CSS text or a parsed stylesheet
+ * @returns {Map<string, { value: string, refs: string[], line: number, layer: string|null }>}
+ */
+function collectRootTokens(cssOrAst) {
+  const ast    = typeof cssOrAst === 'string' ? parse(cssOrAst) : cssOrAst;
+  const tokens = new Map();
+  walk(ast, (node, ctx) => {
+    if (node.type !== 'decl' || !ctx.inRoot || !node.property.startsWith('--')) return;
+    if (tokens.has(node.property)) return;
+    tokens.set(node.property, {
+      value : node.value,
+      refs  : extractVarRefs(node.value),
+      line  : node.line,
+      layer : ctx.layer,
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Build a directed dependency graph from token definitions.
+ * Edge: token → dep means the token's value contains var(--dep).
+ * @param {Map<string, { refs: string[] }>} tokenDefs
+ * @returns {Map<string, string[]>}
+ */
+function buildGraph(tokenDefs) {
+  const graph = new Map();
+  for (const [name, { refs }] of tokenDefs) {
+    graph.set(name, refs);
+  }
+  return graph;
+}
+
+/**
+ * Build the full dependency graph of a stylesheet: tokens, the CSS rules
+ * that consume them, and the vendor tokens adapters derive from them.
+ *
+ *   nodes — Map<id, node>
+ *     token  { id: '--semantic-…', kind: 'token',  tier, value, layer, line, themes }
+ *     vendor { id: '--p-…',        kind: 'vendor', tier: 'vendor', layer, line }
+ *     rule   { id: 'rule:<layer> <selector>', kind: 'rule', tier: 'rule',
+ *              selector, properties, layer, line }
+ *   edges — Map<id, Set<id>>   consumer → the tokens it references
+ *
+ * A token's value and edges come from its first :root definition; its
+ * references in other blocks (e.g. size modifiers) are added as edges.
+ * `themes` lists the [data-theme] blocks that override the token.
+ * Custom properties outside the four DS tiers are vendor tokens.
+ *
+ * @param {string|{ children: Array }} cssOrAst
+ * @returns {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }}
+ */
+function buildDependencyGraph(cssOrAst) {
+  const ast   = typeof cssOrAst === 'string' ? parse(cssOrAst) : cssOrAst;
+  const nodes = new Map();
+  const edges = new Map();
+
+  const link = (from, refs) => {
+    if (!edges.has(from)) edges.set(from, new Set());
+    for (const ref of refs) edges.get(from).add(ref);
+  };
+
+  walk(ast, (node, ctx) => {
+    if (node.type !== 'decl') return;
+    const refs = extractVarRefs(node.value);
+
+    if (node.property.startsWith('--')) {
+      const name   = node.property;
+      const tier   = getTier(name);
+      const themes = ctx.selectors.map(getThemeName).filter(Boolean);
+
+      if (!nodes.has(name)) {
+        nodes.set(name, tier === 'unknown'
+          ? { id: name, kind: 'vendor', tier: 'vendor', layer: ctx.layer, line: node.line }
+          : { id: name, kind: 'token', tier, value: null, layer: ctx.layer, line: node.line, themes: [] });
+      }
+      const entry = nodes.get(name);
+      if (entry.kind === 'token') {
+        if (ctx.inRoot && entry.value === null) {
+          Object.assign(entry, { value: node.value, layer: ctx.layer, line: node.line });
+        }
+        for (const theme of themes) if (!entry.themes.includes(theme)) entry.themes.push(theme);
+      }
+      // Theme overrides re-point primitives; they add no dependency edges
+      if (themes.length === 0 || ctx.inRoot) link(name, refs);
+      return;
+    }
+
+    if (refs.length === 0 || !ctx.rule) return;
+    const selector = ctx.rule.selector;
+    const id       = `rule:${ctx.layer || ''} ${selector}`;
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, kind: 'rule', tier: 'rule', selector, properties: [], layer: ctx.layer, line: ctx.rule.line });
+    }
+    const entry = nodes.get(id);
+    if (!entry.properties.includes(node.property)) entry.properties.push(node.property);
+    link(id, refs);
+  });
+
+  // Referenced but never declared — keep them visible as dangling nodes
+  for (const refs of edges.values()) {
+    for (const ref of refs) {
+      if (!nodes.has(ref)) {
+        const tier = getTier(ref);
+        nodes.set(ref, { id: ref, kind: tier === 'unknown' ? 'vendor' : 'token', tier: tier === 'unknown' ? 'vendor' : tier,
+          value: null, layer: null, line: null, themes: [], missing: true });
+      }
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Everything that depends on `id`, directly or transitively — breadth first,
+ * so each dependent carries its shortest path back to `id`.
+ *
+ *   dependentsOf(graph, '--primitive-color-blue-600')
+ *     → [{ id: '--semantic-color-brand-default', depth: 1, via: '--primitive-color-blue-600' }, …]
+ *
+ * @param {{ edges: Map<string, Set<string>> }} graph
+ * @param {string} id
+ * @returns {Array<{ id: string, depth: number, via: string }>}
+ */
+function dependentsOf({ edges }, id) {
+  const reverse = new Map();
+  for (const [from, refs] of edges) {
+    for (const ref of refs) {
+      if (!reverse.has(ref)) reverse.set(ref, []);
+      reverse.get(ref).push(from);
+    }
+  }
+  return traverse(reverse, id);
+}
+
+/**
+ * Everything `id` depends on, directly or transitively.
+ * @param {{ edges: Map<string, Set<string>> }} graph
+ * @param {string} id
+ * @returns {Array<{ id: string, depth: number, via: string }>}
+ */
+function dependenciesOf({ edges }, id) {
+  return traverse(new Map([...edges].map(([from, refs]) => [from, [...refs]])), id);
+}
+
+/**
+ * Breadth-first walk over an adjacency map, excluding the start node.
+ * @param {Map<string, string[]>} adjacency
+ * @param {string} start
+ * @returns {Array<{ id: string, depth: number, via: string }>}
+ */
+function traverse(adjacency, start) {
+  const found = [];
+  const seen  = new Set([start]);
+  let frontier = [start];
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    for (const current of frontier) {
+      for (const id of adjacency.get(current) || []) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+        found.push({ id, depth, via: current });
+        next.push(id);
+      }
+    }
+    frontier = next;
+  }
+  return found;
+}
+
+module.exports = {
+  getTier,
+  getThemeName,
+  parseVarCalls,
+  extractVarRefs,
+  extractFallbackRefs,
+  resolveChain,
+  resolveValue,
+  resolveExpression,
+  collectRootTokens,
+  buildGraph,
+  buildDependencyGraph,
+  dependentsOf,
+  dependenciesOf,
+};
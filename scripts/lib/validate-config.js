@@ -0,0 +1,126 @@
+'use strict';
+// =============================================================================
+// TOKEN VALIDATOR — PROJECT CONFIG LOADER
+// FILE: scripts/lib/validate-config.js
+//
+// PURPOSE:
+//   Loads ds-validate.config.js, the project's policy file for
+//   scripts/validate-tokens.js:
+//
+//     module.exports = {
+//       rules: {
+//         'orphan-token'   : 'off',       // turn a built-in rule off
+//         'naming-grammar' : 'error',     // or change its severity
+//       },
+//       customRules: [
+//         {
+//           id          : 'team/no-raw-z-index',
+//           description : 'z-index comes from --base-z-index-* tokens',
+//           severity    : 'error',
+//           check(context) {
+//             return [{ message: '…', token: '--x', line: 12 }];
+//           },
+//         },
+//       ],
+//     };
+//
+// CUSTOM RULE CONTRACT:
+//   check(context) runs once per validation and returns an array of findings.
+//   context holds the data the built-in rules use (see buildRuleContext in
+//   validate-tokens.js): tokenDefs, themeOverrides, ruleUsages, usageLines,
+//   graph, declarations, registry, ast and the token-graph helpers.
+//   Each finding is { message, detail?, token?, line?, layer? } where line is
+//   the compiled CSS line — the validator maps it to the SCSS source and
+//   applies inline suppressions and the baseline as for any built-in rule.
+//
+//   Custom ids must contain a '/' (team/rule-name) so they can never clash
+//   with a built-in id added later.
+//
+// INVARIANTS:
+//   - No external dependencies — Node built-ins only (fs)
+//   - A malformed config throws, naming the offending entry: a policy file
+//     that half-loads must never pass silently
+// =============================================================================
+
+const fs = require('fs');
+
+const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Load and check the config. Returns an empty config when the file does not
+ * exist.
+ *
+ * @param {string} file  absolute path
+ * @param {string[]} builtInIds  ids of the validator's own rules
+ * @returns {{ file: string|null, overrides: Map<string, 'error'|'warning'|'off'>,
+ *             customRules: Array<{ id: string, description: string, severity: string, check: Function }> }}
+ */
+function loadValidateConfig(file, builtInIds) {
+  if (!fs.existsSync(file)) return { file: null, overrides: new Map(), customRules: [] };
+
+  const config      = require(file);
+  const customRules = config.customRules || [];
+  const seen        = new Set();
+
+  if (!Array.isArray(customRules)) throw new Error('"customRules" must be an array');
+
+  for (const rule of customRules) {
+    const label = rule && rule.id ? `custom rule "${rule.id}"` : `custom rule ${JSON.stringify(rule)}`;
+    if (typeof rule.id !== 'string' || !rule.id.includes('/')) {
+      throw new Error(`${label}: "id" must be a namespaced string such as "team/rule-name"`);
+    }
+    if (builtInIds.includes(rule.id) || seen.has(rule.id)) throw new Error(`${label}: id is already defined`);
+    if (typeof rule.check !== 'function') throw new Error(`${label}: "check" must be a function`);
+    if (typeof rule.description !== 'string' || rule.description === '') {
+      throw new Error(`${label}: "description" is required`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${label}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+    }
+    seen.add(rule.id);
+  }
+
+  const known     = [...builtInIds, ...seen];
+  const overrides = new Map();
+  for (const [id, severity] of Object.entries(config.rules || {})) {
+    if (!known.includes(id)) throw new Error(`rules: unknown rule "${id}"`);
+    if (![...SEVERITIES, 'off'].includes(severity)) {
+      throw new Error(`rules: "${id}" must be one of ${[...SEVERITIES, 'off'].join(', ')}`);
+    }
+    overrides.set(id, severity);
+  }
+
+  return {
+    file,
+    overrides,
+    customRules: customRules.map(rule => ({
+      id          : rule.id,
+      description : rule.description,
+      severity    : rule.severity || 'error',
+      check       : rule.check,
+    })),
+  };
+}
+
+/**
+ * Run one custom rule and check what it returns.
+ *
+ * @param {{ id: string, check: Function }} rule
+ * @param {Object} context
+ * @returns {Array<{ message: string, detail?: string, token?: string, line?: number, layer?: string }>}
+ */
+function runCustomRule(rule, context) {
+  const findings = rule.check(context);
+  if (!Array.isArray(findings)) throw new Error(`custom rule "${rule.id}": check() must return an array`);
+  for (const finding of findings) {
+    if (!finding || typeof finding.message !== 'string' || finding.message === '') {
+      throw new Error(`custom rule "${rule.id}": every finding needs a "message"`);
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  loadValidateConfig,
+  runCustomRule,
+};
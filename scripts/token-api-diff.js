@@ -0,0 +1,493 @@
+'use strict';
+// =============================================================================
+// TOKEN API DIFF — BREAKING-CHANGE DETECTOR
+// FILE: scripts/token-api-diff.js
+//
+// PURPOSE:
+//   The token names and values in :root are the design system's public API.
+//   This script compares two builds, classifies every token change, derives
+//   the semver bump the change set requires, and fails when the versions in
+//   package.json or component.registry.json were bumped too little.
+//
+// CHANGE KINDS → REQUIRED BUMP (see BUMP_BY_KIND):
+//   removed          token no longer defined                        major
+//   renamed          old name gone, new name added (same value, or
+//                    listed as replacement in tokens.deprecations.json) major
+//   renamed-aliased  new name added, old name kept as a deprecation
+//                    alias `--old: var(--new)`                      minor
+//   added            new token                                      minor
+//   chain            same name, different var() references
+//                    (e.g. a semantic token re-pointed)             minor
+//   value            same references, different resolved value —
+//                    directly or through an upstream token          patch
+//
+//   The package needs the largest bump of all changes; each component the
+//   largest bump of the changes to its tokens (registry tokenPrefix).
+//   Components that are new in the registry are not checked.
+//
+// USAGE:
+//   node scripts/token-api-diff.js [old] [new] [--format text|json]
+//   npm run token-diff [-- old new]
+//
+//   Each operand is a compiled CSS file or a git ref:
+//     (none)                    HEAD → working tree sources
+//     v1.0.0                    tag v1.0.0 → working tree sources
+//     v1.0.0 main               two refs
+//     old.css dist/ds-preview.css  two builds
+//
+//   A git ref is built from its own scss/ (compiled in memory) and supplies
+//   its own package.json, component.registry.json and deprecations. A CSS
+//   file takes them from HEAD when it is the old side and from the working
+//   tree when it is the new side.
+//
+// EXIT CODES:
+//   0 — Versions bumped enough (or nothing changed)
+//   1 — Package or component version bumped less than required
+//   2 — An operand could not be read, resolved or compiled
+// =============================================================================
+
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const { execFileSync }  = require('child_process');
+
+const { parseDeprecations, compareVersions } = require('./lib/deprecations');
+const { getTier, resolveValue, collectRootTokens } = require('./lib/token-graph');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const ROOT = path.resolve(__dirname, '..');
+
+const SCSS_ENTRY              = 'scss/ds-preview.scss';
+const PACKAGE_FILE            = 'package.json';
+const COMPONENT_REGISTRY_FILE = 'preview/data/component.registry.json';
+const DEPRECATIONS_FILE       = 'tokens.deprecations.json';
+
+// ─── Bump policy ──────────────────────────────────────────────────────────────
+
+const BUMPS = ['none', 'patch', 'minor', 'major'];
+
+const BUMP_BY_KIND = {
+  'removed'         : 'major',
+  'renamed'         : 'major',
+  'renamed-aliased' : 'minor',
+  'added'           : 'minor',
+  'chain'           : 'minor',
+  'value'           : 'patch',
+};
+
+const FORMATS = ['text', 'json'];
+
+// ─── Output constants ─────────────────────────────────────────────────────────
+
+const SEP  = '─'.repeat(60);
+const PASS = '✔';
+const FAIL = '✖';
+const INFO = '·';
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse CLI arguments.
+ *
+ * @param {string[]} argv  process.argv
+ * @returns {{ old: string, new: string|null, format: string }}
+ */
+function parseArgs(argv) {
+  const args     = argv.slice(2);
+  const operands = [];
+  let format     = 'text';
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format' && args[i + 1]) format = args[++i];
+    else if (a.startsWith('--format=')) format = a.slice('--format='.length);
+    else if (!a.startsWith('-')) operands.push(a);
+  }
+
+  if (!FORMATS.includes(format)) {
+    console.error(`[token-diff] ERROR: Unknown --format "${format}" — expected one of: ${FORMATS.join(', ')}`);
+    process.exit(2);
+  }
+
+  return { old: operands[0] || 'HEAD', new: operands[1] || null, format };
+}
+
+// ─── Loading a side ───────────────────────────────────────────────────────────
+
+/**
+ * Run git in the repository root and return stdout.
+ * @param {string[]} args
+ * @returns {string}
+ */
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Compile an SCSS entry point. sass is required lazily, as in validate-tokens.js.
+ * @param {string} entry  absolute path
+ * @returns {string}  CSS
+ */
+function compile(entry) {
+  let sass;
+  try {
+    sass = require('sass');
+  } catch (err) {
+    throw new Error('sass is not installed — run `npm install` to build from sources');
+  }
+  return sass.compile(entry, { style: 'expanded' }).css;
+}
+
+/**
+ * Read the version metadata a side is judged by.
+ * @param {(file: string) => string|null} read  repo-relative path → contents or null
+ * @returns {{ version: string|null, components: Object<string, { version: string, tokenPrefix: string }>,
+ *             deprecations: Array<Object> }}
+ */
+function readMetadata(read) {
+  const pkg          = read(PACKAGE_FILE);
+  const registry     = read(COMPONENT_REGISTRY_FILE);
+  const deprecations = read(DEPRECATIONS_FILE);
+
+  return {
+    version      : pkg ? JSON.parse(pkg).version : null,
+    components   : registry ? JSON.parse(registry).components || {} : {},
+    deprecations : deprecations ? parseDeprecations(deprecations) : [],
+  };
+}
+
+/**
+ * Metadata from a git ref.
+ * @param {string} ref
+ */
+function metadataAtRef(ref) {
+  return readMetadata(file => {
+    try {
+      return git(['show', `${ref}:${file}`]);
+    } catch (err) {
+      return null;
+    }
+  });
+}
+
+/** Metadata from the working tree. */
+function metadataInWorkingTree() {
+  return readMetadata(file => {
+    const full = path.join(ROOT, file);
+    return fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+  });
+}
+
+/**
+ * Build the tokens of a git ref: check out its scss/ into a temp directory
+ * and compile the entry point there.
+ * @param {string} ref
+ * @returns {string}  CSS
+ */
+function compileRef(ref) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-diff-'));
+  try {
+    const files = git(['ls-tree', '-r', '--name-only', ref, '--', 'scss']).split('\n').filter(Boolean);
+    for (const file of files) {
+      const target = path.join(dir, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, execFileSync('git', ['show', `${ref}:${file}`], { cwd: ROOT }));
+    }
+    return compile(path.join(dir, SCSS_ENTRY));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Load one side of the comparison.
+ *
+ * @param {string|null} operand  CSS path, git ref, or null for the working tree
+ * @param {'old'|'new'} role
+ * @returns {{ label: string, tokens: Map<string, Object>, meta: Object }}
+ */
+function loadSide(operand, role) {
+  if (operand === null) {
+    return {
+      label  : `${SCSS_ENTRY} (working tree)`,
+      tokens : apiTokens(compile(path.join(ROOT, SCSS_ENTRY))),
+      meta   : metadataInWorkingTree(),
+    };
+  }
+
+  const file = path.resolve(process.cwd(), operand);
+  if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+    return {
+      label  : path.relative(ROOT, file),
+      tokens : apiTokens(fs.readFileSync(file, 'utf8')),
+      meta   : role === 'old' ? metadataAtRef('HEAD') : metadataInWorkingTree(),
+    };
+  }
+
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${operand}^{commit}`]);
+  } catch (err) {
+    throw new Error(`"${operand}" is neither a file nor a git ref`);
+  }
+  return {
+    label  : `${operand} (git)`,
+    tokens : apiTokens(compileRef(operand)),
+    meta   : metadataAtRef(operand),
+  };
+}
+
+/**
+ * The token API of a stylesheet: :root definitions of the four DS tiers.
+ * Vendor tokens (--p-*, --bs-*, …) belong to adapters, not the API.
+ * @param {string} css
+ * @returns {Map<string, { value: string, refs: string[] }>}
+ */
+function apiTokens(css) {
+  const tokens = collectRootTokens(css);
+  for (const name of tokens.keys()) {
+    if (getTier(name) === 'unknown') tokens.delete(name);
+  }
+  return tokens;
+}
+
+// ─── Classification ───────────────────────────────────────────────────────────
+
+/**
+ * Collapse whitespace so expanded and minified builds compare equal.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normalize(value) {
+  return value === null ? null : value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classify every token change between two builds.
+ *
+ * @param {Map<string, { value: string, refs: string[] }>} before
+ * @param {Map<string, { value: string, refs: string[] }>} after
+ * @param {Array<{ token: string, replacement: string|null }>} deprecations  new side's registry
+ * @returns {Array<{ kind: string, token: string, to?: string, before?: string|null, after?: string|null, indirect?: boolean }>}
+ */
+function classifyChanges(before, after, deprecations) {
+  const changes     = [];
+  const replacement = new Map(deprecations.map(entry => [entry.token, entry.replacement]));
+  const consumed    = new Set();   // added names explained by a rename
+
+  const added   = [...after.keys()].filter(name => !before.has(name));
+  const removed = [...before.keys()].filter(name => !after.has(name));
+
+  // Renames kept alive by a deprecation alias
+  for (const [name, def] of after) {
+    const target = replacement.get(name);
+    if (!before.has(name) || !target) continue;
+    if (normalize(def.value) === `var(${target})` && normalize(before.get(name).value) !== normalize(def.value)) {
+      changes.push({ kind: 'renamed-aliased', token: name, to: target });
+      if (!before.has(target)) consumed.add(target);
+    }
+  }
+
+  // Removals, unless they are renames
+  for (const name of removed) {
+    let target = replacement.get(name);
+    if (!target || !after.has(target) || before.has(target)) {
+      const value = normalize(before.get(name).value);
+      const same  = added.filter(n => !consumed.has(n) && getTier(n) === getTier(name)
+        && normalize(after.get(n).value) === value);
+      target = same.length === 1 ? same[0] : null;
+    }
+    if (target) {
+      consumed.add(target);
+      changes.push({ kind: 'renamed', token: name, to: target });
+    } else {
+      changes.push({ kind: 'removed', token: name, before: normalize(before.get(name).value) });
+    }
+  }
+
+  for (const name of added) {
+    if (!consumed.has(name)) changes.push({ kind: 'added', token: name, after: normalize(after.get(name).value) });
+  }
+
+  // Tokens present on both sides
+  const renamedAliased = new Set(changes.filter(c => c.kind === 'renamed-aliased').map(c => c.token));
+  for (const [name, def] of after) {
+    if (!before.has(name) || renamedAliased.has(name)) continue;
+    const old = before.get(name);
+
+    if (old.refs.join(' ') !== def.refs.join(' ')) {
+      changes.push({ kind: 'chain', token: name, before: normalize(old.value), after: normalize(def.value) });
+      continue;
+    }
+
+    const was = normalize(resolveValue(name, before));
+    const is  = normalize(resolveValue(name, after));
+    if (was !== is) {
+      changes.push({ kind: 'value', token: name, before: was, after: is, indirect: def.refs.length > 0 });
+    }
+  }
+
+  return changes.sort((a, b) =>
+    BUMPS.indexOf(BUMP_BY_KIND[b.kind]) - BUMPS.indexOf(BUMP_BY_KIND[a.kind]) || a.token.localeCompare(b.token));
+}
+
+// ─── Bumps ────────────────────────────────────────────────────────────────────
+
+/**
+ * Largest bump required by a set of changes.
+ * @param {Array<{ kind: string }>} changes
+ * @returns {string}
+ */
+function requiredBump(changes) {
+  return changes.reduce((max, { kind }) =>
+    BUMPS.indexOf(BUMP_BY_KIND[kind]) > BUMPS.indexOf(max) ? BUMP_BY_KIND[kind] : max, 'none');
+}
+
+/**
+ * The bump between two versions: 'major', 'minor', 'patch', 'none', or
+ * 'downgrade' when the new version is lower.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+function actualBump(from, to) {
+  const cmp = compareVersions(to, from);
+  if (cmp === 0) return 'none';
+  if (cmp < 0)   return 'downgrade';
+  const [a, b] = [from, to].map(v => v.split('.').map(Number));
+  if (b[0] !== a[0]) return 'major';
+  if (b[1] !== a[1]) return 'minor';
+  return 'patch';
+}
+
+/**
+ * Compare required and actual bumps for the package and each component.
+ *
+ * @param {Array<Object>} changes
+ * @param {Object} oldMeta
+ * @param {Object} newMeta
+ * @returns {Array<{ subject: string, from: string|null, to: string|null, required: string, actual: string|null, ok: boolean, changes: number }>}
+ */
+function checkVersions(changes, oldMeta, newMeta) {
+  const checks = [];
+
+  /** @param {string} required  @param {string} actual */
+  const enough = (required, actual) =>
+    actual !== 'downgrade' && BUMPS.indexOf(actual) >= BUMPS.indexOf(required);
+
+  const pkgRequired = requiredBump(changes);
+  const pkgActual   = oldMeta.version && newMeta.version ? actualBump(oldMeta.version, newMeta.version) : null;
+  checks.push({
+    subject  : 'package.json',
+    from     : oldMeta.version,
+    to       : newMeta.version,
+    required : pkgRequired,
+    actual   : pkgActual,
+    ok       : pkgActual === null || enough(pkgRequired, pkgActual),
+    changes  : changes.length,
+  });
+
+  for (const [id, component] of Object.entries(newMeta.components)) {
+    const previous = oldMeta.components[id];
+    if (!previous || !component.tokenPrefix) continue;
+    const own      = changes.filter(c => c.token.startsWith(`${component.tokenPrefix}-`));
+    const required = requiredBump(own);
+    const actual   = actualBump(previous.version, component.version);
+    checks.push({
+      subject  : `${id} (component.registry.json)`,
+      from     : previous.version,
+      to       : component.version,
+      required,
+      actual,
+      ok       : enough(required, actual),
+      changes  : own.length,
+    });
+  }
+
+  return checks;
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * Print the human-readable report.
+ * @param {{ old: Object, new: Object }} sides
+ * @param {Array<Object>} changes
+ * @param {Array<Object>} checks
+ */
+function printReport(sides, changes, checks) {
+  console.log('');
+  console.log(SEP);
+  console.log('Token API diff');
+  console.log(SEP);
+  console.log(`  Old : ${sides.old.label} — ${sides.old.tokens.size} tokens`);
+  console.log(`  New : ${sides.new.label} — ${sides.new.tokens.size} tokens`);
+  console.log('');
+
+  if (changes.length === 0) {
+    console.log(`${PASS} No token API changes`);
+  }
+
+  for (const kind of Object.keys(BUMP_BY_KIND)) {
+    const ofKind = changes.filter(c => c.kind === kind && !c.indirect);
+    const indirect = changes.filter(c => c.kind === kind && c.indirect);
+    if (ofKind.length + indirect.length === 0) continue;
+
+    console.log(`${kind} (${ofKind.length + indirect.length}) — ${BUMP_BY_KIND[kind]}`);
+    for (const c of ofKind) {
+      if (c.to)                       console.log(`  ${INFO} ${c.token} → ${c.to}`);
+      else if (kind === 'added')      console.log(`  ${INFO} ${c.token}: ${c.after}`);
+      else if (kind === 'removed')    console.log(`  ${INFO} ${c.token} (was ${c.before})`);
+      else                            console.log(`  ${INFO} ${c.token}: ${c.before} → ${c.after}`);
+    }
+    if (indirect.length > 0) {
+      console.log(`  ${INFO} ${indirect.length} token(s) through an upstream change: ` +
+        indirect.slice(0, 5).map(c => c.token).join(', ') + (indirect.length > 5 ? ', …' : ''));
+    }
+    console.log('');
+  }
+
+  console.log(SEP);
+  for (const { subject, from, to, required, actual, ok, changes: count } of checks) {
+    const versions = actual === null ? 'version unknown' : `${from} → ${to} (${actual})`;
+    console.log(`${ok ? PASS : FAIL} ${subject}: ${versions} — requires ${required} (${count} change(s))`);
+  }
+  console.log(SEP);
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const opts = parseArgs(process.argv);
+
+  let sides;
+  try {
+    sides = { old: loadSide(opts.old, 'old'), new: loadSide(opts.new, 'new') };
+  } catch (err) {
+    console.error(`[token-diff] ERROR: ${err.message}`);
+    process.exit(2);
+  }
+
+  const changes = classifyChanges(sides.old.tokens, sides.new.tokens, sides.new.meta.deprecations);
+  const checks  = checkVersions(changes, sides.old.meta, sides.new.meta);
+  const passed  = checks.every(check => check.ok);
+
+  if (opts.format === 'json') {
+    process.stdout.write(JSON.stringify({
+      old     : sides.old.label,
+      new     : sides.new.label,
+      passed,
+      required: requiredBump(changes),
+      checks,
+      changes : changes.map(c => ({ ...c, bump: BUMP_BY_KIND[c.kind] })),
+    }, null, 2) + '\n');
+  } else {
+    printReport(sides, changes, checks);
+    if (!passed) console.log('\nBump the versions marked ✖ before releasing.\n');
+  }
+
+  // exitCode, not process.exit(): a piped stdout is flushed asynchronously
+  process.exitCode = passed ? 0 : 1;
+}
+
+main();
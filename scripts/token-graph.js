@@ -0,0 +1,418 @@
+'use strict';
+// =============================================================================
+// TOKEN GRAPH — EXPORT & IMPACT ANALYSIS
+// FILE: scripts/token-graph.js
+//
+// PURPOSE:
+//   Makes the dependency graph that validate-tokens.js and the Figma dry run
+//   build for cycle detection available to people:
+//
+//   export  — the whole graph (or a slice of it) as DOT, Mermaid or JSON
+//   impact  — everything that depends on a token, transitively: semantic
+//             tokens, component tokens, CSS rules and adapter vendor tokens.
+//             The question designers ask before changing a palette step.
+//
+//   Graph nodes are tokens, CSS rules (per layer + selector) and vendor
+//   tokens (--p-*, --bs-*, …); edges follow var() references. Exports draw
+//   edges in the direction values flow: primitive → semantic → component → rule.
+//
+// USAGE:
+//   node scripts/token-graph.js export [input] [--format dot|mermaid|json]
+//                                      [--component <id>] [--tier <tier>[,<tier>]]
+//                                      [--out <file>]
+//   node scripts/token-graph.js impact <--token-name> [input] [--format text|json]
+//   npm run token-graph -- impact --primitive-color-blue-600
+//
+//   input:
+//     path/to/file.css  a compiled build (default: first of CSS_CANDIDATES)
+//     --source          compile scss/ds-preview.scss in memory
+//     --figma <file>    a Figma token export (tokens only — no rules)
+//
+//   --component <id>  keep that component's tokens, everything they depend on
+//                     and the rules that consume them (id as in
+//                     component.registry.json: button, badge, card)
+//   --tier <tiers>    keep only these tiers: primitive, semantic, component,
+//                     base, vendor, rule (comma-separated or repeated)
+//
+// EXIT CODES:
+//   0 — Graph written / impact reported
+//   1 — Bad arguments, unknown token, or input not found
+// =============================================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const {
+  getTier, resolveValue, collectRootTokens, buildDependencyGraph, dependentsOf, dependenciesOf,
+} = require('./lib/token-graph');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CSS_CANDIDATES = [
+  path.join(ROOT, 'dist', 'ds-preview.css'),
+  path.join(ROOT, 'preview', 'css', 'ds-preview.css'),
+];
+
+const SCSS_ENTRY = path.join(ROOT, 'scss', 'ds-preview.scss');
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+const TIERS = ['primitive', 'semantic', 'base', 'component', 'vendor', 'rule'];
+
+const FORMATS = {
+  export : ['dot', 'mermaid', 'json'],
+  impact : ['text', 'json'],
+};
+
+/** DOT / Mermaid node styling per tier. */
+const TIER_STYLE = {
+  primitive : { shape: 'box',       color: '#e9ecef' },
+  semantic  : { shape: 'box',       color: '#d0ebff' },
+  base      : { shape: 'box',       color: '#fff3bf' },
+  component : { shape: 'box',       color: '#d3f9d8' },
+  vendor    : { shape: 'hexagon',   color: '#f3d9fa' },
+  rule      : { shape: 'note',      color: '#ffffff' },
+};
+
+// ─── Output constants ─────────────────────────────────────────────────────────
+
+const SEP  = '─'.repeat(60);
+const FAIL = '✖';
+const INFO = '·';
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse CLI arguments.
+ *
+ * @param {string[]} argv  process.argv
+ * @returns {{ command: 'export'|'impact', token: string|null, input: string|null, source: boolean,
+ *             figma: string|null, format: string, component: string|null, tiers: string[], out: string|null }}
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const opts = {
+    command   : 'export',
+    token     : null,
+    input     : null,
+    source    : false,
+    figma     : null,
+    format    : null,
+    component : null,
+    tiers     : [],
+    out       : null,
+  };
+
+  let i = 0;
+  if (args[0] === 'export' || args[0] === 'impact') opts.command = args[i++];
+  if (opts.command === 'impact') opts.token = args[i++] || null;
+
+  for (; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format' && args[i + 1])         opts.format = args[++i];
+    else if (a.startsWith('--format='))          opts.format = a.slice('--format='.length);
+    else if (a === '--component' && args[i + 1]) opts.component = args[++i];
+    else if (a === '--tier' && args[i + 1])      opts.tiers.push(...args[++i].split(','));
+    else if (a === '--out' && args[i + 1])       opts.out = path.resolve(process.cwd(), args[++i]);
+    else if (a === '--figma' && args[i + 1])     opts.figma = path.resolve(process.cwd(), args[++i]);
+    else if (a === '--source')                   opts.source = true;
+    else if (!a.startsWith('--'))                opts.input = path.resolve(process.cwd(), a);
+    else fail(`Unknown option "${a}"`);
+  }
+
+  opts.format = opts.format || FORMATS[opts.command][0];
+  if (!FORMATS[opts.command].includes(opts.format)) {
+    fail(`Unknown --format "${opts.format}" for ${opts.command} — expected one of: ${FORMATS[opts.command].join(', ')}`);
+  }
+  const unknownTier = opts.tiers.find(tier => !TIERS.includes(tier));
+  if (unknownTier) fail(`Unknown --tier "${unknownTier}" — expected: ${TIERS.join(', ')}`);
+  if (opts.command === 'impact' && (!opts.token || !opts.token.startsWith('--'))) {
+    fail('Usage: node scripts/token-graph.js impact <--token-name> [input]');
+  }
+
+  return opts;
+}
+
+/**
+ * Print an error and exit 1.
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`${FAIL} ${message}`);
+  process.exit(1);
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the graph for the selected input.
+ *
+ * @param {ReturnType<typeof parseArgs>} opts
+ * @returns {{ label: string, graph: { nodes: Map, edges: Map }, tokens: Map<string, { value: string }> }}
+ */
+function loadGraph(opts) {
+  if (opts.figma) {
+    const { parseFigmaExport, buildFigmaGraph } = require('./figma-sync-dry-run');
+    const figmaTokens = parseFigmaExport(fs.readFileSync(opts.figma, 'utf8'));
+    const nodes  = new Map();
+    const tokens = new Map();
+    for (const t of figmaTokens) {
+      const tier = getTier(t.cssName);
+      nodes.set(t.cssName, { id: t.cssName, kind: 'token', tier: tier === 'unknown' ? 'vendor' : tier,
+        value: t.cssValue, layer: null, line: null, themes: [] });
+      tokens.set(t.cssName, { value: t.cssValue });
+    }
+    const edges = new Map([...buildFigmaGraph(figmaTokens)].map(([name, deps]) => [name, new Set(deps)]));
+    return { label: path.relative(ROOT, opts.figma), graph: { nodes, edges }, tokens };
+  }
+
+  let css, label;
+  if (opts.source) {
+    let sass;
+    try {
+      sass = require('sass');
+    } catch (err) {
+      throw new Error('sass is not installed — run `npm install` to graph SCSS sources');
+    }
+    css   = sass.compile(SCSS_ENTRY, { style: 'expanded' }).css;
+    label = `${path.relative(ROOT, SCSS_ENTRY)} (compiled in memory)`;
+  } else {
+    const file = opts.input || CSS_CANDIDATES.find(candidate => fs.existsSync(candidate));
+    if (!file || !fs.existsSync(file)) {
+      throw new Error('No compiled CSS found — run `npm run build`, pass a CSS file, or use --source');
+    }
+    css   = fs.readFileSync(file, 'utf8');
+    label = path.relative(ROOT, file);
+  }
+
+  return { label, graph: buildDependencyGraph(css), tokens: collectRootTokens(css) };
+}
+
+// ─── Filtering ────────────────────────────────────────────────────────────────
+
+/**
+ * Slice the graph by component and/or tier. Edges are kept between kept
+ * nodes only.
+ *
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @param {{ component: string|null, tiers: string[] }} filter
+ * @returns {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }}
+ */
+function filterGraph(graph, { component, tiers }) {
+  let keep = new Set(graph.nodes.keys());
+
+  if (component) {
+    const prefix = `--component-${component}-`;
+    const own    = [...graph.nodes.keys()].filter(id => id.startsWith(prefix));
+    if (own.length === 0) fail(`No tokens found for component "${component}" (${prefix}*)`);
+    keep = new Set(own);
+    for (const id of own) {
+      for (const dep of dependenciesOf(graph, id)) keep.add(dep.id);
+      for (const dependent of dependentsOf(graph, id)) {
+        const node = graph.nodes.get(dependent.id);
+        if (node.kind !== 'token') keep.add(dependent.id);
+      }
+    }
+  }
+
+  if (tiers.length > 0) {
+    keep = new Set([...keep].filter(id => tiers.includes(graph.nodes.get(id).tier)));
+  }
+
+  const nodes = new Map([...graph.nodes].filter(([id]) => keep.has(id)));
+  const edges = new Map();
+  for (const [from, refs] of graph.edges) {
+    if (!keep.has(from)) continue;
+    edges.set(from, new Set([...refs].filter(ref => keep.has(ref))));
+  }
+  return { nodes, edges };
+}
+
+// ─── Export formats ───────────────────────────────────────────────────────────
+
+/**
+ * Display label of a node: the token name, or the rule's selector.
+ * @param {Object} node
+ * @returns {string}
+ */
+function labelOf(node) {
+  if (node.kind === 'rule') return `${node.selector}${node.layer ? ` (@layer ${node.layer})` : ''}`;
+  return node.id;
+}
+
+/**
+ * Edges in flow direction (dependency → consumer), sorted for stable output.
+ * @param {{ edges: Map<string, Set<string>> }} graph
+ * @returns {Array<[string, string]>}
+ */
+function flowEdges(graph) {
+  const list = [];
+  for (const [consumer, refs] of graph.edges) {
+    for (const dep of refs) list.push([dep, consumer]);
+  }
+  return list.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+}
+
+/**
+ * Graphviz DOT, one cluster per tier.
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @returns {string}
+ */
+function toDOT(graph) {
+  const q     = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph tokens {', '  rankdir=LR;', '  node [fontname="Helvetica", fontsize=10, style=filled];', ''];
+
+  for (const tier of TIERS) {
+    const inTier = [...graph.nodes.values()].filter(node => node.tier === tier);
+    if (inTier.length === 0) continue;
+    const { shape, color } = TIER_STYLE[tier];
+    lines.push(`  subgraph ${q(`cluster_${tier}`)} {`, `    label=${q(tier)};`);
+    for (const node of inTier.sort((a, b) => a.id.localeCompare(b.id))) {
+      lines.push(`    ${q(node.id)} [label=${q(labelOf(node))}, shape=${shape}, fillcolor=${q(color)}];`);
+    }
+    lines.push('  }');
+  }
+
+  lines.push('');
+  for (const [from, to] of flowEdges(graph)) lines.push(`  ${q(from)} -> ${q(to)};`);
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid flowchart. Node ids are generated (n0, n1, …) because token names
+ * and selectors are not valid Mermaid identifiers.
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @returns {string}
+ */
+function toMermaid(graph) {
+  const ids   = new Map([...graph.nodes.keys()].sort().map((id, i) => [id, `n${i}`]));
+  const esc   = text => text.replace(/"/g, '#quot;');
+  const lines = ['flowchart LR'];
+
+  for (const tier of TIERS) {
+    const inTier = [...graph.nodes.values()].filter(node => node.tier === tier);
+    if (inTier.length === 0) continue;
+    lines.push(`  subgraph ${tier}`);
+    for (const node of inTier.sort((a, b) => a.id.localeCompare(b.id))) {
+      lines.push(`    ${ids.get(node.id)}["${esc(labelOf(node))}"]:::${tier}`);
+    }
+    lines.push('  end');
+  }
+
+  for (const [from, to] of flowEdges(graph)) lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`);
+  for (const tier of TIERS) lines.push(`  classDef ${tier} fill:${TIER_STYLE[tier].color},stroke:#868e96`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON: nodes and edges (from = dependency, to = consumer).
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @returns {string}
+ */
+function toJSON(graph) {
+  return JSON.stringify({
+    nodes : [...graph.nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+    edges : flowEdges(graph).map(([from, to]) => ({ from, to })),
+  }, null, 2) + '\n';
+}
+
+// ─── Impact ───────────────────────────────────────────────────────────────────
+
+/**
+ * Everything that depends on a token, grouped by what it is.
+ *
+ * @param {{ nodes: Map<string, Object>, edges: Map<string, Set<string>> }} graph
+ * @param {Map<string, { value: string }>} tokens
+ * @param {string} token
+ * @returns {{ token: string, value: string|null, themes: string[],
+ *             groups: Object<string, Array<{ id: string, label: string, depth: number, via: string }>> }}
+ */
+function analyzeImpact(graph, tokens, token) {
+  const node   = graph.nodes.get(token);
+  const groups = { semantic: [], base: [], component: [], rule: [], vendor: [], primitive: [] };
+
+  for (const dependent of dependentsOf(graph, token)) {
+    const target = graph.nodes.get(dependent.id);
+    groups[target.tier].push({ ...dependent, label: labelOf(target), layer: target.layer });
+  }
+
+  return {
+    token,
+    value  : tokens.has(token) ? resolveValue(token, tokens) : null,
+    themes : node.themes || [],
+    groups : Object.fromEntries(Object.entries(groups).filter(([, list]) => list.length > 0)),
+  };
+}
+
+/**
+ * Print an impact report.
+ * @param {string} label  input description
+ * @param {ReturnType<typeof analyzeImpact>} impact
+ */
+function printImpact(label, { token, value, themes, groups }) {
+  const total = Object.values(groups).reduce((sum, list) => sum + list.length, 0);
+
+  console.log('');
+  console.log(SEP);
+  console.log(`Impact of ${token}`);
+  console.log(SEP);
+  console.log(`  Source   : ${label}`);
+  if (value !== null)    console.log(`  Value    : ${value.replace(/\s+/g, ' ')}`);
+  if (themes.length > 0) console.log(`  Themes   : overridden in ${themes.map(t => `[data-theme="${t}"]`).join(', ')}`);
+  console.log(`  Affected : ${total}`);
+
+  const headings = {
+    semantic  : 'Semantic tokens',
+    base      : 'Base tokens',
+    component : 'Component tokens',
+    rule      : 'CSS rules',
+    vendor    : 'Adapter vendor tokens',
+    primitive : 'Primitive tokens',
+  };
+  for (const [tier, list] of Object.entries(groups)) {
+    console.log('');
+    console.log(`${headings[tier]} (${list.length})`);
+    for (const { label: name, via, depth } of list) {
+      console.log(`  ${INFO} ${name}${depth > 1 ? `   ← ${via}` : ''}`);
+    }
+  }
+  console.log(SEP);
+  console.log('');
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const opts = parseArgs(process.argv);
+
+  let loaded;
+  try {
+    loaded = loadGraph(opts);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  if (opts.command === 'impact') {
+    if (!loaded.graph.nodes.has(opts.token)) fail(`${opts.token} is not defined or referenced in ${loaded.label}`);
+    const impact = analyzeImpact(loaded.graph, loaded.tokens, opts.token);
+    if (opts.format === 'json') process.stdout.write(JSON.stringify(impact, null, 2) + '\n');
+    else printImpact(loaded.label, impact);
+    return;
+  }
+
+  const graph  = filterGraph(loaded.graph, opts);
+  const render = { dot: toDOT, mermaid: toMermaid, json: toJSON }[opts.format];
+  const output = render(graph);
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, output, 'utf8');
+    console.error(`[token-graph] ${graph.nodes.size} nodes → ${path.relative(process.cwd(), opts.out)}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -0,0 +1,177 @@
+'use strict';
+// =============================================================================
+// TOKEN VALIDATOR — MINIFIED / EXPANDED PARITY CHECK
+// FILE: scripts/validate-parity.js
+//
+// PURPOSE:
+//   validate-tokens.js promises the same verdict for a build whatever its
+//   output style: the css-parser reads compressed CSS, and rule 17 normalizes
+//   the literals a minifier rewrites (rgba(0,0,0,0) for transparent, .9em).
+//   This check holds it to that. It validates an expanded and a compressed
+//   build of the same sources and fails when their findings differ.
+//
+//   Findings are compared on rule, severity and message — never on line,
+//   detail or context, which quote the CSS text and so differ by design.
+//   The baseline is ignored (--no-baseline): every finding counts.
+//
+// USAGE:
+//   node scripts/validate-parity.js [expanded.css minified.css]
+//   npm test
+//
+//   No arguments: scss/ds-preview.scss is compiled in both styles into a
+//   temporary directory (sass is required lazily, as in validate-tokens.js).
+//   Two files: those builds are compared, e.g. dist/ds-preview.css and
+//   dist/ds-preview.min.css after `npm run build`.
+//
+// EXIT CODES:
+//   0 — Both builds produce the same findings
+//   1 — Findings differ, a build could not be compiled or validated
+//
+// INVARIANTS:
+//   - Node built-ins only (fs, os, path, child_process), plus the sass
+//     devDependency when compiling
+//   - Read-only: the temporary builds are removed on exit
+// =============================================================================
+
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const { spawnSync }     = require('child_process');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+const ROOT       = path.resolve(__dirname, '..');
+const SCSS_ENTRY = path.join(ROOT, 'scss', 'ds-preview.scss');
+const VALIDATOR  = path.join(__dirname, 'validate-tokens.js');
+
+/** Validator JSON reports are a few hundred KB; leave ample room. */
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// ─── Output constants ─────────────────────────────────────────────────────────
+
+const SEP  = '─'.repeat(60);
+const PASS = '✔';
+const FAIL = '✖';
+const INFO = '·';
+
+// ─── Builds ───────────────────────────────────────────────────────────────────
+
+/**
+ * Compile the SCSS entry point in both output styles into `dir`.
+ * @param {string} dir
+ * @returns {{ expanded: string, minified: string }}  file paths
+ */
+function compileBoth(dir) {
+  let sass;
+  try {
+    sass = require('sass');
+  } catch {
+    throw new Error('sass is not installed — run `npm install`, or pass two compiled builds');
+  }
+  const files = { expanded: path.join(dir, 'ds-preview.css'), minified: path.join(dir, 'ds-preview.min.css') };
+  fs.writeFileSync(files.expanded, sass.compile(SCSS_ENTRY, { style: 'expanded' }).css);
+  fs.writeFileSync(files.minified, sass.compile(SCSS_ENTRY, { style: 'compressed' }).css);
+  return files;
+}
+
+/**
+ * Validate one build and return its findings.
+ * @param {string} file
+ * @returns {Array<{ rule: string, severity: string, message: string }>}
+ */
+function findingsOf(file) {
+  const run = spawnSync(process.execPath, [VALIDATOR, file, '--format', 'json', '--no-baseline'], {
+    cwd       : ROOT,
+    encoding  : 'utf8',
+    maxBuffer : MAX_BUFFER,
+  });
+  let report;
+  try {
+    report = JSON.parse(run.stdout);
+  } catch {
+    throw new Error(`validate-tokens.js gave no JSON report for ${path.relative(ROOT, file)}\n${run.stderr || run.stdout}`);
+  }
+  return [...report.errors, ...report.warnings];
+}
+
+/**
+ * Count findings by identity: rule, severity and message.
+ * @param {Array<{ rule: string, severity: string, message: string }>} findings
+ * @returns {Map<string, number>}
+ */
+function tally(findings) {
+  const counts = new Map();
+  for (const { rule, severity, message } of findings) {
+    const key = `${severity} ${rule} — ${message}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Findings one build has more often than the other.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {string[]}
+ */
+function surplus(a, b) {
+  const extra = [];
+  for (const [key, count] of a) {
+    for (let n = b.get(key) || 0; n < count; n++) extra.push(key);
+  }
+  return extra.sort();
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length !== 0 && args.length !== 2) {
+    console.error('Usage: node scripts/validate-parity.js [expanded.css minified.css]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const tmp = args.length === 0 ? fs.mkdtempSync(path.join(os.tmpdir(), 'ds-parity-')) : null;
+  try {
+    const files = tmp
+      ? compileBoth(tmp)
+      : { expanded: path.resolve(args[0]), minified: path.resolve(args[1]) };
+    for (const file of Object.values(files)) {
+      if (!fs.existsSync(file)) throw new Error(`Not found: ${file}`);
+    }
+
+    const expanded = findingsOf(files.expanded);
+    const minified = findingsOf(files.minified);
+    const onlyExpanded = surplus(tally(expanded), tally(minified));
+    const onlyMinified = surplus(tally(minified), tally(expanded));
+
+    console.log(SEP);
+    console.log('Validator parity — expanded vs minified build');
+    console.log(SEP);
+    console.log(`${INFO} expanded : ${tmp ? 'scss/ds-preview.scss (expanded)' : path.relative(ROOT, files.expanded)} — ${expanded.length} finding(s)`);
+    console.log(`${INFO} minified : ${tmp ? 'scss/ds-preview.scss (compressed)' : path.relative(ROOT, files.minified)} — ${minified.length} finding(s)`);
+
+    if (onlyExpanded.length === 0 && onlyMinified.length === 0) {
+      console.log(`${PASS} Same findings in both builds`);
+      console.log(SEP);
+      return;
+    }
+
+    for (const [label, keys] of [['Only in the expanded build', onlyExpanded], ['Only in the minified build', onlyMinified]]) {
+      if (keys.length === 0) continue;
+      console.log(`\n${label} (${keys.length}):`);
+      for (const key of keys) console.log(`  ${FAIL} ${key}`);
+    }
+    console.log(SEP);
+    console.log(`${FAIL} Parity FAILED — the validator reads the two builds differently`);
+    process.exitCode = 1;
+  } catch (err) {
+    console.error(`${FAIL} ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+main();
@@ -6,10 +6,13 @@
 //
 // PURPOSE:
 //   Pre-build validation hook enforcing the 3-tier token chain contract.
-//   Called automatically via: "prebuild": "node scripts/validate-tokens.js"
+//   Called automatically via: "prebuild": "… node scripts/validate-tokens.js --source --report html"
 //   A non-zero exit aborts the build.
 //
 // WHAT IT VALIDATES:
+//   0. CSS syntax            — input the parser had to recover from: an
+//                              unclosed ( or {, or a stray }. Checked first:
+//                              every other rule would run on a misread structure [ERROR]
 //   1. Missing references    — var(--x) used but --x never defined
 //   2. Circular dependencies — any token depending on itself (directly or transitively)
 //   3. Tier violations       — naming-based chain enforcement:
@@ -21,19 +24,176 @@
 //   5. Unused semantic       — semantic token not consumed by any component token
 //                              AND not used directly in a CSS rule               [WARNING]
 //   6. Direct primitive in rules — CSS rule (not :root) uses var(--primitive-*) [ERROR]
+//   7. Theme overrides       — every [data-theme="…"] block:                    [ERROR]
+//        a) overrides primitive tokens only
+//        b) overrides only tokens that exist in the base :root set
+//        c) overrides the same primitive set as every other theme
+//        d) never assigns a raw value to a semantic / component token
+//   8. Adapter contract      — everything inside @layer adapters:               [ERROR]
+//        a) references --component-* tokens only (plus its own vendor tokens)
+//        b) never redefines a DS token (--primitive/semantic/component/base-*)
+//        c) never targets .ds-* classes
+//        d) never references another adapter's selectors or vendor tokens
+//        e) only targets its own vendor namespace
+//      Findings name the adapter/version and the best-matching SCSS source line.
+//   9. Layer placement       — each token tier is declared in its own layer:     [ERROR]
+//        primitive / semantic → tokens (overrides: themes)
+//        component            → components
+//        base                 → base
+//        vendor (--p-*, …)    → adapters
+//  10. Layer order           — the compiled CSS opens with the exact ordering
+//                              statement from scss/_layer-order.scss, declares it
+//                              once, and uses no unregistered layer            [ERROR]
+//  11. Registry consistency  — preview/data/component.registry.json tokenFlow rows
+//                              and DS_TOKENS in preview/js/token-registry.js are
+//                              resolved against the compiled token graph:
+//        a) every listed token is defined                                     [ERROR]
+//        b) listed semantic / primitive match the real var() chain            [ERROR]
+//        c) listed raw / resolved values match the resolved CSS value         [ERROR]
+//        d) every defined --component-* token is listed in a registry         [WARNING]
+//  12. Contrast              — every CONTRAST_PAIRS foreground/background pair,
+//                              resolved for :root and every [data-theme] (plus
+//                              --theme-file themes), meets its WCAG 2.x ratio
+//                              and optional APCA Lc minimum                    [ERROR]
+//  13. Naming grammar        — each token name parses against NAMING_GRAMMAR:    [WARNING]
+//        component → --component-{block}-{element}-{variant}-{modifier}-{size}-{property}-{state}
+//                    (only block and property required; blocks, elements,
+//                    variants, modifiers and sizes come from component.registry.json)
+//        semantic  → --semantic-color-{role}-{intent}, other categories by name
+//        primitive / base → known category
+//        (NAMING_GRAMMAR.exceptions lists grandfathered names, with a reason)
+//  14. var() fallbacks       — var(--x, fallback) is a reference like any other:
+//        a) references inside fallbacks join the graph and rules 1–3, 6 and 8
+//        b) in @layer components / adapters the fallback is itself a
+//           var() chain, never a raw literal                                  [ERROR]
+//        c) a fallback resolves to the same value as the token it guards     [WARNING]
+//  15. Value types           — each token, followed through its var() chain, has
+//                              a valid value for its type: DS_TOKENS `type`
+//                              refined by name (color, length, font weight,
+//                              line height, font family, shadow, duration, …) [ERROR]
+//                              Primitive length scales use a single unit       [WARNING]
+//                              (SCALE_UNIT_ALLOWLIST: sentinels such as the pill radius)
+//  16. Deprecations          — tokens.deprecations.json, against package.json version:
+//        a) a deprecated token used or defined in a rule, adapter, token or
+//           theme (including --theme-file themes), other than its generated
+//           alias `--old: var(--new)`                                         [WARNING]
+//        b) the same once the version reaches removeIn                        [ERROR]
+//        c) every replacement is defined                                      [ERROR]
+//      Generated aliases are exempt from rules 3 (the alias edge), 4, 5, 11d and 13.
+//  17. Raw literals          — declarations in @layer components / adapters
+//                              (token definitions and rules alike) never
+//                              hard-code a value outside var():
+//        a) colors: hex, rgb() / hsl() / …, white, black                     [ERROR]
+//        b) lengths, durations and shadows                                  [WARNING]
+//      Literals are normalized first (rgba(0,0,0,0) is transparent, .9em is
+//      0.9em), so minified and expanded builds report the same findings
+//      (npm test — scripts/validate-parity.js).
+//      RAW_LITERAL_ALLOWLIST accepts 0, transparent, currentColor, 1px borders,
+//      1em icon slots and a few reasoned one-offs. Literals inside var()
+//      fallbacks are left to rule 14.
+//
+// USAGE:
+//   node scripts/validate-tokens.js [path/to/file.css] [--source] [--theme-file f.css]
+//                                   [--update-baseline | --no-baseline]
+//                                   [--fix [--dry-run]]
+//                                   [--format text|json|sarif]
+//                                   [--report html [--report-file f.html]]
+//                                   [--config ds-validate.config.js]
+//                                   [--watch]
+//
+//   path/to/file.css  Validate a specific build, e.g. dist/ds-preview.min.css
+//                     (default: first of CSS_CANDIDATES that exists)
+//   --theme-file      Also audit contrast for the themes in a CSS file, e.g. a
+//                     user theme written by figma-sync-apply.js (repeatable)
+//   --source          Compile scss/ds-preview.scss in memory and validate that
+//                     instead of a build. Findings point at the SCSS source,
+//                     e.g. scss/components/badge/_badge.variables.scss:74
+//                     A path ending in .scss implies --source with that entry.
+//                     Also used automatically when no compiled CSS exists —
+//                     validation never skips.
+//   --update-baseline Record the current warnings in token-validation.baseline.json
+//   --no-baseline     Report every warning, ignoring the baseline
+//   --fix             Rewrite tier skips to --primitive-* (rule 3: component /
+//                     base → primitive) and direct primitives in rules (rule 6)
+//                     to the semantic token that already aliases that
+//                     primitive, print the patch, then validate the result.
+//                     Implies --source. When several semantic tokens alias the
+//                     primitive, the candidates are listed and nothing is
+//                     changed for that violation.
+//   --dry-run         With --fix: print the patch without writing any file
+//   --format text   Human-readable report (default)
+//   --format json   Machine-readable findings for dashboards
+//   --format sarif  SARIF 2.1.0 log for code-scanning / PR annotation tools
+//
+//   json and sarif write the document alone to stdout; progress messages go to
+//   stderr so the output can be redirected straight into a file.
+//
+//   --report html   Also write a standalone token health page (tier counts,
+//                   component coverage, violations by component, orphan /
+//                   unused lists, every token resolved per theme) for design
+//                   leads and build archives. Independent of --format.
+//   --report-file   Where to write it (default: reports/token-health.html)
+//   --config        Project policy file (default: ds-validate.config.js, optional)
+//   --watch         Validate the SCSS sources, then watch scss/** and the
+//                   registry inputs; after every save print only the new and
+//                   resolved findings. Only the tokens an edit touches (and
+//                   their dependents) are re-checked by the token-scoped rules.
+//                   Implies --source; text output only.
+//
+// PROJECT CONFIG (ds-validate.config.js):
+//   rules        — per-rule severity override: 'error' | 'warning' | 'off'.
+//                  Applies to built-in and custom rules; 'off' drops every
+//                  finding of the rule.
+//   customRules  — team policies: { id: 'team/…', description, severity,
+//                  check(context) → findings }. check() receives the parsed
+//                  defs, usages, declarations, graph and registry (see
+//                  buildRuleContext); findings are suppressed, baselined and
+//                  reported exactly like built-in ones. Contract and loader:
+//                  scripts/lib/validate-config.js
+//
+// SUPPRESSIONS:
+//   Baseline — token-validation.baseline.json (committed) lists accepted
+//     warnings; only warnings missing from it are reported. Errors are never
+//     baselined.
+//   Inline — a CSS comment in the SCSS silences one statement:
+//       /* ds-validate-ignore orphan: public contract for consumers */
+//       --base-z-index-toast: 500;
+//     Placed on its own line it applies to the next statement; placed after a
+//     statement on the same line it applies to that statement. Rule names
+//     match an id or an id prefix (orphan → orphan-token, theme → theme-*);
+//     several may be comma-separated. A reason is required — suppressions
+//     without one are ignored and reported, as are unused suppressions.
 //
 // ARCHITECTURE INVARIANTS PRESERVED:
-//   - Read-only: no files written, no CSS mutated
-//   - No external dependencies — Node built-ins only (fs, path)
+//   - Read-only: no CSS mutated; the only files ever written are the baseline
+//     (--update-baseline), SCSS sources rewritten by --fix and the
+//     --report html page
+//   - Node built-ins only (fs, path, vm) — vm runs preview/js/token-registry.js
+//     in a sandbox (rule 11). The one package is the sass devDependency,
+//     loaded lazily by source mode, --fix and --watch; a build is validated
+//     without it.
+//     CSS parsing is shared with the Figma sync scripts via scripts/lib/css-parser.js
 //   - Deterministic: same input always produces same output
 //   - Scales to 500+ tokens (single O(V+E) DFS pass for cycles)
 //
-// OUTPUTS TO: stdout
+// OUTPUTS TO: stdout (report)  ·  stderr (progress, in json/sarif mode)
+//             reports/token-health.html (--report html)
 // EXIT CODES: 0 = pass (warnings only), 1 = fail (errors present)
 // =============================================================================
 
 const fs   = require('fs');
 const path = require('path');
+const vm   = require('vm');
+
+const { parse, walk, splitTopLevel }  = require('./lib/css-parser');
+const { createSourceMapLookup }       = require('./lib/source-map');
+const { renderHealthReport }          = require('./lib/health-report');
+const { loadValidateConfig, runCustomRule } = require('./lib/validate-config');
+const { isRemoved, loadDeprecations } = require('./lib/deprecations');
+const {
+  getTier, getThemeName, parseVarCalls, extractVarRefs, extractFallbackRefs, resolveChain, resolveValue,
+  resolveExpression, buildGraph, dependentsOf,
+} = require('./lib/token-graph');
 
 // ─── 0. CONFIGURATION ────────────────────────────────────────────────────────
 
@@ -47,6 +207,12 @@ const CSS_CANDIDATES = [
   path.resolve(__dirname, '../preview/css/ds-preview.css'),
 ];
 
+/**
+ * SCSS entry compiled by --source (and when no CSS candidate exists).
+ * Same entry as the build:css script in package.json.
+ */
+const SCSS_ENTRY = path.resolve(__dirname, '../scss/ds-preview.scss');
+
 /**
  * Allowed dependency tiers per token tier.
  * Keys are the tier of the token being defined.
@@ -89,246 +255,705 @@ const VENDOR_TOKEN_PREFIXES = [
   '--mdc-', // Material Design Components (future)
 ];
 
-// ─── 1. UTILITIES ─────────────────────────────────────────────────────────────
+/**
+ * Rule catalogue — one entry per finding type the validator can emit.
+ * The id is the stable identifier used by the json and sarif formats;
+ * consumers (code-scanning, dashboards) key on it, so never rename an id.
+ * Custom rules from ds-validate.config.js are added at startup, and its
+ * severity overrides are applied here too.
+ */
+const RULES = {
+  'css-syntax'            : { severity: 'error',   description: 'CSS the parser had to recover from: an unclosed ( or {, or a stray }' },
+  'missing-reference'     : { severity: 'error',   description: 'var() reference to a token that is never defined' },
+  'circular-dependency'   : { severity: 'error',   description: 'Token depends on itself directly or transitively' },
+  'tier-violation'        : { severity: 'error',   description: 'Token references a tier its own tier may not depend on' },
+  'primitive-in-rule'     : { severity: 'error',   description: 'CSS rule references a --primitive-* token directly' },
+  'orphan-token'          : { severity: 'warning', description: 'Token defined but referenced by no token and no CSS rule' },
+  'unused-semantic'       : { severity: 'warning', description: 'Semantic token not consumed by any component token or CSS rule' },
+  'theme-override-tier'   : { severity: 'error',   description: 'Theme block overrides a non-primitive token' },
+  'theme-unknown-token'   : { severity: 'error',   description: 'Theme block overrides a token that is not defined in the base set' },
+  'theme-incomplete'      : { severity: 'error',   description: 'Theme block does not override a primitive that another theme overrides' },
+  'theme-raw-value'       : { severity: 'error',   description: 'Theme block assigns a raw value to a semantic or component token' },
+  'adapter-token-boundary': { severity: 'error',   description: 'Adapter references a token other than --component-* or its own vendor tokens' },
+  'adapter-token-redefinition': { severity: 'error', description: 'Adapter redefines a DS token' },
+  'adapter-ds-selector'   : { severity: 'error',   description: 'Adapter selector targets a .ds-* class owned by the components layer' },
+  'adapter-cross-reference': { severity: 'error',  description: 'Adapter references selectors or tokens owned by another adapter' },
+  'adapter-vendor-scope'  : { severity: 'error',   description: 'Adapter selector targets no known vendor namespace' },
+  'layer-placement'       : { severity: 'error',   description: 'Token declared outside the cascade layer its tier belongs to' },
+  'layer-order'           : { severity: 'error',   description: 'Compiled CSS does not open with the canonical @layer ordering statement' },
+  'registry-undefined-token': { severity: 'error', description: 'Registry lists a token that is not defined in the CSS' },
+  'registry-stale-chain'  : { severity: 'error',   description: 'Registry semantic / primitive chain differs from the CSS var() chain' },
+  'registry-raw-value'    : { severity: 'error',   description: 'Registry raw value differs from the resolved CSS value' },
+  'registry-missing-token': { severity: 'warning', description: 'Component token defined in the CSS but listed in no registry' },
+  'contrast-ratio'        : { severity: 'error',   description: 'Color pair below its WCAG 2.x contrast ratio in a theme' },
+  'contrast-apca'         : { severity: 'error',   description: 'Color pair below its APCA Lc minimum in a theme' },
+  'contrast-unresolved'   : { severity: 'warning', description: 'Color pair token does not resolve to a parseable color in a theme' },
+  'naming-grammar'        : { severity: 'warning', description: 'Token name does not parse against the naming grammar' },
+  'fallback-raw-value'    : { severity: 'error',   description: 'var() fallback in a component or adapter rule is a raw literal' },
+  'fallback-mismatch'     : { severity: 'warning', description: 'var() fallback resolves to a different value than the token it guards' },
+  'value-type'            : { severity: 'error',   description: 'Resolved token value does not match the token type' },
+  'scale-mixed-units'     : { severity: 'warning', description: 'Primitive scale mixes length units (e.g. px and rem)' },
+  'deprecated-token'      : { severity: 'warning', description: 'Deprecated token used or defined in a rule, adapter, token or theme' },
+  'deprecated-token-removed': { severity: 'error', description: 'Deprecated token used or defined at or after its removeIn version' },
+  'deprecation-replacement': { severity: 'error',  description: 'Deprecation replacement token is not defined' },
+  'raw-color-literal'     : { severity: 'error',   description: 'Component or adapter declaration hard-codes a color instead of using a token' },
+  'raw-literal'           : { severity: 'warning', description: 'Component or adapter declaration hard-codes a length, duration or shadow' },
+  'invalid-suppression'   : { severity: 'warning', description: 'ds-validate-ignore comment without a reason or with an unknown rule' },
+  'unused-suppression'    : { severity: 'warning', description: 'ds-validate-ignore comment that matches no finding' },
+};
+
+const ROOT = path.resolve(__dirname, '..');
 
 /**
- * Determine the tier of a CSS custom property by its name prefix.
- * @param {string} name  e.g. '--semantic-color-brand-default'
- * @returns {'primitive'|'semantic'|'component'|'base'|'unknown'}
+ * Single canonical source of the @layer ordering statement.
+ * The compiled CSS must open with exactly this statement (rule 10).
  */
-function getTier(name) {
-  if (name.startsWith('--primitive-')) return 'primitive';
-  if (name.startsWith('--semantic-'))  return 'semantic';
-  if (name.startsWith('--component-')) return 'component';
-  if (name.startsWith('--base-'))      return 'base';
-  return 'unknown';
-}
+const LAYER_ORDER_FILE = path.join(ROOT, 'scss/_layer-order.scss');
 
 /**
- * Extract every var(--name) reference from a CSS value string.
- * Handles: var(--x), var(--x, fallback), var(--x, var(--y)).
- * Returns only the primary argument name of each var().
- * @param {string} value
- * @returns {string[]}
+ * Cascade layers each token tier may be declared in (rule 9).
+ * The first entry is the home layer; any further entries are override layers.
+ *
+ * Component tokens have no override layer: themes override primitives only
+ * (rule 7) and adapters never redefine DS tokens (rule 8). DS-tier tokens
+ * declared in @layer adapters are left to rule 8 so they are reported once.
  */
-function extractVarRefs(value) {
-  const refs  = [];
-  const regex = /var\(\s*(--[\w-]+)/g;
-  let match;
-  while ((match = regex.exec(value)) !== null) {
-    refs.push(match[1]);
-  }
-  return refs;
+const LAYER_PLACEMENT = {
+  primitive : ['tokens', 'themes'],
+  semantic  : ['tokens', 'themes'],
+  component : ['components'],
+  base      : ['base'],
+  vendor    : ['adapters'],
+};
+
+/**
+ * Framework adapters and the vendor namespace each one owns.
+ * Rules inside @layer adapters are attributed to an adapter by selector
+ * (vendor classes / host patterns) or, in :root blocks, by the vendor token
+ * being defined. Anything attributed to two adapters is a cross-reference.
+ *
+ *   selector       — pattern matching a selector owned by this adapter
+ *   tokenPrefixes  — vendor custom-property namespaces (see VENDOR_TOKEN_PREFIXES)
+ *   sourceDir      — SCSS sources searched for file context in reports
+ *   versionConfig  — optional { file, variable } naming the Sass variable that
+ *                    selects the active versioned sub-directory (v17/, v18/, …)
+ */
+const ADAPTERS = [
+  {
+    id            : 'primeng',
+    selector      : /\.p-[\w-]/,
+    tokenPrefixes : ['--p-'],
+    sourceDir     : path.join(ROOT, 'scss/adapters/primeng'),
+    versionConfig : { file: path.join(ROOT, 'scss/config/_primeng-version.scss'), variable: 'primeng-version' },
+  },
+  {
+    id            : 'angular',
+    selector      : /:host\b|::ng-deep|\[_ng(?:host|content)|\.(?:ng|cdk|mat|mdc)-[\w-]/,
+    tokenPrefixes : ['--mat-', '--mdc-'],
+    sourceDir     : path.join(ROOT, 'scss/adapters/angular'),
+    versionConfig : null,
+  },
+];
+
+/**
+ * Hand-maintained registries cross-checked against the token graph (rule 11).
+ *   component.registry.json — tokenFlow rows documented per component
+ *   token-registry.js       — DS_TOKENS, the playground's token tables
+ *                             (a browser script; evaluated in a vm sandbox)
+ */
+const COMPONENT_REGISTRY_FILE = path.join(ROOT, 'preview/data/component.registry.json');
+const TOKEN_REGISTRY_FILE     = path.join(ROOT, 'preview/js/token-registry.js');
+
+/**
+ * Deprecation registry (rule 16) and the package version its removeIn
+ * versions are compared with. See scripts/lib/deprecations.js.
+ */
+const DEPRECATIONS_FILE = path.join(ROOT, 'tokens.deprecations.json');
+const PACKAGE_FILE      = path.join(ROOT, 'package.json');
+
+/**
+ * Raw literals accepted in @layer components / adapters (rule 17).
+ *
+ *   literal  — compared after normalizeLiteral(): case-insensitive, '0'
+ *              matches zero in any unit, '.9em' is '0.9em' and a fully
+ *              transparent rgba() / #rgba is 'transparent'
+ *   property — optional pattern the declared property (or custom property
+ *              name) must match for the literal to be accepted
+ *   selector — optional pattern one of the rule's selectors must match
+ *
+ * Keep entries structural: anything a theme could want to change belongs in
+ * a token, not here. Every entry says why it is not a token.
+ */
+const RAW_LITERAL_ALLOWLIST = [
+  { literal: '0' },
+  { literal: 'transparent' },
+  { literal: 'currentColor' },
+  // Hairline borders — border, border-top, border-inline-start, --component-*-border-width, …
+  { literal: '1px', property: /(^|-)border(-(top|right|bottom|left|block|inline)(-(start|end))?)?(-width)?$/ },
+  // Visually hidden text (screen readers only) sits in a 1px × 1px clipped box
+  { literal: '1px', property: /^(width|height)$/, selector: /__label$/ },
+  // Icon slots scale with the font size of their host (DS 1em × 1em icon contract)
+  { literal: '1em', property: /^(width|height|inline-size|block-size)$/ },
+  // Status dot diameters: fixed glyph sizes below the spacing scale. The
+  // tokens themselves are the themable API, so the literal is their default.
+  { literal: '6px', property: /^--component-badge-sm-dot-size$/ },
+  { literal: '8px', property: /^--component-badge-md-dot-size$/ },
+  // Button loading ring: a glyph drawn in CSS, sized to the label (slightly
+  // under its 1em line) with a fixed 2px stroke — part of the spinner's shape,
+  // not a border style
+  { literal: '0.9em', property: /^(width|height)$/, selector: /^\.ds-btn__spinner::before$/ },
+  { literal: '2px',   property: /^border$/,         selector: /^\.ds-btn__spinner::before$/ },
+];
+
+/**
+ * Root font size used to compare rem values with the px values quoted in the
+ * registries ("resolved": "12px" vs 0.75rem).
+ */
+const ROOT_FONT_SIZE_PX = 16;
+
+/**
+ * Foreground / background pairs audited for contrast in every theme (rule 12).
+ *
+ *   min       — WCAG 2.x ratio: 4.5 body text (AA), 3 large text and
+ *               non-text UI such as focus rings and input borders (1.4.11)
+ *   apca      — optional minimum |Lc| (APCA-W3); reported for every pair,
+ *               enforced only when set
+ *   severity  — optional override of the rule severity for this pair
+ *
+ * Pairs marked severity 'warning' fall below AA in the light palette today
+ * (text-subtle is 3.3:1 on white). They are reported on every run and go back
+ * to 'error' as the palette is fixed — never lower a `min` to make one pass.
+ */
+const CONTRAST_PAIRS = [
+  // Text on surfaces
+  { foreground: '--semantic-color-text-default',  background: '--semantic-color-surface-base',    min: 4.5 },
+  { foreground: '--semantic-color-text-default',  background: '--semantic-color-surface-raised',  min: 4.5 },
+  { foreground: '--semantic-color-text-inverse',  background: '--semantic-color-surface-inverse', min: 4.5 },
+  { foreground: '--semantic-color-text-subtle',   background: '--semantic-color-surface-base',    min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-text-brand',    background: '--semantic-color-surface-base',    min: 4.5, severity: 'warning' },
+
+  // Labels on filled brand / feedback backgrounds (buttons, badges)
+  { foreground: '--semantic-color-brand-contrast',           background: '--semantic-color-brand-default',            min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-text-on-brand',            background: '--semantic-color-brand-default',            min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-brand-contrast',           background: '--semantic-color-feedback-success-default', min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-feedback-warning-text',    background: '--semantic-color-feedback-warning-default', min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-feedback-danger-contrast', background: '--semantic-color-feedback-danger-default',  min: 4.5, severity: 'warning' },
+
+  // Feedback text on subtle feedback backgrounds
+  { foreground: '--semantic-color-feedback-success-text', background: '--semantic-color-feedback-success-subtle', min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-feedback-warning-text', background: '--semantic-color-feedback-warning-subtle', min: 4.5, severity: 'warning' },
+  { foreground: '--semantic-color-feedback-danger-text',  background: '--semantic-color-feedback-danger-subtle',  min: 4.5, severity: 'warning' },
+
+  // Non-text UI (WCAG 1.4.11)
+  { foreground: '--semantic-color-border-focus',  background: '--semantic-color-surface-base', min: 3, severity: 'warning' },
+  { foreground: '--semantic-color-border-strong', background: '--semantic-color-surface-base', min: 3, severity: 'warning' },
+];
+
+/**
+ * Backdrop for translucent background colors: the theme's base surface.
+ * A translucent foreground is composited over its pair's background.
+ */
+const CONTRAST_BACKDROP = '--semantic-color-surface-base';
+
+/**
+ * Naming grammar (rule 13). Vocabulary entries may span several segments
+ * ('border-color', 'feedback-danger'); the longest match wins.
+ *
+ * component.order — slot order after the block; block and property are
+ *   required. Per-block elements (slots, nested as parent-child), variants,
+ *   modifiers (extraDimensions) and sizes are read from component.registry.json;
+ *   states are the list below plus each component's registry states.
+ * semanticColor — --semantic-color-{role}-{intent}
+ * categories    — first segment(s) allowed per tier
+ * exceptions    — grandfathered names: shipped before the grammar and kept as
+ *   they are, since renaming a public token breaks its consumers. Each says
+ *   why the name does not parse. A name renamed through tokens.deprecations.json
+ *   needs no entry: its generated alias is exempt from this rule (rule 16).
+ */
+const NAMING_GRAMMAR = {
+  component: {
+    order      : ['element', 'variant', 'modifier', 'size', 'property', 'state'],
+    properties : [
+      'bg', 'color', 'border', 'border-color', 'border-width', 'border-style', 'border-radius',
+      'shadow', 'opacity',
+      'font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing',
+      'padding', 'padding-block', 'padding-inline', 'gap',
+      'width', 'height', 'min-width', 'min-height', 'icon-size', 'dot-size', 'aspect-ratio',
+      'focus-ring-width', 'focus-ring-offset', 'focus-ring-color',
+      'transition-duration', 'transition-easing',
+    ],
+    states     : ['hover', 'focus', 'active', 'disabled', 'checked', 'selected', 'invalid'],
+  },
+  semanticColor: {
+    roles   : [
+      'brand', 'surface', 'text', 'border', 'interactive',
+      'feedback-success', 'feedback-warning', 'feedback-danger', 'feedback-info',
+    ],
+    intents : [
+      'default', 'hover', 'active', 'focus', 'disabled',
+      'subtle', 'strong', 'contrast', 'inverse',
+      'base', 'raised', 'overlay', 'sunken',
+      'tonal-bg', 'tonal-hover', 'tonal-active',
+      'text', 'brand', 'on-brand',
+    ],
+  },
+  categories: {
+    primitive : [
+      'color', 'spacing', 'radius', 'size', 'shadow', 'font-family', 'font-size', 'font-weight',
+      'line-height', 'letter-spacing', 'duration', 'easing', 'z-index',
+    ],
+    semantic  : [
+      'color', 'spacing', 'radius', 'size', 'shadow', 'font-family', 'font-size', 'font-weight',
+      'line-height', 'letter-spacing', 'duration', 'easing',
+    ],
+    base      : ['focus-ring', 'transition', 'z-index'],
+  },
+  exceptions: {
+    '--component-card-shadow-none': 'grandfathered: card elevation level mirroring --semantic-shadow-none, not a variant',
+    '--component-card-shadow-sm'  : 'grandfathered: card elevation level mirroring --semantic-shadow-sm, not a variant',
+    '--component-card-shadow-md'  : 'grandfathered: card elevation level mirroring --semantic-shadow-md, not a variant',
+    '--component-card-shadow-lg'  : 'grandfathered: card elevation level mirroring --semantic-shadow-lg, not a variant',
+  },
+};
+
+/**
+ * Value types (rule 15). A token's type comes from its DS_TOKENS `type` and
+ * its name: the registry type lists the value types it admits, and the first
+ * VALUE_TYPE_BY_NAME pattern matching the name picks one of them ('typography'
+ * covers font sizes, weights, line heights and families). Tokens listed in no
+ * registry are typed by name alone; tokens matching no pattern are not checked.
+ */
+const REGISTRY_VALUE_TYPES = {
+  color      : ['color'],
+  spacing    : ['length'],
+  radius     : ['length'],
+  shadow     : ['shadow'],
+  duration   : ['time'],
+  typography : ['length', 'font-weight', 'line-height', 'font-family'],
+};
+
+const VALUE_TYPE_BY_NAME = [
+  [/-font-family(-|$)/,                                    'font-family'],
+  [/-font-weight(-|$)/,                                    'font-weight'],
+  [/-line-height(-|$)/,                                    'line-height'],
+  [/-(font-size|letter-spacing)(-|$)/,                     'length'],
+  [/-shadow(-|$)/,                                         'shadow'],
+  [/-duration(-|$)/,                                       'time'],
+  [/-easing(-|$)/,                                         'easing'],
+  [/-z-index(-|$)/,                                        'integer'],
+  [/^--(primitive|semantic)-color-|-(bg|color)(-|$)/,      'color'],
+  [/-(spacing|radius|size|width|height|offset|gap)(-|$)/,  'length'],
+];
+
+/**
+ * Primitive steps exempt from scale-mixed-units (rule 15). They are left out
+ * of their scale entirely, so they do not count towards its unit either.
+ * Every entry says why it is not a step of the scale.
+ */
+const SCALE_UNIT_ALLOWLIST = [
+  // Pill / circle: a "larger than any box" sentinel, not a size on the radius
+  // scale. Shipped as 9999px; changing its unit changes a public token.
+  { token: '--primitive-radius-full' },
+];
+
+/**
+ * Committed record of accepted warnings. Regenerate with --update-baseline.
+ */
+const BASELINE_FILE = path.join(ROOT, 'token-validation.baseline.json');
+
+/**
+ * Inline suppression comment body:  ds-validate-ignore <rule>[, <rule>]: <reason>
+ * Group 1 = rule list, group 2 = reason (may be missing).
+ */
+const SUPPRESSION_PATTERN = /^ds-validate-ignore\s+([^:]*?)\s*(?::\s*([\s\S]*))?$/;
+
+/**
+ * Project policy file: severity overrides and custom rules.
+ * Optional — without it every rule runs at its RULES severity.
+ */
+const CONFIG_FILE = path.join(ROOT, 'ds-validate.config.js');
+
+/** Output formats accepted by --format. */
+const FORMATS = ['text', 'json', 'sarif'];
+
+/** File reports accepted by --report, and where they are written by default. */
+const REPORTS     = ['html'];
+const REPORT_FILE = path.join(ROOT, 'reports/token-health.html');
+
+// ─── 1. UTILITIES ─────────────────────────────────────────────────────────────
+
+/**
+ * True for the adapters cascade layer (and any layer nested inside it).
+ * @param {string|null} layer
+ * @returns {boolean}
+ */
+function isAdapterLayer(layer) {
+  return layer === 'adapters' || (layer !== null && layer.startsWith('adapters.'));
 }
 
 /**
  * Find and return the path to the CSS file to validate.
+ * An explicit path (CLI argument) wins over the candidate list.
  * Returns null if no candidate exists.
+ * @param {string|null} [explicit]
  * @returns {string|null}
  */
-function resolveCSSFile() {
+function resolveCSSFile(explicit) {
+  if (explicit) return explicit;
   for (const candidate of CSS_CANDIDATES) {
     if (fs.existsSync(candidate)) return candidate;
   }
   return null;
 }
 
-// ─── 2. CSS PARSER (STATE MACHINE) ───────────────────────────────────────────
+/**
+ * Parse CLI arguments.
+ *
+ * @param {string[]} argv  process.argv
+ * @returns {{ format: 'text'|'json'|'sarif', cssFile: string|null, source: boolean, themeFiles: string[],
+ *            updateBaseline: boolean, baseline: boolean }}
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const opts = {
+    format         : 'text',
+    cssFile        : null,
+    source         : false,
+    themeFiles     : [],
+    updateBaseline : false,
+    baseline       : true,
+    fix            : false,
+    dryRun         : false,
+    report         : null,
+    reportFile     : REPORT_FILE,
+    configFile     : CONFIG_FILE,
+    watch          : false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format' && args[i + 1]) {
+      opts.format = args[++i];
+    } else if (a.startsWith('--format=')) {
+      opts.format = a.slice('--format='.length);
+    } else if (a === '--source') {
+      opts.source = true;
+    } else if (a === '--update-baseline') {
+      opts.updateBaseline = true;
+    } else if (a === '--no-baseline') {
+      opts.baseline = false;
+    } else if (a === '--fix') {
+      opts.fix = true;
+    } else if (a === '--dry-run') {
+      opts.dryRun = true;
+    } else if (a === '--report' && args[i + 1]) {
+      opts.report = args[++i];
+    } else if (a.startsWith('--report=')) {
+      opts.report = a.slice('--report='.length);
+    } else if (a === '--report-file' && args[i + 1]) {
+      opts.reportFile = path.resolve(process.cwd(), args[++i]);
+    } else if (a === '--watch') {
+      opts.watch = true;
+    } else if (a === '--config' && args[i + 1]) {
+      opts.configFile = path.resolve(process.cwd(), args[++i]);
+    } else if (a === '--theme-file' && args[i + 1]) {
+      opts.themeFiles.push(path.resolve(process.cwd(), args[++i]));
+    } else if (!a.startsWith('-')) {
+      opts.cssFile = path.resolve(process.cwd(), a);
+    }
+  }
+
+  if (opts.cssFile && opts.cssFile.endsWith('.scss')) opts.source = true;
+
+  // --fix rewrites SCSS sources, so it always validates them
+  if (opts.fix) {
+    if (opts.cssFile && !opts.source) {
+      console.error('[prebuild] ERROR: --fix rewrites the SCSS sources — pass an .scss entry or no file, not a CSS build');
+      process.exit(1);
+    }
+    opts.source = true;
+  }
+
+  // --watch recompiles the SCSS sources on every save
+  if (opts.watch) {
+    if (opts.cssFile && !opts.source) {
+      console.error('[prebuild] ERROR: --watch follows the SCSS sources — pass an .scss entry or no file, not a CSS build');
+      process.exit(1);
+    }
+    if (opts.fix || opts.updateBaseline || opts.format !== 'text') {
+      console.error('[prebuild] ERROR: --watch cannot be combined with --fix, --update-baseline or --format json|sarif');
+      process.exit(1);
+    }
+    opts.source = true;
+  }
+
+  if (!FORMATS.includes(opts.format)) {
+    console.error(`[prebuild] ERROR: Unknown --format "${opts.format}" — expected one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (opts.report !== null && !REPORTS.includes(opts.report)) {
+    console.error(`[prebuild] ERROR: Unknown --report "${opts.report}" — expected one of: ${REPORTS.join(', ')}`);
+    process.exit(1);
+  }
+
+  return opts;
+}
+
+/**
+ * Compile an SCSS entry in memory with a source map.
+ *
+ * sass is required lazily so that validating a prebuilt CSS file keeps
+ * working without devDependencies installed. Throws when sass is missing or
+ * the sources do not compile — callers must fail, never skip.
+ *
+ * @param {string} entry  absolute path to the .scss entry point
+ * @param {{ compile: Function }|null} [compiler]  long-lived sass.initCompiler()
+ *                                                  instance (watch mode)
+ * @returns {{ css: string, lookup: (line: number, column?: number) => { file: string, line: number, column: number }|null }}
+ */
+function compileSources(entry, compiler = null) {
+  let sass = compiler;
+  if (!sass) {
+    try {
+      sass = require('sass');
+    } catch (err) {
+      throw new Error('sass is not installed — run `npm install` to validate SCSS sources');
+    }
+  }
+
+  const result = sass.compile(entry, { style: 'expanded', sourceMap: true });
+  return { css: result.css, lookup: createSourceMapLookup(result.sourceMap) };
+}
+
+// ─── 2. CSS PARSER ───────────────────────────────────────────────────────────
 
 /**
- * Parse the CSS file into three data structures:
+ * Parse the CSS file into four data structures:
  *
  *   tokenDefs    — Map<name, { value, refs, line, layer }>
  *                  Token *definitions* found inside :root {} blocks.
  *
  *   ruleUsages   — Set<tokenName>
- *                  Token names referenced via var() inside non-:root CSS rules.
+ *                  Token names referenced via var() inside CSS rules — any
+ *                  declaration that is not a :root custom property definition.
  *
- *   primInRules  — Array<{ token, line, context }>
+ *   usageLines   — Map<tokenName, line>
+ *                  Line of the first rule usage of each token (for reporting).
+ *
+ *   primInRules  — Array<{ token, line, context, layer, fallback }>
  *                  Instances of var(--primitive-*) inside non-:root CSS rules.
- *                  Each is an error (rule 6).
+ *                  Each is an error (rule 6); fallback marks a reference
+ *                  that only appears inside a var() fallback.
  *
- * PARSING STRATEGY:
- *   Process the CSS line by line with a brace-depth counter.
- *   Track when we enter/exit :root {} blocks.
- *   All --name: value; lines inside :root are token definitions.
- *   All var(--name) occurrences outside :root are rule usages.
+ *   themeOverrides — Map<themeName, Map<name, { value, refs, line, layer }>>
+ *                  Custom properties declared in [data-theme="…"] blocks.
+ *                  A selector list such as `:root, [data-theme="light"]`
+ *                  contributes to both tokenDefs and its theme.
+ *
+ *   adapterRules — Array<{ selectors, line }>
+ *                  Every rule inside @layer adapters (rule 8).
+ *
+ *   adapterDecls — Array<{ property, value, refs, line, selectors, inRoot }>
+ *                  Every declaration inside @layer adapters (rule 8).
  *
- * LIMITATIONS:
- *   - Brace counting assumes well-formed CSS (no unmatched braces in comments
- *     or string values). The compiled Sass output satisfies this.
- *   - Multi-line token definitions (semicolon on next line) are not supported.
- *     The compiled Sass output places each declaration on one line.
+ *   tokenDecls   — Array<{ name, line, layer }>
+ *                  Every custom property declaration, in any rule (rule 9).
+ *
+ *   fallbacks    — Array<{ name, fallback, property, line, layer, context }>
+ *                  Every var() call with a fallback, nested calls included,
+ *                  in any declaration (rule 14).
+ *
+ *   ast          — The parsed stylesheet: ast.errors feeds rule 0, its
+ *                  structure the layer checks (rule 10).
+ *
+ * PARSING STRATEGY:
+ *   The shared tokenizer (scripts/lib/css-parser.js) builds an AST that
+ *   tracks @layer nesting, selector lists and individual declarations, so
+ *   expanded and minified builds parse identically.
+ *   A custom property declared in a rule whose selector list includes :root
+ *   (e.g. `:root, [data-theme="light"]`) is a token definition.
+ *   Every other declaration contributes its var() references as rule usages.
  *
  * @param {string} css
  */
 function parseCSS(css) {
-  /** @type {Map<string, { value: string, refs: string[], line: number, layer: string|null }>} */
+  /** @type {Map<string, { value: string, refs: string[], fallbackRefs: Set<string>, line: number, layer: string|null }>} */
   const tokenDefs  = new Map();
 
   /** @type {Set<string>} */
   const ruleUsages = new Set();
 
-  /** @type {Array<{ token: string, line: number, context: string }>} */
+  /** @type {Map<string, number>} */
+  const usageLines = new Map();
+
+  /** @type {Array<{ token: string, line: number, context: string, layer: string|null }>} */
   const primInRules = [];
 
-  let braceDepth = 0;   // current nesting depth
-  let inRoot     = false;
-  let rootDepth  = -1;  // braceDepth when :root { } was entered
-
-  // Layer name stack — each entry: { name: string, depth: number }
-  // depth = braceDepth AFTER the @layer { opening brace was counted
-  const layerStack = [];
-
-  // Multi-line custom property accumulation state.
-  // Some Sass-compiled values span multiple lines (e.g. font-family stacks,
-  // multi-value box-shadow). We buffer across lines until the trailing ; is found.
-  let pendingName  = null;  // --name being accumulated
-  let pendingValue = '';    // value parts seen so far (no trailing ;)
-  let pendingLine  = -1;    // line number of the declaration start
-  let pendingLayer = null;  // @layer name at declaration start
-
-  const lines = css.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    const line    = lines[i];
-    const lineNum = i + 1;
-    const trimmed = line.trim();
-
-    // Ignore blank lines and pure-comment lines early for speed.
-    if (trimmed === '' || trimmed.startsWith('/*') || trimmed.startsWith('//')) {
-      // Still need to count braces in multi-line comments that happen to have {/}
-      // But Sass-compiled CSS does not embed { or } inside comment blocks that
-      // span multiple lines — safe to skip.
-      continue;
-    }
+  /** @type {Map<string, Map<string, { value: string, refs: string[], line: number, layer: string|null }>>} */
+  const themeOverrides = new Map();
+
+  /** @type {Array<{ selectors: string[], line: number }>} */
+  const adapterRules = [];
 
-    const opens  = (line.match(/{/g)  || []).length;
-    const closes = (line.match(/}/g) || []).length;
+  /** @type {Array<{ property: string, value: string, refs: string[], line: number, selectors: string[], inRoot: boolean }>} */
+  const adapterDecls = [];
 
-    // ── a) Detect @layer NAME { (before depth update) ───────────────────────
-    const layerMatch = trimmed.match(/^@layer\s+([\w-]+)\s*\{/);
+  /** @type {Array<{ name: string, line: number, layer: string|null }>} */
+  const tokenDecls = [];
 
-    // ── b) Detect :root { (before depth update; must not already be in root) ─
-    const isRootOpen = !inRoot && /^:root\s*\{/.test(trimmed);
+  /** @type {Array<{ name: string, fallback: string, property: string, line: number, layer: string|null, context: string }>} */
+  const fallbacks = [];
 
-    // ── c) Update brace depth ────────────────────────────────────────────────
-    braceDepth += opens - closes;
+  const ast = parse(css);
 
-    // ── d) Push @layer to stack (depth is now post-open) ────────────────────
-    if (layerMatch) {
-      layerStack.push({ name: layerMatch[1], depth: braceDepth });
+  walk(ast, (node, ctx) => {
+    const inAdapters = isAdapterLayer(ctx.layer);
+
+    // ── Adapter rule — selector contract (rule 8) ────────────────────────
+    if (node.type === 'rule' && inAdapters) {
+      adapterRules.push({ selectors: node.selectors, line: node.line });
     }
 
-    // ── e) Pop expired @layer entries ───────────────────────────────────────
-    while (layerStack.length > 0 && braceDepth < layerStack[layerStack.length - 1].depth) {
-      layerStack.pop();
+    if (node.type !== 'decl') return;
+
+    const decl         = node;
+    const isCustomProp = decl.property.startsWith('--');
+
+    if (isCustomProp) {
+      tokenDecls.push({ name: decl.property, line: decl.line, layer: ctx.layer });
     }
 
-    // ── f) Enter :root ───────────────────────────────────────────────────────
-    if (isRootOpen) {
-      inRoot    = true;
-      rootDepth = braceDepth;   // depth after entering :root
+    // ── var(--x, fallback) — any declaration (rule 14) ───────────────────
+    for (const call of parseVarCalls(decl.value)) {
+      if (call.fallback === null) continue;
+      fallbacks.push({
+        name     : call.name,
+        fallback : call.fallback,
+        property : decl.property,
+        line     : decl.line,
+        layer    : ctx.layer,
+        context  : clip(`${decl.property}: ${decl.value};`),
+      });
     }
 
-    // ── g) Exit :root ────────────────────────────────────────────────────────
-    if (inRoot && braceDepth < rootDepth) {
-      inRoot       = false;
-      rootDepth    = -1;
-      pendingName  = null;  // discard any incomplete declaration (should not occur)
-      pendingValue = '';
-      pendingLine  = -1;
-      pendingLayer = null;
+    // ── Adapter declaration — token contract (rule 8) ────────────────────
+    if (inAdapters) {
+      adapterDecls.push({
+        property  : decl.property,
+        value     : decl.value,
+        refs      : extractVarRefs(decl.value),
+        line      : decl.line,
+        selectors : ctx.selectors,
+        inRoot    : ctx.inRoot,
+      });
     }
 
-    // ── h) Extract content ───────────────────────────────────────────────────
-    const currentLayer = layerStack.length > 0 ? layerStack[layerStack.length - 1].name : null;
+    // ── [data-theme] custom property — theme override ────────────────────
+    if (isCustomProp) {
+      for (const selector of ctx.selectors) {
+        const theme = getThemeName(selector);
+        if (!theme) continue;
+        if (!themeOverrides.has(theme)) themeOverrides.set(theme, new Map());
+        themeOverrides.get(theme).set(decl.property, {
+          value : decl.value,
+          refs  : extractVarRefs(decl.value),
+          line  : decl.line,
+          layer : ctx.layer,
+        });
+      }
+    }
 
-    if (inRoot) {
-      // Inside :root {} — token definition
-      if (pendingName !== null) {
-        // ── Continuation of a multi-line custom property value ───────────
-        pendingValue += ' ' + trimmed;
-        if (trimmed.endsWith(';')) {
-          // Value is complete — register the token
-          const fullValue = pendingValue.slice(0, -1).trim(); // strip trailing ;
-          if (!tokenDefs.has(pendingName)) {
-            tokenDefs.set(pendingName, {
-              value : fullValue,
-              refs  : extractVarRefs(fullValue),
-              line  : pendingLine,
-              layer : pendingLayer,
-            });
-          }
-          pendingName  = null;
-          pendingValue = '';
-          pendingLine  = -1;
-          pendingLayer = null;
-        }
-      } else {
-        // ── Start of a new declaration: --name: <value...> ───────────────
-        const defMatch = trimmed.match(/^(--[\w-]+)\s*:\s*(.*)/);
-        if (defMatch) {
-          const name = defMatch[1];
-          const rest = defMatch[2].trim(); // everything after the colon
-          if (rest.endsWith(';')) {
-            // Single-line declaration
-            const value = rest.slice(0, -1).trim();
-            // Keep first definition (tokens layer is processed first and is canonical)
-            if (!tokenDefs.has(name)) {
-              tokenDefs.set(name, {
-                value,
-                refs  : extractVarRefs(value),
-                line  : lineNum,
-                layer : currentLayer,
-              });
-            }
-          } else {
-            // Multi-line declaration — begin accumulation
-            pendingName  = name;
-            pendingValue = rest; // may be empty string when value is on next line
-            pendingLine  = lineNum;
-            pendingLayer = currentLayer;
-          }
-        }
+    // ── :root custom property — token definition ─────────────────────────
+    if (ctx.inRoot && isCustomProp) {
+      // Keep first definition (tokens layer is processed first and is canonical)
+      if (!tokenDefs.has(decl.property)) {
+        tokenDefs.set(decl.property, {
+          value        : decl.value,
+          refs         : extractVarRefs(decl.value),
+          fallbackRefs : extractFallbackRefs(decl.value),
+          line         : decl.line,
+          layer        : ctx.layer,
+        });
       }
-    } else if (braceDepth > 0) {
-      // Inside a non-:root rule — extract var() usages
-      const varRegex = /var\(\s*(--[\w-]+)/g;
-      let match;
-      while ((match = varRegex.exec(trimmed)) !== null) {
-        const tokenName = match[1];
-        ruleUsages.add(tokenName);
-        if (tokenName.startsWith('--primitive-')) {
-          primInRules.push({
-            token   : tokenName,
-            line    : lineNum,
-            context : trimmed.length > 100 ? trimmed.slice(0, 97) + '…' : trimmed,
-          });
-        }
+      return;
+    }
+
+    // ── Anything else — rule usage ───────────────────────────────────────
+    const context      = clip(`${decl.property}: ${decl.value};`);
+    const fallbackRefs = extractFallbackRefs(decl.value);
+    for (const tokenName of extractVarRefs(decl.value)) {
+      ruleUsages.add(tokenName);
+      if (!usageLines.has(tokenName)) usageLines.set(tokenName, decl.line);
+      if (tokenName.startsWith('--primitive-') && !ctx.inRoot) {
+        primInRules.push({
+          token    : tokenName,
+          line     : decl.line,
+          context,
+          layer    : ctx.layer,
+          fallback : fallbackRefs.has(tokenName),
+        });
       }
     }
-  }
+  });
 
-  return { tokenDefs, ruleUsages, primInRules };
+  return {
+    tokenDefs, ruleUsages, usageLines, primInRules, themeOverrides, adapterRules, adapterDecls,
+    tokenDecls, fallbacks, ast,
+  };
 }
 
-// ─── 3. GRAPH BUILDER ────────────────────────────────────────────────────────
+/**
+ * Shorten a declaration for report context lines.
+ * @param {string} text
+ * @returns {string}
+ */
+function clip(text) {
+  return text.length > 100 ? text.slice(0, 97) + '…' : text;
+}
 
 /**
- * Build a directed dependency graph from token definitions.
- * Edge: token → dep means the token's value contains var(--dep).
- * @param {Map<string, { refs: string[] }>} tokenDefs
- * @returns {Map<string, string[]>}
+ * Collect ds-validate-ignore comments with the compiled line they apply to.
+ *
+ * A comment sharing its line with the preceding statement applies to that
+ * statement (trailing form); otherwise it applies to the next statement in
+ * the same block. target is null when there is nothing to apply to.
+ *
+ * @param {{ children: Array }} ast
+ * @returns {Array<{ rules: string[], reason: string, line: number, target: number|null }>}
  */
-function buildGraph(tokenDefs) {
-  const graph = new Map();
-  for (const [name, { refs }] of tokenDefs) {
-    graph.set(name, refs);
-  }
-  return graph;
+function collectSuppressions(ast) {
+  const suppressions = [];
+
+  (function visit(nodes) {
+    nodes.forEach((node, i) => {
+      if (node.children) visit(node.children);
+      if (node.type !== 'comment') return;
+
+      const m = node.text.match(SUPPRESSION_PATTERN);
+      if (!m) return;
+
+      const prev = nodes.slice(0, i).reverse().find(n => n.type !== 'comment');
+      const next = nodes.slice(i + 1).find(n => n.type !== 'comment');
+      const target = prev && prev.line === node.line ? prev.line : (next ? next.line : null);
+
+      suppressions.push({
+        rules  : m[1].split(',').map(r => r.trim()).filter(Boolean),
+        reason : (m[2] || '').trim(),
+        line   : node.line,
+        target,
+      });
+    });
+  })(ast.children);
+
+  return suppressions;
 }
 
+// ─── 3. GRAPH BUILDER ────────────────────────────────────────────────────────
+
+// buildGraph() lives in scripts/lib/token-graph.js, shared with the
+// token-graph CLI (scripts/token-graph.js).
+
 // ─── 4. VALIDATION RULES ─────────────────────────────────────────────────────
 
 /**
@@ -340,9 +965,10 @@ function buildGraph(tokenDefs) {
  *
  * @param {Map<string, { refs: string[], line: number }>} tokenDefs
  * @param {Set<string>} ruleUsages
+ * @param {Map<string, number>} [usageLines]  first rule-usage line per token
  * @returns {Array<{ consumer: string, missing: string, line: number|null }>}
  */
-function findMissingRefs(tokenDefs, ruleUsages) {
+function findMissingRefs(tokenDefs, ruleUsages, usageLines = new Map()) {
   const defined = new Set(tokenDefs.keys());
   const errors  = [];
 
@@ -356,7 +982,7 @@ function findMissingRefs(tokenDefs, ruleUsages) {
 
   for (const used of ruleUsages) {
     if (!defined.has(used)) {
-      errors.push({ consumer: '(css rule)', missing: used, line: null });
+      errors.push({ consumer: '(css rule)', missing: used, line: usageLines.get(used) || null });
     }
   }
 
@@ -453,13 +1079,16 @@ function findCycles(graph) {
  * Component → may only reference --semantic-* and --base-*
  * Base      → may only reference --semantic-*
  *
- * @param {Map<string, { refs: string[], line: number }>} tokenDefs
- * @returns {Array<{ token: string, dep: string, tokenTier: string, depTier: string, line: number }>}
+ * References inside var() fallbacks are checked like any other; `fallback`
+ * marks a dependency that only appears in a fallback.
+ *
+ * @param {Map<string, { refs: string[], fallbackRefs?: Set<string>, line: number }>} tokenDefs
+ * @returns {Array<{ token: string, dep: string, tokenTier: string, depTier: string, fallback: boolean, line: number }>}
  */
 function findTierViolations(tokenDefs) {
   const violations = [];
 
-  for (const [name, { refs, line }] of tokenDefs) {
+  for (const [name, { refs, fallbackRefs = new Set(), line }] of tokenDefs) {
     const tokenTier = getTier(name);
     if (tokenTier === 'unknown') continue;
 
@@ -468,7 +1097,7 @@ function findTierViolations(tokenDefs) {
     // Primitives must never use var() — they hold raw values only
     if (tokenTier === 'primitive') {
       for (const dep of refs) {
-        violations.push({ token: name, dep, tokenTier, depTier: getTier(dep), line });
+        violations.push({ token: name, dep, tokenTier, depTier: getTier(dep), fallback: fallbackRefs.has(dep), line });
       }
       continue;
     }
@@ -477,7 +1106,7 @@ function findTierViolations(tokenDefs) {
     for (const dep of refs) {
       const depTier = getTier(dep);
       if (!allowed.includes(depTier)) {
-        violations.push({ token: name, dep, tokenTier, depTier, line });
+        violations.push({ token: name, dep, tokenTier, depTier, fallback: fallbackRefs.has(dep), line });
       }
     }
   }
@@ -493,7 +1122,8 @@ function findTierViolations(tokenDefs) {
  *
  * Note: --base-z-index-* tokens are often orphaned within the DS itself
  * because they are provided as a public contract for external consumers.
- * These are still reported so the team is aware.
+ * They are accepted in token-validation.baseline.json rather than skipped
+ * here, so a new orphan in the same family is still reported.
  *
  * @param {Map<string, any>} tokenDefs
  * @param {Map<string, string[]>} graph
@@ -554,129 +1184,2388 @@ function findUnusedSemantics(tokenDefs, graph, ruleUsages) {
   return unused;
 }
 
-// ─── 5. REPORT PRINTER ───────────────────────────────────────────────────────
-
-const SEP  = '─'.repeat(60);
-const PASS = '✔';
-const FAIL = '✖';
-const WARN = '⚠';
-
 /**
- * Print a structured validation report to stdout.
+ * RULE 7 — Theme override contract.
+ * Theme files document: "ONLY primitive tokens are overridden here".
+ * Semantic and component tokens re-resolve automatically through var(),
+ * so a theme only ever needs to swap palette values.
  *
- * noCycles is passed separately so the cycle check always renders an explicit
- * ✔ / ✖ line — even when other errors are present — matching the spec format.
+ * Checked per [data-theme="…"] block:
+ *   a) theme-override-tier — the overridden token must be a primitive
+ *   b) theme-unknown-token — the overridden token must exist in the base
+ *                            :root set (a typo silently creates a new token)
+ *   c) theme-incomplete    — every theme overrides the same primitive set;
+ *                            a primitive overridden by one theme but not by
+ *                            another leaks across nested theme scopes
+ *   d) theme-raw-value     — a semantic / component override must still be
+ *                            a var() chain, never a hard-coded value
  *
- * @param {{ cssFile: string, tokenCount: number, ruleUsageCount: number,
- *           noCycles: boolean,
- *           errors: Array<{message:string,detail?:string}>,
- *           warnings: Array<{message:string,detail?:string}> }} results
+ * @param {Map<string, Map<string, { refs: string[], line: number }>>} themeOverrides
+ * @param {Map<string, any>} tokenDefs
+ * @returns {Array<{ rule: string, theme: string, token: string, line: number|null, missingFrom?: string }>}
  */
-function printReport({ cssFile, tokenCount, ruleUsageCount, noCycles, errors, warnings }) {
-  const relPath    = path.relative(process.cwd(), cssFile);
-  const errorCount = errors.length;
-  const warnCount  = warnings.length;
+function findThemeViolations(themeOverrides, tokenDefs) {
+  const violations = [];
 
-  console.log('');
-  console.log(SEP);
-  console.log('Token Validation Report');
-  console.log(`Source  : ${relPath}`);
-  console.log(`Tokens  : ${tokenCount} defined    Rule usages: ${ruleUsageCount}`);
-  console.log(SEP);
-  console.log('');
+  // Union of primitives overridden by any theme — the expected set for all
+  const allPrimitives = new Map();  // name → first theme that overrides it
 
-  // ── Always show the cycle check result first ─────────────────────────────
-  if (noCycles) {
-    console.log(`${PASS} No circular dependencies`);
-  }
-  // Cycle errors (if any) are in the errors array and print below with others.
+  for (const [theme, overrides] of themeOverrides) {
+    for (const [name, { refs, line }] of overrides) {
+      const tier = getTier(name);
 
-  // ── Errors ───────────────────────────────────────────────────────────────
-  if (errorCount > 0) {
-    if (noCycles) console.log('');  // blank line after the ✔ before errors
-    for (const e of errors) {
-      console.log(`${FAIL} ${e.message}`);
-      if (e.detail) console.log(`     ${e.detail}`);
-    }
-    console.log('');
-  } else {
-    console.log('');
-  }
+      if (tier === 'primitive') {
+        // Unknown primitives are reported once below, not demanded of every theme
+        if (tokenDefs.has(name) && !allPrimitives.has(name)) allPrimitives.set(name, theme);
+      } else {
+        violations.push({ rule: 'theme-override-tier', theme, token: name, tier, line });
+        if ((tier === 'semantic' || tier === 'component') && refs.length === 0) {
+          violations.push({ rule: 'theme-raw-value', theme, token: name, tier, line });
+        }
+      }
 
-  // ── Warnings ─────────────────────────────────────────────────────────────
-  if (warnCount > 0) {
-    for (const w of warnings) {
-      console.log(`${WARN} ${w.message}`);
-      if (w.detail) console.log(`     ${w.detail}`);
+      if (!tokenDefs.has(name)) {
+        violations.push({ rule: 'theme-unknown-token', theme, token: name, tier, line });
+      }
     }
-    console.log('');
   }
 
-  console.log(SEP);
-
-  if (errorCount > 0) {
-    console.log(`Build FAILED  — ${errorCount} error(s)  ${warnCount} warning(s)`);
-    console.log('Fix errors above before building.');
-  } else if (warnCount > 0) {
-    console.log(`Build PASSED  — 0 errors  ${warnCount} warning(s)`);
-  } else {
-    console.log('Build PASSED  — 0 errors  0 warnings');
+  for (const [theme, overrides] of themeOverrides) {
+    for (const [name, definedIn] of allPrimitives) {
+      if (!overrides.has(name)) {
+        violations.push({ rule: 'theme-incomplete', theme, token: name, line: null, missingFrom: definedIn });
+      }
+    }
   }
 
-  console.log(SEP);
-  console.log('');
+  return violations;
 }
 
-// ─── 6. MAIN ─────────────────────────────────────────────────────────────────
+/**
+ * Resolve the active version label of an adapter ("v17") from its Sass
+ * version switch, or null for unversioned adapters.
+ * @param {{ versionConfig: { file: string, variable: string }|null }} adapter
+ * @returns {string|null}
+ */
+function resolveAdapterVersion(adapter) {
+  if (!adapter.versionConfig) return null;
+  const { file, variable } = adapter.versionConfig;
+  if (!fs.existsSync(file)) return null;
+  const m = fs.readFileSync(file, 'utf8').match(new RegExp(`\\$${variable}\\s*:\\s*(\\d+)`));
+  return m ? `v${m[1]}` : null;
+}
 
-function main() {
-  // ── a) Resolve CSS file ─────────────────────────────────────────────────
-  const cssFile = resolveCSSFile();
+/**
+ * List the SCSS sources that make up the active build of an adapter.
+ * Versioned sub-directories (v17/, v18/ …) other than the active one are
+ * skipped so file context never points at a dormant version.
+ *
+ * @param {{ sourceDir: string }} adapter
+ * @param {string|null} version
+ * @returns {string[]}  absolute paths, sorted
+ */
+function listAdapterSources(adapter, version) {
+  const files = [];
+  (function collect(dir) {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (/^v\d+$/.test(entry.name) && entry.name !== version) continue;
+        collect(full);
+      } else if (entry.name.endsWith('.scss')) {
+        files.push(full);
+      }
+    }
+  })(adapter.sourceDir);
+  return files.sort();
+}
 
-  if (!cssFile) {
-    console.log('');
-    console.log('[prebuild] No compiled CSS found to validate.');
-    console.log('[prebuild] Checked:');
-    CSS_CANDIDATES.forEach(c => console.log(`           ${path.relative(process.cwd(), c)}`));
-    console.log('[prebuild] Run `npm run build:css` first, or validate after build.');
-    console.log('[prebuild] Skipping validation — build will continue.');
-    console.log('');
-    process.exit(0);
-  }
+/**
+ * Find the first non-comment SCSS source line containing any of the needles
+ * (tried in order) as a whole word — `button` does not match `.p-button` or
+ * `--component-button-bg`. Compiled selectors are flattened from nested SCSS,
+ * so the match is a best-effort pointer, not a source map.
+ *
+ * @param {string[]} files
+ * @param {string[]} needles
+ * @param {Map<string, string[]>} cache  file → lines
+ * @returns {{ file: string, line: number }|null}
+ */
+function locateInSources(files, needles, cache) {
+  const isWordChar = ch => ch !== undefined && /[\w-]/.test(ch);
 
-  console.log(`[prebuild] Validating token chain in: ${path.relative(process.cwd(), cssFile)}`);
+  for (const needle of needles) {
+    for (const file of files) {
+      if (!cache.has(file)) cache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+      const lines = cache.get(file);
+      for (let i = 0; i < lines.length; i++) {
+        const text    = lines[i].replace(/\s\/\/.*$/, '');   // drop trailing // comment
+        const trimmed = text.trim();
+        if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) continue;
 
-  // ── b) Read and parse ───────────────────────────────────────────────────
-  let css;
-  try {
-    css = fs.readFileSync(cssFile, 'utf8');
-  } catch (err) {
-    console.error(`[prebuild] ERROR: Could not read CSS file: ${err.message}`);
-    process.exit(1);
+        let at = text.indexOf(needle);
+        while (at !== -1) {
+          const before = isWordChar(needle[0]) ? text[at - 1] : undefined;
+          const after  = isWordChar(needle[needle.length - 1]) ? text[at + needle.length] : undefined;
+          if (!isWordChar(before) && !isWordChar(after)) return { file, line: i + 1 };
+          at = text.indexOf(needle, at + 1);
+        }
+      }
+    }
   }
+  return null;
+}
 
-  const { tokenDefs, ruleUsages, primInRules } = parseCSS(css);
+/**
+ * Adapters owning a selector. :host(…) / :host-context(…) arguments are
+ * ignored when attributing classes — `:host(.ds-btn)` qualifies the Angular
+ * host element and is an Angular-native pattern, not a DS class override.
+ *
+ * @param {string} selector
+ * @returns {{ owners: Array<Object>, stripped: string }}
+ */
+function attributeSelector(selector) {
+  const stripped = selector.replace(/:host(?:-context)?\((?:[^()]|\([^()]*\))*\)/g, ':host');
+  const owners   = ADAPTERS.filter(a => a.selector.test(stripped));
+  return { owners, stripped };
+}
+
+/**
+ * Adapter owning a vendor custom property, or null.
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function adapterForToken(name) {
+  return ADAPTERS.find(a => a.tokenPrefixes.some(prefix => name.startsWith(prefix))) || null;
+}
+
+/**
+ * RULE 8 — Adapter contract.
+ * Enforces rules 1, 2, 3 and 5 of the contract documented in
+ * scss/adapters/_index.scss on everything compiled into @layer adapters:
+ *
+ *   adapter-token-boundary     — var() references must be --component-* or the
+ *                                adapter's own vendor tokens
+ *   adapter-token-redefinition — no --primitive/semantic/component/base-*
+ *                                custom property may be declared
+ *   adapter-ds-selector        — no .ds-* class in a selector
+ *   adapter-cross-reference    — a rule or token belongs to exactly one adapter
+ *   adapter-vendor-scope       — every non-:root selector targets a known
+ *                                adapter namespace
+ *
+ * Raw values (rule 1, last clause) are covered by the raw-literal check.
+ *
+ * @param {Array<{ selectors: string[], line: number }>} adapterRules
+ * @param {Array<{ property: string, refs: string[], line: number, selectors: string[], inRoot: boolean }>} adapterDecls
+ * @returns {Array<{ rule: string, adapter: string, message: string, reason: string,
+ *                   source: { file: string, line: number }|null, token: string|null, line: number }>}
+ */
+function findAdapterViolations(adapterRules, adapterDecls) {
+  const violations = [];
+  const cache      = new Map();
+
+  // Version + sources per adapter, resolved once
+  const meta = new Map(ADAPTERS.map(a => {
+    const version = resolveAdapterVersion(a);
+    return [a.id, {
+      label   : version ? `${a.id}@${version}` : a.id,
+      sources : listAdapterSources(a, version),
+    }];
+  }));
+
+  /**
+   * Build a finding with adapter label and best-effort source context.
+   * Unattributed findings carry no source — there is no adapter to search.
+   */
+  function report(rule, adapter, message, reason, token, line, needles) {
+    const sources = adapter ? meta.get(adapter.id).sources : [];
+    violations.push({
+      rule,
+      adapter : adapter ? meta.get(adapter.id).label : 'unattributed',
+      message,
+      reason,
+      source  : locateInSources(sources, needles.filter(Boolean), cache),
+      token,
+      line,
+    });
+  }
+
+  /** Vendor / DS class names in a selector, most specific first — used as source needles. */
+  const classNeedles = selector => (selector.match(/\.[\w-]+/g) || []).reverse();
+
+  // ── Selector checks ──────────────────────────────────────────────────────
+  for (const { selectors, line } of adapterRules) {
+    const ruleOwners = new Set();
+
+    for (const selector of selectors) {
+      if (selector === ':root') continue;
+      const { owners, stripped } = attributeSelector(selector);
+      const owner   = owners[0] || null;
+      const needles = [selector, ...classNeedles(selector)];
+
+      owners.forEach(o => ruleOwners.add(o));
+
+      if (/\.ds-[\w-]/.test(stripped)) {
+        report('adapter-ds-selector', owner,
+          `Adapter targets DS class: ${owner ? meta.get(owner.id).label : 'adapters'} "${selector}"`,
+          '.ds-* classes are owned by the components layer', null, line, needles);
+      }
+      if (owners.length === 0) {
+        report('adapter-vendor-scope', null,
+          `Adapter selector outside vendor scope: "${selector}"`,
+          `selectors must target a known adapter namespace (${ADAPTERS.map(a => a.id).join(', ')})`,
+          null, line, needles);
+      } else if (owners.length > 1) {
+        report('adapter-cross-reference', owner,
+          `Adapter cross-reference: "${selector}" mixes ${owners.map(o => o.id).join(' + ')} selectors`,
+          'adapters are isolated siblings and must not reference each other', null, line, needles);
+      }
+    }
+
+    if (ruleOwners.size > 1 && selectors.every(sel => attributeSelector(sel).owners.length <= 1)) {
+      report('adapter-cross-reference', [...ruleOwners][0],
+        `Adapter cross-reference: "${selectors.join(', ')}" groups ${[...ruleOwners].map(o => o.id).join(' + ')} selectors`,
+        'adapters are isolated siblings and must not reference each other', null, line,
+        [selectors[0], ...classNeedles(selectors[0])]);
+    }
+  }
+
+  // ── Declaration checks ───────────────────────────────────────────────────
+  for (const { property, refs, line, selectors, inRoot } of adapterDecls) {
+    const isCustomProp = property.startsWith('--');
+
+    // Owner: vendor token being defined (:root pass 1) or the rule's selector (pass 2)
+    const owner = (isCustomProp && adapterForToken(property)) ||
+      (!inRoot && selectors.length > 0 && attributeSelector(selectors[0]).owners[0]) || null;
+    const label = owner ? meta.get(owner.id).label : 'adapters';
+
+    if (isCustomProp && getTier(property) !== 'unknown') {
+      report('adapter-token-redefinition', owner,
+        `Adapter redefines DS token: ${label} declares ${property}`,
+        'adapters are read-only consumers of --component-* tokens', property, line, [`${property}:`]);
+    }
+
+    if (isCustomProp && owner && !inRoot) {
+      const vendor = adapterForToken(property);
+      if (vendor && vendor !== owner) {
+        report('adapter-cross-reference', owner,
+          `Adapter cross-reference: ${label} declares ${property} (${vendor.id})`,
+          'adapters are isolated siblings and must not reference each other', property, line, [`${property}:`]);
+      }
+    }
+
+    for (const ref of refs) {
+      const tier   = getTier(ref);
+      const vendor = adapterForToken(ref);
+
+      if (tier !== 'unknown' && tier !== 'component') {
+        report('adapter-token-boundary', owner,
+          `Adapter token boundary: ${label} references ${ref} (${tier})`,
+          'adapters may only reference --component-* tokens', ref, line, [ref]);
+      } else if (vendor && owner && vendor !== owner) {
+        report('adapter-cross-reference', owner,
+          `Adapter cross-reference: ${label} references ${ref} (${vendor.id})`,
+          'adapters are isolated siblings and must not reference each other', ref, line, [ref]);
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Top-level cascade layer name: 'components.button' → 'components'.
+ * @param {string|null} layer
+ * @returns {string|null}
+ */
+function topLayer(layer) {
+  return layer === null ? null : layer.split('.')[0];
+}
+
+/**
+ * RULE 9 — Layer placement.
+ * The parser records the @layer of every custom property declaration; the
+ * tier decides which layer that must be (see LAYER_PLACEMENT). Tokens
+ * declared outside any layer are always misplaced — unlayered styles beat
+ * every layer in the cascade and would silently override the system.
+ *
+ * @param {Array<{ name: string, line: number, layer: string|null }>} tokenDecls
+ * @returns {Array<{ token: string, tier: string, layer: string|null, allowed: string[], line: number }>}
+ */
+function findLayerPlacementViolations(tokenDecls) {
+  const violations = [];
+
+  for (const { name, line, layer } of tokenDecls) {
+    const isVendor = VENDOR_TOKEN_PREFIXES.some(prefix => name.startsWith(prefix));
+    const tier     = isVendor ? 'vendor' : getTier(name);
+    if (tier === 'unknown') continue;
+
+    const top = topLayer(layer);
+    if (tier !== 'vendor' && top === 'adapters') continue;  // rule 8 reports these
+
+    const allowed = LAYER_PLACEMENT[tier];
+    if (!allowed.includes(top)) {
+      violations.push({ token: name, tier, layer, allowed, line });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Read the canonical @layer ordering statement from scss/_layer-order.scss.
+ * Returns the layer names in order, or null when the file is missing or
+ * holds no statement.
+ *
+ * @param {string} file
+ * @returns {string[]|null}
+ */
+function readLayerOrder(file) {
+  if (!fs.existsSync(file)) return null;
+  const source = fs.readFileSync(file, 'utf8').replace(/\/\/.*$/gm, '');
+  const m      = source.match(/@layer\s+([^;{]+);/);
+  return m ? m[1].split(',').map(name => name.trim()) : null;
+}
+
+/**
+ * RULE 10 — Layer order.
+ *   a) The first statement of the compiled CSS (comments aside) is the
+ *      ordering statement, with exactly the canonical layer list.
+ *   b) No second ordering statement exists anywhere.
+ *   c) Every top-level @layer block uses a registered layer name.
+ *
+ * @param {{ children: Array }} ast
+ * @param {string[]} expected  canonical layer names, in order
+ * @returns {Array<{ message: string, reason: string, line: number|null }>}
+ */
+function findLayerOrderViolations(ast, expected) {
+  const violations = [];
+  const statement  = `@layer ${expected.join(', ')};`;
+  const registered = new Set(expected);
+
+  const first = ast.children.find(node => node.type !== 'comment');
+  const isOrderStatement = node => node.type === 'atrule' && node.name === 'layer' && node.children === null;
+  const namesOf = node => node.params.split(',').map(name => name.trim());
+
+  if (!first || !isOrderStatement(first)) {
+    violations.push({
+      message : 'Layer order: compiled CSS does not open with the @layer ordering statement',
+      reason  : `expected first statement: ${statement}`,
+      line    : first ? first.line : null,
+    });
+  } else if (namesOf(first).join(',') !== expected.join(',')) {
+    violations.push({
+      message : `Layer order: @layer ${namesOf(first).join(', ')};`,
+      reason  : `expected ${statement} (scss/_layer-order.scss)`,
+      line    : first.line,
+    });
+  }
+
+  walk(ast, (node, ctx) => {
+    if (node.type !== 'atrule' || node.name !== 'layer') return;
+
+    if (isOrderStatement(node)) {
+      if (node !== first) {
+        violations.push({
+          message : `Layer order: duplicate ordering statement @layer ${node.params};`,
+          reason  : 'the statement lives in scss/_layer-order.scss only',
+          line    : node.line,
+        });
+      }
+      return;
+    }
+
+    // Only top-level layers are registered; nested sub-layers are free-form
+    if (ctx.layer === null && !registered.has(node.params)) {
+      violations.push({
+        message : `Layer order: unregistered layer "${node.params}"`,
+        reason  : 'register it in scss/_layer-order.scss first',
+        line    : node.line,
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Read the components of component.registry.json, keyed by component id.
+ * Returns {} when the file does not exist.
+ * @param {string} file
+ * @returns {Object<string, Object>}
+ */
+function readComponentRegistry(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8')).components || {};
+}
+
+/**
+ * Flatten the tokenFlow rows of the component registry into registry rows.
+ * Color rows carry a primitive and rawValue; sizing rows a resolved value.
+ *
+ * @param {Object<string, Object>} components  from readComponentRegistry
+ * @param {string} file  registry path, for finding locations
+ * @returns {Array<{ file: string, needle: string, component: string, semantic?: string|null,
+ *                   primitive?: string|null, value: string|null }>}
+ */
+function componentRegistryRows(components, file) {
+  const rows = [];
+
+  for (const component of Object.values(components)) {
+    const flow   = component.tokenFlow || {};
+    const groups = [...(flow.colorGroups || []), ...(flow.sizingGroup ? [flow.sizingGroup] : [])];
+    for (const row of groups.flatMap(group => group.rows || [])) {
+      rows.push({
+        file,
+        needle    : `"${row.component}"`,
+        component : row.component,
+        semantic  : row.semantic,
+        primitive : row.primitive,
+        value     : row.rawValue || row.resolved || null,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Load DS_TOKENS from preview/js/token-registry.js as flat registry rows.
+ * The file is a browser script assigning window.DS_TOKENS, so it runs in a
+ * vm sandbox with a stub window. Returns [] when the file does not exist.
+ *
+ * @param {string} file
+ * @returns {Array<{ file: string, needle: string, component: string, semantic?: string|null,
+ *                   primitive?: string|null, type: string|null, value: null }>}
+ */
+function loadTokenRegistryRows(file) {
+  if (!fs.existsSync(file)) return [];
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+  const rows = [];
+  for (const entry of Object.values(sandbox.window.DS_TOKENS || {})) {
+    for (const token of (entry.tokenGroups || []).flatMap(group => group.tokens || [])) {
+      rows.push({
+        file,
+        needle    : `'${token.component}'`,
+        component : token.component,
+        semantic  : token.semantic,
+        primitive : token.primitive,
+        type      : token.type || null,
+        value     : null,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Normalise a value for comparison: case, whitespace, and rem → px at
+ * ROOT_FONT_SIZE_PX so that "0.75rem" equals the documented "12px".
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeValue(value) {
+  return value
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/(-?\d*\.?\d+)rem\b/g, (m, n) => `${parseFloat(n) * ROOT_FONT_SIZE_PX}px`);
+}
+
+/**
+ * RULE 11 — Registry consistency.
+ * Resolves every registry row against the token graph:
+ *
+ *   registry-undefined-token — component / semantic / primitive not defined
+ *   registry-stale-chain     — listed semantic or primitive differs from the
+ *                              first semantic / last primitive of the chain
+ *                              (null = "the chain has none")
+ *   registry-raw-value       — listed rawValue / resolved ≠ resolved CSS value
+ *   registry-missing-token   — --component-* token defined but listed nowhere
+ *
+ * A listed field that is absent from a row (undefined) is not checked.
+ *
+ * @param {Array<Object>} rows  from componentRegistryRows / loadTokenRegistryRows
+ * @param {Map<string, { value: string, line: number }>} tokenDefs
+ * @returns {Array<{ rule: string, file: string, needle: string, token: string,
+ *                   listed?: string|null, actual?: string|null, field?: string }>}
+ */
+function findRegistryViolations(rows, tokenDefs) {
+  const violations = [];
+  const listed     = new Set(rows.map(row => row.component));
+
+  for (const row of rows) {
+    const base = { file: row.file, needle: row.needle, token: row.component };
+
+    const undefinedNames = [row.component, row.semantic, row.primitive].filter(n => n && !tokenDefs.has(n));
+    if (undefinedNames.length > 0) {
+      for (const name of undefinedNames) {
+        violations.push({ ...base, rule: 'registry-undefined-token', listed: name });
+      }
+      continue;
+    }
+
+    const chain     = resolveChain(row.component, tokenDefs).slice(1);
+    const semantic  = chain.find(n => getTier(n) === 'semantic') || null;
+    const primitive = chain.filter(n => getTier(n) === 'primitive').pop() || null;
+
+    for (const [field, actual] of [['semantic', semantic], ['primitive', primitive]]) {
+      if (row[field] === undefined || row[field] === actual) continue;
+      violations.push({ ...base, rule: 'registry-stale-chain', field, listed: row[field], actual });
+    }
+
+    if (row.value) {
+      const actual = resolveValue(row.component, tokenDefs);
+      if (actual === null || normalizeValue(actual) !== normalizeValue(row.value)) {
+        violations.push({ ...base, rule: 'registry-raw-value', listed: row.value, actual });
+      }
+    }
+  }
+
+  for (const name of tokenDefs.keys()) {
+    if (getTier(name) === 'component' && !listed.has(name)) {
+      violations.push({ rule: 'registry-missing-token', token: name, line: tokenDefs.get(name).line });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Parse a CSS color into 0–255 channels and 0–1 alpha.
+ * Supports hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba() in comma or
+ * space syntax, and the keywords white, black and transparent. Anything
+ * else (color-mix(), hsl(), named colors) returns null.
+ *
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number, a: number }|null}
+ */
+function parseColor(value) {
+  const v = value.trim().toLowerCase();
+  if (v === 'white')       return { r: 255, g: 255, b: 255, a: 1 };
+  if (v === 'black')       return { r: 0,   g: 0,   b: 0,   a: 1 };
+  if (v === 'transparent') return { r: 0,   g: 0,   b: 0,   a: 0 };
+
+  const hex = v.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let h = hex[1];
+    if (h.length <= 4) h = [...h].map(ch => ch + ch).join('');
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+    const a = h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1;
+    return { r, g, b, a };
+  }
+
+  const rgb = v.match(/^rgba?\(\s*([^)]*)\)$/);
+  if (rgb) {
+    const parts = rgb[1].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const channel = p => (p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p));
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    const a = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+    return [r, g, b, a].some(Number.isNaN) ? null : { r, g, b, a };
+  }
+
+  return null;
+}
+
+/**
+ * Composite a translucent color over an opaque one (source-over).
+ * @param {{ r: number, g: number, b: number, a: number }} top
+ * @param {{ r: number, g: number, b: number }} bottom
+ * @returns {{ r: number, g: number, b: number, a: number }}
+ */
+function compositeColor(top, bottom) {
+  const mix = key => top[key] * top.a + bottom[key] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance.
+ * @param {{ r: number, g: number, b: number }} color
+ * @returns {number}
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = c => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio, 1–21.
+ * @param {{ r: number, g: number, b: number }} fg
+ * @param {{ r: number, g: number, b: number }} bg
+ * @returns {number}
+ */
+function contrastRatio(fg, bg) {
+  const a = relativeLuminance(fg);
+  const b = relativeLuminance(bg);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * APCA-W3 (0.0.98G) lightness contrast Lc, roughly -108…106.
+ * Positive for dark text on light backgrounds, negative for light on dark.
+ * @param {{ r: number, g: number, b: number }} fg
+ * @param {{ r: number, g: number, b: number }} bg
+ * @returns {number}
+ */
+function apcaContrast(fg, bg) {
+  const luminance = ({ r, g, b }) => {
+    const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;   // soft black clamp
+  };
+  const yText = luminance(fg);
+  const yBg   = luminance(bg);
+  if (Math.abs(yBg - yText) < 0.0005) return 0;
+
+  if (yBg > yText) {
+    const s = (yBg ** 0.56 - yText ** 0.57) * 1.14;
+    return s < 0.1 ? 0 : (s - 0.027) * 100;
+  }
+  const s = (yBg ** 0.65 - yText ** 0.62) * 1.14;
+  return s > -0.1 ? 0 : (s + 0.027) * 100;
+}
+
+/**
+ * RULE 12 — Contrast.
+ * Resolves every pair for the :root token set ("default") and for each theme
+ * (its overrides applied on top of :root), then checks the WCAG ratio and the
+ * optional APCA minimum. A theme whose pair resolves to the same colors as
+ * the default is not reported twice.
+ *
+ * @param {Array<{ foreground: string, background: string, min: number, apca?: number, severity?: string }>} pairs
+ * @param {Map<string, { value: string, line: number }>} tokenDefs
+ * @param {Map<string, Map<string, { value: string }>>} themes
+ * @returns {Array<{ rule: string, pair: Object, theme: string, ratio?: number, lc?: number,
+ *                   token?: string, value?: string|null }>}
+ */
+function findContrastViolations(pairs, tokenDefs, themes) {
+  const violations = [];
+  const scopes     = [['default', tokenDefs]];
+  for (const [theme, overrides] of themes) {
+    const defs = new Map(tokenDefs);
+    for (const [name, def] of overrides) defs.set(name, def);
+    scopes.push([theme, defs]);
+  }
+
+  /** @type {Map<Object, string>} pair → resolved colors in the default scope */
+  const defaults = new Map();
+
+  for (const [theme, defs] of scopes) {
+    const surface  = parseColor(resolveValue(CONTRAST_BACKDROP, defs) || '');
+    const backdrop = surface && surface.a === 1 ? surface : { r: 255, g: 255, b: 255, a: 1 };
+
+    for (const pair of pairs) {
+      const fgValue = resolveValue(pair.foreground, defs);
+      const bgValue = resolveValue(pair.background, defs);
+      const key     = `${fgValue} on ${bgValue}`;
+      if (theme !== 'default' && defaults.get(pair) === key) continue;
+      if (theme === 'default') defaults.set(pair, key);
+
+      let bg = parseColor(bgValue || '');
+      let fg = parseColor(fgValue || '');
+      if (!fg || !bg) {
+        const token = fg ? pair.background : pair.foreground;
+        violations.push({ rule: 'contrast-unresolved', pair, theme, token, value: fg ? bgValue : fgValue });
+        continue;
+      }
+      if (bg.a < 1) bg = compositeColor(bg, backdrop);
+      if (fg.a < 1) fg = compositeColor(fg, bg);
+
+      const ratio = contrastRatio(fg, bg);
+      const lc    = apcaContrast(fg, bg);
+      if (ratio < pair.min) {
+        violations.push({ rule: 'contrast-ratio', pair, theme, ratio, lc });
+      }
+      if (pair.apca !== undefined && Math.abs(lc) < pair.apca) {
+        violations.push({ rule: 'contrast-apca', pair, theme, ratio, lc });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Build the per-block component vocabulary from NAMING_GRAMMAR and the
+ * component registry.
+ *
+ * @param {Object<string, Object>} components  from readComponentRegistry
+ * @returns {Map<string, Object<string, string[]>>}  block → slot → entries
+ */
+function buildNamingVocabulary(components) {
+  const { properties, states } = NAMING_GRAMMAR.component;
+  const vocabulary = new Map();
+
+  for (const [id, component] of Object.entries(components)) {
+    const slots    = component.slots || [];
+    const elements = slots.map(slot => (slot.parentSlot ? `${slot.parentSlot}-${slot.id}` : slot.id));
+    const modifiers = (component.extraDimensions || [])
+      .flatMap(dim => dim.values || [])
+      .map(value => value.modifier)
+      .filter(Boolean);
+    const ownStates = (component.states || []).map(state => state.id).filter(sid => sid !== 'default');
+
+    vocabulary.set(id, {
+      element  : elements,
+      variant  : (component.variants || []).map(v => v.id),
+      modifier : modifiers,
+      size     : (component.sizes || []).map(size => size.id),
+      property : properties,
+      state    : [...new Set([...states, ...ownStates])],
+    });
+  }
+  return vocabulary;
+}
+
+/**
+ * Longest vocabulary entry matching segments[start…], or null.
+ * @param {string[]} segments
+ * @param {number} start
+ * @param {string[]} entries
+ * @returns {string|null}
+ */
+function matchSegments(segments, start, entries) {
+  let best = null;
+  for (const entry of entries) {
+    const parts = entry.split('-');
+    if (parts.every((part, k) => segments[start + k] === part) && (!best || parts.length > best.split('-').length)) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse a --component-* name into classified parts.
+ *
+ *   --component-button-primary-bg-hover
+ *     → block 'button', parts [variant 'primary', property 'bg', state 'hover']
+ *
+ * Each position takes the longest entry of any slot; ties go to the slot
+ * listed first in NAMING_GRAMMAR.component.order. Segments matching nothing
+ * become { slot: null } parts.
+ *
+ * @param {string} name
+ * @param {Map<string, Object<string, string[]>>} vocabulary
+ * @returns {{ block: string|null, parts: Array<{ slot: string|null, text: string }> }}
+ */
+function parseComponentName(name, vocabulary) {
+  const segments = name.slice('--component-'.length).split('-');
+  const block    = matchSegments(segments, 0, [...vocabulary.keys()]);
+  if (!block) return { block: null, parts: [] };
+
+  const slots = vocabulary.get(block);
+  const parts = [];
+  for (let i = block.split('-').length; i < segments.length;) {
+    let best = null;
+    for (const slot of NAMING_GRAMMAR.component.order) {
+      const text = matchSegments(segments, i, slots[slot]);
+      if (text && (!best || text.split('-').length > best.text.split('-').length)) best = { slot, text };
+    }
+    parts.push(best || { slot: null, text: segments[i] });
+    i += best ? best.text.split('-').length : 1;
+  }
+  return { block, parts };
+}
+
+/**
+ * RULE 13 — Naming grammar.
+ * Checks every defined token name against NAMING_GRAMMAR. Component names
+ * are checked for an unknown block, unknown segments, a missing or repeated
+ * slot, and slot order; the finding suggests the reordered name when every
+ * segment is known, and names the sibling token when dropping the unknown
+ * segments gives an existing one (`bg-brand` next to `bg`). Names listed in
+ * NAMING_GRAMMAR.exceptions are skipped.
+ *
+ * @param {Map<string, { line: number }>} tokenDefs
+ * @param {Map<string, Object<string, string[]>>} vocabulary  from buildNamingVocabulary
+ * @returns {Array<{ token: string, line: number, problem: string, expected: string|null, sibling: string|null }>}
+ */
+function findNamingViolations(tokenDefs, vocabulary) {
+  const violations = [];
+  const order      = NAMING_GRAMMAR.component.order;
+
+  const report = (token, problem, expected = null, sibling = null) =>
+    violations.push({ token, line: tokenDefs.get(token).line, problem, expected, sibling });
+
+  for (const name of tokenDefs.keys()) {
+    const tier = getTier(name);
+    if (tier === 'unknown') continue;   // vendor tokens follow their vendor's grammar
+    if (Object.hasOwn(NAMING_GRAMMAR.exceptions, name)) continue;
+    const rest     = name.slice(`--${tier}-`.length);
+    const segments = rest.split('-');
+
+    if (tier !== 'component') {
+      const category = matchSegments(segments, 0, NAMING_GRAMMAR.categories[tier]);
+      if (!category) {
+        report(name, `unknown ${tier} category "${segments[0]}" — expected one of: ${NAMING_GRAMMAR.categories[tier].join(', ')}`);
+        continue;
+      }
+      if (tier === 'semantic' && category === 'color') {
+        const { roles, intents } = NAMING_GRAMMAR.semanticColor;
+        const role   = matchSegments(segments, 1, roles);
+        const intent = role ? segments.slice(1 + role.split('-').length).join('-') : null;
+        if (!role) {
+          report(name, `unknown color role "${segments[1] || ''}" — expected --semantic-color-{role}-{intent}`);
+        } else if (!intent) {
+          report(name, `missing intent after role "${role}"`);
+        } else if (!intents.includes(intent)) {
+          report(name, `unknown intent "${intent}" for role "${role}"`);
+        }
+      }
+      continue;
+    }
+
+    const { block, parts } = parseComponentName(name, vocabulary);
+    if (!block) {
+      report(name, `"${segments[0]}" is not a component in component.registry.json`);
+      continue;
+    }
+
+    const unknown = parts.filter(part => part.slot === null);
+    const known   = parts.filter(part => part.slot !== null);
+
+    if (unknown.length > 0) {
+      const property = known.find(part => part.slot === 'property');
+      const words    = unknown.map(part => `"${part.text}"`).join(', ');
+      const where    = property && parts.indexOf(unknown[0]) > parts.indexOf(property)
+        ? ` after property "${property.text}"` : '';
+      const sibling  = `--component-${[block, ...known.map(part => part.text)].join('-')}`;
+      report(name, `unknown segment ${words}${where}`, null,
+        sibling !== name && tokenDefs.has(sibling) ? sibling : null);
+      continue;
+    }
+
+    const properties = known.filter(part => part.slot === 'property');
+    if (properties.length === 0) {
+      report(name, 'no property segment (bg, color, font-size, …)');
+      continue;
+    }
+    const repeated = order.find(slot => known.filter(part => part.slot === slot).length > 1);
+    if (repeated) {
+      report(name, `more than one ${repeated}: ${known.filter(p => p.slot === repeated).map(p => `"${p.text}"`).join(', ')}`);
+      continue;
+    }
+
+    const misplaced = known.findIndex((part, k) => k > 0 && order.indexOf(part.slot) < order.indexOf(known[k - 1].slot));
+    if (misplaced !== -1) {
+      const part     = known[misplaced];
+      const previous = known[misplaced - 1];
+      const sorted   = [...known].sort((a, b) => order.indexOf(a.slot) - order.indexOf(b.slot));
+      report(name, `${part.slot} "${part.text}" follows ${previous.slot} "${previous.text}"`,
+        `--component-${[block, ...sorted.map(p => p.text)].join('-')}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * RULE 14 — var() fallbacks.
+ *
+ *   fallback-raw-value — in @layer components / adapters a fallback must be
+ *                        a var() chain: a literal would bypass the token
+ *                        graph whenever the token is missing
+ *   fallback-mismatch  — the fallback resolves to a different value than the
+ *                        token it guards, so the result depends on load order
+ *
+ * Nested calls are listed separately, so var(--a, var(--b, 4px)) reports the
+ * raw 4px once, against --b. Fallbacks guarding undefined tokens are left to
+ * rule 1, and a fallback that does not fully resolve is not compared.
+ *
+ * @param {Array<{ name: string, fallback: string, property: string, line: number, layer: string|null, context: string }>} fallbacks
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @returns {Array<{ rule: string, token: string, fallback: string, property: string, resolved?: string, expected?: string, line: number, layer: string|null, context: string }>}
+ */
+function findFallbackViolations(fallbacks, tokenDefs) {
+  const violations = [];
+
+  for (const { name, ...rest } of fallbacks) {
+    const { fallback, layer } = rest;
+    const entry = { token: name, ...rest };
+    const top   = topLayer(layer);
+
+    if (top === 'components' || top === 'adapters') {
+      const literal = parseVarCalls(fallback)
+        .filter(call => call.depth === 0)
+        .reduceRight((text, { start, end }) => text.slice(0, start) + text.slice(end), fallback)
+        .trim();
+      if (literal !== '') violations.push({ rule: 'fallback-raw-value', ...entry });
+    }
+
+    const expected = resolveValue(name, tokenDefs);
+    if (expected === null || expected.includes('var(')) continue;
+    const resolved = resolveExpression(fallback, tokenDefs);
+    if (resolved.includes('var(')) continue;
+
+    if (!sameValue(resolved, expected)) {
+      violations.push({ rule: 'fallback-mismatch', ...entry, resolved, expected });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Compare two resolved values: colors by channel (so #FFF equals white),
+ * anything else through normalizeValue.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  const ca = parseColor(a);
+  const cb = parseColor(b);
+  if (ca && cb) return ca.r === cb.r && ca.g === cb.g && ca.b === cb.b && ca.a === cb.a;
+  return normalizeValue(a) === normalizeValue(b);
+}
+
+/**
+ * Value type predicates (rule 15). Each takes a fully resolved value with
+ * whitespace collapsed.
+ */
+const LENGTH_PATTERN = /^-?(\d*\.?\d+)(px|rem|em|%|ch|ex|vh|vw|vmin|vmax|pt)$/;
+const MATH_PATTERN   = /^(calc|min|max|clamp)\(.*\)$/;
+
+const VALUE_TYPES = {
+  'color'       : v => parseColor(v) !== null || v === 'currentcolor'
+                    || /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\(.*\)$/.test(v),
+  'length'      : v => v === '0' || LENGTH_PATTERN.test(v) || MATH_PATTERN.test(v),
+  'font-weight' : v => /^(normal|bold|bolder|lighter)$/.test(v) || (/^\d+$/.test(v) && +v >= 1 && +v <= 1000),
+  'line-height' : v => v === 'normal' || /^\d*\.?\d+$/.test(v) || VALUE_TYPES.length(v),
+  'font-family' : v => splitTopLevel(v, ',').every(f => /^(["']).+\1$/.test(f) || /^-?[a-z][\w-]*( -?[a-z][\w-]*)*$/.test(f)),
+  'shadow'      : v => v === 'none' || splitTopLevel(v, ',').every(isShadowLayer),
+  'time'        : v => /^-?\d*\.?\d+(ms|s)$/.test(v),
+  'easing'      : v => /^(linear|ease|ease-in|ease-out|ease-in-out|step-start|step-end)$/.test(v)
+                    || /^(cubic-bezier|steps|linear)\(.*\)$/.test(v),
+  'integer'     : v => /^-?\d+$/.test(v),
+};
+
+/**
+ * One box-shadow layer: [inset] 2–4 lengths and at most one color.
+ * @param {string} layer
+ * @returns {boolean}
+ */
+function isShadowLayer(layer) {
+  const parts   = splitTopLevel(layer, ' ').filter(part => part !== 'inset');
+  const lengths = parts.filter(VALUE_TYPES.length);
+  const colors  = parts.filter(VALUE_TYPES.color);
+  return lengths.length >= 2 && lengths.length <= 4 && colors.length <= 1
+    && lengths.length + colors.length === parts.length;
+}
+
+/**
+ * Value types a token may resolve to, or null when it is not typed.
+ * @param {string} name
+ * @param {string|null} declared  DS_TOKENS type
+ * @returns {string[]|null}
+ */
+function expectedValueTypes(name, declared) {
+  const match = VALUE_TYPE_BY_NAME.find(([pattern]) => pattern.test(name));
+  const named = match ? match[1] : null;
+  if (declared && REGISTRY_VALUE_TYPES[declared]) {
+    const admitted = REGISTRY_VALUE_TYPES[declared];
+    return named && admitted.includes(named) ? [named] : admitted;
+  }
+  return named ? [named] : null;
+}
+
+/**
+ * RULE 15 — Value types.
+ *
+ *   value-type        — the token's value, followed through its var() chain,
+ *                       is not a valid value of the token's type (see
+ *                       REGISTRY_VALUE_TYPES / VALUE_TYPE_BY_NAME). Checked for
+ *                       :root and for every theme override
+ *   scale-mixed-units — a primitive length scale (--primitive-{scale}-*) whose
+ *                       non-zero steps use more than one unit; the minority
+ *                       steps are reported against the majority unit.
+ *                       SCALE_UNIT_ALLOWLIST steps are not part of a scale
+ *
+ * Values that do not resolve fully are left to rule 1.
+ *
+ * @param {Map<string, { value: string, line: number }>} tokenDefs
+ * @param {Map<string, Map<string, { value: string, line: number }>>} themeOverrides
+ * @param {Map<string, { type: string|null, file: string, needle: string }>} declaredTypes
+ * @param {Set<string>|null} [only]  check value types for these tokens only (watch mode)
+ * @returns {Array<{ rule: string, token: string, theme?: string|null, value?: string, expected?: string[],
+ *                   declared?: Object|null, unit?: string, scaleUnit?: string, scale?: string, line: number }>}
+ */
+function findValueTypeViolations(tokenDefs, themeOverrides, declaredTypes, only = null) {
+  const violations = [];
+
+  const scopes = [[null, tokenDefs, tokenDefs]];
+  for (const [theme, overrides] of themeOverrides) {
+    scopes.push([theme, overrides, new Map([...tokenDefs, ...overrides])]);
+  }
+
+  for (const [theme, checked, defs] of scopes) {
+    for (const [name, { line }] of checked) {
+      if (only && !only.has(name)) continue;
+      const declared = declaredTypes.get(name) || null;
+      const expected = expectedValueTypes(name, declared && declared.type);
+      if (!expected) continue;
+
+      const resolved = resolveValue(name, defs);
+      if (resolved === null || resolved.includes('var(')) continue;
+      const value = resolved.replace(/\s+/g, ' ').trim().toLowerCase();
+
+      if (!expected.some(type => VALUE_TYPES[type](value))) {
+        violations.push({ rule: 'value-type', token: name, theme, value: resolved.replace(/\s+/g, ' ').trim(), expected, declared, line });
+      }
+    }
+  }
+
+  // Mixed units within one primitive length scale
+  const scales = new Map();
+  for (const [name, { value, line }] of tokenDefs) {
+    if (getTier(name) !== 'primitive') continue;
+    if (SCALE_UNIT_ALLOWLIST.some(entry => entry.token === name)) continue;
+    const m = value.trim().match(LENGTH_PATTERN);
+    if (!m || parseFloat(m[1]) === 0) continue;
+    const scale = name.replace(/-[^-]+$/, '');
+    if (!scales.has(scale)) scales.set(scale, []);
+    scales.get(scale).push({ token: name, unit: m[2], line });
+  }
+
+  for (const [scale, steps] of scales) {
+    const counts = new Map();
+    for (const { unit } of steps) counts.set(unit, (counts.get(unit) || 0) + 1);
+    if (counts.size < 2) continue;
+    const [scaleUnit] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    for (const { token, unit, line } of steps) {
+      if (unit !== scaleUnit) violations.push({ rule: 'scale-mixed-units', token, scale, unit, scaleUnit, line });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * True for a deprecation alias declaration: `--old: var(--replacement)`.
+ * @param {string} name
+ * @param {string} value
+ * @param {Map<string, { replacement: string|null }>} deprecated
+ * @returns {boolean}
+ */
+function isDeprecationAlias(name, value, deprecated) {
+  const entry = deprecated.get(name);
+  return Boolean(entry && entry.replacement) && value.trim() === `var(${entry.replacement})`;
+}
+
+/**
+ * RULE 16 — Deprecations.
+ *
+ * Every declaration of each stylesheet is checked: var() references to a
+ * deprecated token, and definitions of one other than its alias. A theme
+ * file's :root block counts as a theme. Once `version` reaches removeIn the
+ * finding becomes deprecated-token-removed — this includes a leftover alias.
+ *
+ * @param {Array<{ ast: Object, file: string|null }>} sheets  file null = the validated CSS
+ * @param {Array<{ token: string, removeIn: string, replacement: string|null }>} deprecations
+ * @param {string} version
+ * @param {Map<string, any>} tokenDefs
+ * @returns {Array<{ rule: string, token: string, entry: Object, kind?: string, property?: string,
+ *                   defined?: boolean, file?: string|null, line: number|null }>}
+ */
+function findDeprecationViolations(sheets, deprecations, version, tokenDefs) {
+  const violations = [];
+  const deprecated = new Map(deprecations.map(entry => [entry.token, entry]));
+
+  for (const entry of deprecations) {
+    if (entry.replacement && !isRemoved(entry, version) && !tokenDefs.has(entry.replacement)) {
+      violations.push({ rule: 'deprecation-replacement', token: entry.token, entry, line: null });
+    }
+  }
+
+  for (const { ast, file } of sheets) {
+    walk(ast, (node, ctx) => {
+      if (node.type !== 'decl') return;
+      const isTheme = ctx.selectors.some(getThemeName) || (file !== null && ctx.inRoot);
+      const kind    = isAdapterLayer(ctx.layer) ? 'adapter'
+        : isTheme ? 'theme'
+        : ctx.inRoot ? 'token' : 'rule';
+
+      const report = (token, defined) => {
+        const entry = deprecated.get(token);
+        const rule  = isRemoved(entry, version) ? 'deprecated-token-removed' : 'deprecated-token';
+        violations.push({ rule, token, entry, kind, property: node.property, defined, file, line: node.line });
+      };
+
+      if (deprecated.has(node.property)) {
+        const alias = isDeprecationAlias(node.property, node.value, deprecated);
+        if (!alias || isRemoved(deprecated.get(node.property), version)) report(node.property, true);
+      }
+      for (const ref of new Set(extractVarRefs(node.value))) {
+        if (deprecated.has(ref)) report(ref, false);
+      }
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Literal kinds rule 17 looks for, tried in order on a value with its var()
+ * calls, url()s and strings removed. Shadows are detected by property name.
+ */
+const RAW_LITERAL_PATTERNS = [
+  ['color',    /#[0-9a-f]{3,8}(?![\w-])|(?<![\w-])(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\([^()]*(?:\([^()]*\)[^()]*)*\)|(?<![\w-])(?:white|black|transparent|currentcolor)(?![\w-])/gi],
+  ['length',   /(?<![\w.#-])-?\d*\.?\d+(?:px|rem|em|ch|ex|vh|vw|vmin|vmax|pt)(?![\w%-])/gi],
+  ['duration', /(?<![\w.#-])-?\d*\.?\d+(?:ms|s)(?![\w%-])/gi],
+];
+
+/**
+ * Canonical text of a raw literal, so a minified build reports what the
+ * expanded one does: lower case, single spaces, zero in any unit → '0',
+ * numbers re-printed ('.9em' → '0.9em', '1.50rem' → '1.5rem'), and a fully
+ * transparent color ('rgba(0,0,0,0)', '#0000', 'hsl(0 0% 0% / 0)') →
+ * 'transparent'.
+ * @param {string} literal
+ * @returns {string}
+ */
+function normalizeLiteral(literal) {
+  const text = literal.trim().toLowerCase().replace(/\s*([,/()])\s*/g, '$1').replace(/\s+/g, ' ');
+
+  const number = /^(-?\d*\.?\d+)([a-z]*)$/.exec(text);
+  if (number) return parseFloat(number[1]) === 0 ? '0' : `${parseFloat(number[1])}${number[2]}`;
+
+  if (/^#(?:[0-9a-f]{3}0|[0-9a-f]{6}00)$/.test(text)) return 'transparent';
+  const fn = /^(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\((.*)\)$/.exec(text);
+  if (fn) {
+    const args  = fn[1];
+    const alpha = args.includes('/') ? args.slice(args.lastIndexOf('/') + 1)
+      : args.split(',').length === 4 ? args.split(',')[3] : null;
+    if (alpha !== null && /^\.?\d/.test(alpha) && parseFloat(alpha) === 0) return 'transparent';
+  }
+  return text;
+}
+
+/**
+ * Selector list as one comparable string: combinators and list commas
+ * without surrounding whitespace, as a minifier writes them.
+ * @param {string[]} selectors
+ * @returns {string}
+ */
+function selectorKey(selectors) {
+  return selectors.map(sel => sel.trim().replace(/\s*([>+~])\s*/g, '$1').replace(/\s+/g, ' ')).join(', ');
+}
+
+/**
+ * True when RAW_LITERAL_ALLOWLIST accepts a literal for a declaration.
+ * @param {string} literal    normalized (normalizeLiteral)
+ * @param {string} property
+ * @param {string[]} selectors
+ * @returns {boolean}
+ */
+function isAllowedLiteral(literal, property, selectors) {
+  return RAW_LITERAL_ALLOWLIST.some(entry =>
+    normalizeLiteral(entry.literal) === literal &&
+    (!entry.property || entry.property.test(property)) &&
+    (!entry.selector || selectors.some(sel => entry.selector.test(sel.trim()))));
+}
+
+/**
+ * RULE 17 — Raw literals in @layer components / adapters.
+ *
+ *   raw-color-literal — a color written out instead of referenced: the
+ *                       component headers forbid raw hex / rgb values
+ *   raw-literal       — a length, duration or shadow written out; reported
+ *                       as a warning so existing structural values can be
+ *                       accepted in the baseline
+ *
+ * Every declaration in those layers is checked, custom properties included.
+ * var() calls are removed first (fallback literals are rule 14's), as are
+ * url() and strings. Literals are normalized (normalizeLiteral) before the
+ * allowlist check and in the report. A shadow property yields one finding for
+ * the whole value rather than one per length. Findings are per declaration
+ * and kind, listing the offending literals; their baseline key is rule, kind,
+ * selector and property — never the literal text, which minifiers rewrite.
+ *
+ * @param {{ children: Array }} ast
+ * @returns {Array<{ rule: string, kind: string, literals: string[], property: string, selector: string,
+ *                   line: number, layer: string, context: string }>}
+ */
+function findRawLiterals(ast) {
+  const violations = [];
+
+  walk(ast, (node, ctx) => {
+    if (node.type !== 'decl') return;
+    const layer = topLayer(ctx.layer);
+    if (layer !== 'components' && layer !== 'adapters') return;
+
+    const { property, value, line } = node;
+    const bare = parseVarCalls(value)
+      .filter(call => call.depth === 0)
+      .reduceRight((text, { start, end }) => text.slice(0, start) + ' ' + text.slice(end), value)
+      .replace(/url\([^)]*\)|(["'])(?:\\.|(?!\1).)*\1/g, ' ');
+
+    const byKind = new Map();
+    for (const [kind, pattern] of RAW_LITERAL_PATTERNS) {
+      const literals = (bare.match(pattern) || [])
+        .map(normalizeLiteral)
+        .filter(literal => !isAllowedLiteral(literal, property, ctx.selectors));
+      if (literals.length > 0) byKind.set(kind, literals);
+    }
+
+    // A shadow is one value: report its lengths as a single shadow literal
+    if (/shadow/.test(property) && byKind.has('length')) {
+      byKind.delete('length');
+      byKind.set('shadow', [normalizeLiteral(value)]);
+    }
+
+    for (const [kind, literals] of byKind) {
+      violations.push({
+        rule     : kind === 'color' ? 'raw-color-literal' : 'raw-literal',
+        kind,
+        literals : [...new Set(literals)],
+        property,
+        selector : clip(selectorKey(ctx.selectors)),
+        line,
+        layer    : ctx.layer,
+        context  : clip(`${property}: ${value};`),
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Everything a custom rule's check() receives (ds-validate.config.js).
+ * The maps and sets are the ones the built-in rules read — custom rules must
+ * treat them as read-only.
+ *
+ *   declarations — every declaration in the stylesheet, :root included, with
+ *                  its var() references, layer and selector list
+ *   registry     — component.registry.json components and the flattened
+ *                  registry rows (rule 11)
+ *   helpers      — the token-graph functions the built-in rules use
+ *
+ * @param {{ parsed: Object, graph: Map<string, string[]>, components: Object, registryRows: Array }} data
+ * @returns {Object}
+ */
+function buildRuleContext({ parsed, graph, components, registryRows }) {
+  const declarations = [];
+  walk(parsed.ast, (node, ctx) => {
+    if (node.type !== 'decl') return;
+    declarations.push({
+      property  : node.property,
+      value     : node.value,
+      refs      : extractVarRefs(node.value),
+      line      : node.line,
+      layer     : ctx.layer,
+      selectors : ctx.selectors,
+      inRoot    : ctx.inRoot,
+    });
+  });
+
+  return {
+    tokenDefs      : parsed.tokenDefs,
+    themeOverrides : parsed.themeOverrides,
+    ruleUsages     : parsed.ruleUsages,
+    usageLines     : parsed.usageLines,
+    graph,
+    declarations,
+    registry       : { components, rows: registryRows },
+    ast            : parsed.ast,
+    helpers        : { getTier, resolveValue, resolveChain, extractVarRefs, parseVarCalls, topLayer },
+  };
+}
+
+// ─── 5. AUTOFIX ───────────────────────────────────────────────────────────────
+
+/**
+ * Semantic tokens whose value is exactly var(<primitive>) — the tokens a
+ * direct primitive reference can be replaced with without changing the
+ * resolved value.
+ * @param {string} primitive
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @returns {string[]}  sorted
+ */
+function semanticAliasesOf(primitive, tokenDefs) {
+  const target = `var(${primitive})`;
+  return [...tokenDefs]
+    .filter(([name, { value }]) => getTier(name) === 'semantic' && value.trim() === target)
+    .map(([name]) => name)
+    .sort();
+}
+
+/**
+ * Plan --fix edits for tier skips (component / base → primitive, rule 3)
+ * and direct primitives in CSS rules (rule 6). An edit is planned only when
+ * exactly one semantic token aliases the primitive and the compiled line maps
+ * to an SCSS line; everything else is returned as unresolved with the reason.
+ *
+ * @param {Array<{ token: string, line: number, context?: string }>} primInRules
+ * @param {Array<{ token: string, dep: string, tokenTier: string, depTier: string, line: number }>} tierViolations
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @param {(line: number) => { file: string, line: number }|null} lookup
+ * @returns {{ edits: Array<{ file: string, line: number, from: string, to: string, consumer: string }>,
+ *             unresolved: Array<{ consumer: string, primitive: string, where: string, reason: string, candidates: string[] }> }}
+ */
+function planFixes(primInRules, tierViolations, tokenDefs, lookup) {
+  const edits      = [];
+  const unresolved = [];
+
+  const targets = [
+    ...primInRules.map(({ token, line, context }) => ({ consumer: context || 'CSS rule', primitive: token, line })),
+    ...tierViolations
+      .filter(v => v.depTier === 'primitive' && (v.tokenTier === 'component' || v.tokenTier === 'base'))
+      .map(({ token, dep, line }) => ({ consumer: token, primitive: dep, line })),
+  ];
+
+  for (const { consumer, primitive, line } of targets) {
+    const origin     = lookup(line);
+    const where      = origin ? `${origin.file}:${origin.line}` : `line ${line}`;
+    const candidates = semanticAliasesOf(primitive, tokenDefs);
+
+    if (candidates.length !== 1) {
+      unresolved.push({
+        consumer, primitive, where, candidates,
+        reason: candidates.length === 0 ? 'no semantic token aliases this primitive' : 'several semantic tokens alias this primitive',
+      });
+    } else if (!origin) {
+      unresolved.push({ consumer, primitive, where, candidates, reason: 'no SCSS source line for this declaration' });
+    } else {
+      edits.push({ file: origin.file, line: origin.line, from: primitive, to: candidates[0], consumer });
+    }
+  }
+
+  return { edits, unresolved };
+}
+
+/**
+ * Apply planned edits to the SCSS sources: on each target line, every
+ * var(<primitive>) becomes var(<semantic>). Edits whose line does not
+ * contain the reference literally (e.g. built by a mixin) are returned as
+ * unresolved instead.
+ *
+ * @param {Array<{ file: string, line: number, from: string, to: string, consumer: string }>} edits
+ * @param {boolean} write  false = dry run
+ * @returns {{ patch: string, changed: string[],
+ *             unresolved: Array<{ consumer: string, primitive: string, where: string, reason: string, candidates: string[] }> }}
+ */
+function applyFixes(edits, write) {
+  const byFile     = new Map();
+  const unresolved = [];
+  for (const edit of edits) {
+    if (!byFile.has(edit.file)) byFile.set(edit.file, []);
+    byFile.get(edit.file).push(edit);
+  }
+
+  let patch = '';
+  const changed = [];
+  for (const [file, fileEdits] of byFile) {
+    const full   = path.resolve(process.cwd(), file);
+    const text   = fs.readFileSync(full, 'utf8');
+    const before = text.split('\n');
+    const after  = [...before];
+
+    for (const { line, from, to, consumer } of fileEdits) {
+      const pattern = new RegExp(`var\\(\\s*${from.replace(/[-]/g, '\\$&')}(?![\\w-])`, 'g');
+      const next    = after[line - 1].replace(pattern, `var(${to}`);
+      if (next === after[line - 1] && !after[line - 1].includes(`var(${to}`)) {
+        unresolved.push({ consumer, primitive: from, where: `${file}:${line}`, candidates: [to],
+          reason: 'reference not found on the SCSS line (generated?)' });
+      }
+      after[line - 1] = next;
+    }
+
+    if (after.join('\n') === text) continue;
+    patch += unifiedDiff(file, before, after);
+    changed.push(file);
+    if (write) fs.writeFileSync(full, after.join('\n'), 'utf8');
+  }
+
+  return { patch, changed, unresolved };
+}
+
+/**
+ * Unified diff of two versions of a file with the same number of lines
+ * (--fix only ever rewrites lines in place). Three lines of context.
+ * @param {string} file  repo-relative path
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {string}
+ */
+function unifiedDiff(file, before, after) {
+  const CONTEXT = 3;
+  const changedLines = before.map((line, i) => (line !== after[i] ? i : -1)).filter(i => i !== -1);
+
+  // Group changed lines whose context windows touch into hunks
+  const hunks = [];
+  for (const i of changedLines) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= CONTEXT * 2) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  let out = `--- a/${file}\n+++ b/${file}\n`;
+  for (const { start, end } of hunks) {
+    const from = Math.max(0, start - CONTEXT);
+    const to   = Math.min(before.length - 1, end + CONTEXT);
+    const size = to - from + 1;
+    out += `@@ -${from + 1},${size} +${from + 1},${size} @@\n`;
+    for (let i = from; i <= to; i++) {
+      if (before[i] === after[i]) out += ` ${before[i]}\n`;
+      else out += `-${before[i]}\n+${after[i]}\n`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Print the --fix outcome: the patch, then each violation left alone.
+ * @param {{ patch: string, changed: string[] }} result
+ * @param {Array<{ consumer: string, primitive: string, where: string, reason: string, candidates: string[] }>} unresolved
+ * @param {boolean} dryRun
+ * @param {(...args: any[]) => void} log
+ */
+function printFixes({ patch, changed }, unresolved, dryRun, log) {
+  log('');
+  log(SEP);
+  log(`Autofix${dryRun ? ' (dry run — nothing written)' : ''}`);
+  log(SEP);
+  if (patch) log(patch.trimEnd());
+  else log(`${PASS} Nothing to rewrite`);
+
+  if (changed.length > 0) {
+    log('');
+    log(`${dryRun ? 'Would rewrite' : 'Rewrote'} ${changed.length} file(s): ${changed.join(', ')}`);
+  }
+
+  for (const { consumer, primitive, where, reason, candidates } of unresolved) {
+    log('');
+    log(`${WARN} Not fixed: ${consumer} → var(${primitive})`);
+    log(`     ${where} — ${reason}`);
+    for (const candidate of candidates) log(`       candidate: ${candidate}`);
+  }
+  log(SEP);
+}
+
+// ─── 6. SUPPRESSIONS & BASELINE ──────────────────────────────────────────────
+
+/**
+ * True when a suppression rule name covers a rule id: an exact id, or an id
+ * prefix up to a dash ('orphan' → 'orphan-token', 'theme' → 'theme-*').
+ * @param {string} name
+ * @param {string} ruleId
+ * @returns {boolean}
+ */
+function suppressionCovers(name, ruleId) {
+  return ruleId === name || ruleId.startsWith(`${name}-`);
+}
+
+/**
+ * Apply ds-validate.config.js severity overrides and split findings into
+ * errors and warnings. An override replaces the rule severity and any
+ * finding-level severity (e.g. a contrast pair's); 'off' drops the finding.
+ *
+ * @param {Array<{ rule: string, severity?: string }>} findings
+ * @param {Map<string, 'error'|'warning'|'off'>} overrides
+ * @returns {{ errors: Array, warnings: Array }}
+ */
+function applyRuleConfig(findings, overrides) {
+  const errors   = [];
+  const warnings = [];
+
+  for (const finding of findings) {
+    const override = overrides.get(finding.rule);
+    if (override === 'off') continue;
+    if (override) finding.severity = override;
+    ((finding.severity || RULES[finding.rule].severity) === 'error' ? errors : warnings).push(finding);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Apply inline suppressions to a list of findings.
+ *
+ * Findings are matched on their compiled CSS line, so this runs before
+ * locations are mapped back to SCSS. Suppressions without a reason or naming
+ * no known rule never apply; they are returned as problems together with
+ * suppressions that matched nothing.
+ *
+ * @param {Array<{ rule: string, line?: number|null }>} findings
+ * @param {Array<{ rules: string[], reason: string, line: number, target: number|null }>} suppressions
+ * @returns {{ kept: Array, suppressed: Array<{ finding: Object, reason: string }>,
+ *             problems: Array<{ rule: string, suppression: Object, problem: string }> }}
+ */
+function applySuppressions(findings, suppressions) {
+  const kept       = [];
+  const suppressed = [];
+  const problems   = [];
+  const used       = new Set();
+  const ruleIds    = Object.keys(RULES);
+
+  const valid = suppressions.filter(sup => {
+    const unknown = sup.rules.filter(name => !ruleIds.some(id => suppressionCovers(name, id)));
+    if (sup.rules.length === 0 || unknown.length > 0) {
+      const names = unknown.length > 0 ? `unknown rule ${unknown.map(n => `"${n}"`).join(', ')}` : 'no rule';
+      problems.push({ rule: 'invalid-suppression', suppression: sup, problem: `names ${names}` });
+      return false;
+    }
+    if (!sup.reason) {
+      problems.push({ rule: 'invalid-suppression', suppression: sup, problem: 'has no reason — add ": <why>"' });
+      return false;
+    }
+    return true;
+  });
+
+  for (const finding of findings) {
+    const sup = finding.line
+      ? valid.find(s => s.target === finding.line && s.rules.some(name => suppressionCovers(name, finding.rule)))
+      : null;
+    if (sup) {
+      used.add(sup);
+      suppressed.push({ finding, reason: sup.reason });
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  for (const sup of valid) {
+    if (!used.has(sup)) {
+      problems.push({ rule: 'unused-suppression', suppression: sup, problem: 'matches no finding — remove it' });
+    }
+  }
+
+  return { kept, suppressed, problems };
+}
+
+/**
+ * Stable identity of a finding across runs: rule + message, never the line
+ * (lines move with every edit). Findings whose message carries measurements
+ * (contrast ratios) or literal text (raw literals) provide their own `key`.
+ * @param {{ rule: string, message: string, key?: string }} finding
+ * @returns {string}
+ */
+function fingerprint(finding) {
+  return finding.key || `${finding.rule}|${finding.message}`;
+}
+
+/**
+ * Read the baseline's fingerprints. Returns an empty set when the file does
+ * not exist yet.
+ * @param {string} file
+ * @returns {Set<string>}
+ */
+function loadBaseline(file) {
+  if (!fs.existsSync(file)) return new Set();
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Set((baseline.findings || []).map(entry => entry.fingerprint));
+}
+
+/**
+ * Write the baseline: one entry per warning, sorted so regenerating it
+ * produces a minimal diff.
+ * @param {string} file
+ * @param {Array<{ rule: string, message: string, token?: string|null }>} warnings
+ */
+function writeBaseline(file, warnings) {
+  const findings = warnings
+    .map(w => ({ rule: w.rule, token: w.token || null, fingerprint: fingerprint(w) }))
+    .sort((a, b) => a.fingerprint.localeCompare(b.fingerprint));
+
+  const baseline = {
+    $description : 'Accepted validate-tokens.js warnings. Only warnings missing from this list are reported. ' +
+                   'Regenerate with: node scripts/validate-tokens.js --source --update-baseline',
+    version      : 1,
+    findings,
+  };
+  fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Split warnings into new ones and ones accepted by the baseline, and count
+ * baseline entries that no longer occur (fixed — safe to prune).
+ * @param {Array} warnings
+ * @param {Set<string>} baseline
+ * @returns {{ kept: Array, baselined: Array, stale: number }}
+ */
+function applyBaseline(warnings, baseline) {
+  const kept      = [];
+  const baselined = [];
+  const seen      = new Set();
+
+  for (const warning of warnings) {
+    const key = fingerprint(warning);
+    if (baseline.has(key)) {
+      seen.add(key);
+      baselined.push(warning);
+    } else {
+      kept.push(warning);
+    }
+  }
+
+  return { kept, baselined, stale: [...baseline].filter(key => !seen.has(key)).length };
+}
+
+// ─── 7. REPORT PRINTER ───────────────────────────────────────────────────────
+
+const SEP  = '─'.repeat(60);
+const PASS = '✔';
+const FAIL = '✖';
+const WARN = '⚠';
+
+/**
+ * Print a structured validation report to stdout.
+ *
+ * noCycles is passed separately so the cycle check always renders an explicit
+ * ✔ / ✖ line — even when other errors are present — matching the spec format.
+ *
+ * Suppressed findings (inline or baseline) are counted, not listed.
+ *
+ * @param {{ cssFile: string, tokenCount: number, ruleUsageCount: number,
+ *           noCycles: boolean,
+ *           errors: Array<{message:string,detail?:string}>,
+ *           warnings: Array<{message:string,detail?:string}>,
+ *           suppressed?: Array<{ kind: 'inSource'|'external' }>,
+ *           staleBaseline?: number }} results
+ */
+function printReport({
+  cssFile, tokenCount, ruleUsageCount, noCycles, errors, warnings, suppressed = [], staleBaseline = 0,
+}) {
+  const relPath    = path.relative(process.cwd(), cssFile);
+  const errorCount = errors.length;
+  const warnCount  = warnings.length;
+
+  console.log('');
+  console.log(SEP);
+  console.log('Token Validation Report');
+  console.log(`Source  : ${relPath}`);
+  console.log(`Tokens  : ${tokenCount} defined    Rule usages: ${ruleUsageCount}`);
+  if (suppressed.length > 0) {
+    const inSource = suppressed.filter(s => s.kind === 'inSource').length;
+    console.log(`Ignored : ${inSource} suppressed inline    ${suppressed.length - inSource} in baseline`);
+  }
+  console.log(SEP);
+  console.log('');
+
+  // ── Always show the cycle check result first ─────────────────────────────
+  if (noCycles) {
+    console.log(`${PASS} No circular dependencies`);
+  }
+  // Cycle errors (if any) are in the errors array and print below with others.
+
+  // ── Errors ───────────────────────────────────────────────────────────────
+  if (errorCount > 0) {
+    if (noCycles) console.log('');  // blank line after the ✔ before errors
+    for (const e of errors) {
+      console.log(`${FAIL} ${e.message}`);
+      if (e.detail) console.log(`     ${e.detail}`);
+    }
+    console.log('');
+  } else {
+    console.log('');
+  }
+
+  // ── Warnings ─────────────────────────────────────────────────────────────
+  if (warnCount > 0) {
+    for (const w of warnings) {
+      console.log(`${WARN} ${w.message}`);
+      if (w.detail) console.log(`     ${w.detail}`);
+    }
+    console.log('');
+  }
+
+  console.log(SEP);
+
+  if (errorCount > 0) {
+    console.log(`Build FAILED  — ${errorCount} error(s)  ${warnCount} warning(s)`);
+    console.log('Fix errors above before building.');
+  } else if (warnCount > 0) {
+    console.log(`Build PASSED  — 0 errors  ${warnCount} warning(s)`);
+  } else {
+    console.log('Build PASSED  — 0 errors  0 warnings');
+  }
+
+  if (staleBaseline > 0) {
+    console.log(`${staleBaseline} baseline entr${staleBaseline === 1 ? 'y no longer occurs' : 'ies no longer occur'} — prune with --update-baseline`);
+  }
+
+  console.log(SEP);
+  console.log('');
+}
+
+// ─── 8. MACHINE-READABLE FORMATS ─────────────────────────────────────────────
+
+/**
+ * Path of the validated file as a portable, forward-slash relative URI.
+ * Used as the artifact location in both json and sarif output.
+ * @param {string} file
+ * @returns {string}
+ */
+function toArtifactUri(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+/**
+ * Flatten a finding into its serialisable form.
+ * The human-only `detail` text is kept so dashboards can show the same hint
+ * as the terminal report.
+ *
+ * A finding's own severity (e.g. a contrast pair override) wins over the
+ * rule default.
+ *
+ * @param {{ rule: string, severity?: string, message: string, detail?: string,
+ *           token?: string|null, layer?: string|null, file?: string, line?: number|null }} finding
+ * @returns {Object}
+ */
+function serializeFinding(finding) {
+  return {
+    rule     : finding.rule,
+    severity : finding.severity || RULES[finding.rule].severity,
+    message  : finding.message,
+    detail   : finding.detail || null,
+    token    : finding.token  || null,
+    layer    : finding.layer  || null,
+    file     : finding.file   || null,
+    line     : finding.line   || null,
+  };
+}
+
+/**
+ * Build the --format json document.
+ *
+ * @param {{ cssFile: string, tokenCount: number, ruleUsageCount: number,
+ *           errors: Array, warnings: Array, suppressed?: Array, staleBaseline?: number }} results
+ * @returns {Object}
+ */
+function buildJSONReport({ cssFile, tokenCount, ruleUsageCount, errors, warnings, suppressed = [], staleBaseline = 0 }) {
+  return {
+    source         : toArtifactUri(cssFile),
+    tokenCount,
+    ruleUsageCount,
+    passed         : errors.length === 0,
+    summary        : {
+      errors        : errors.length,
+      warnings      : warnings.length,
+      suppressed    : suppressed.length,
+      staleBaseline,
+    },
+    errors         : errors.map(serializeFinding),
+    warnings       : warnings.map(serializeFinding),
+    suppressed     : suppressed.map(({ finding, kind, reason }) => ({
+      ...serializeFinding(finding),
+      suppression : { kind, reason },
+    })),
+  };
+}
+
+/**
+ * Build the --format sarif document (SARIF 2.1.0).
+ *
+ * Every rule in the RULES catalogue is declared in tool.driver.rules so that
+ * consumers can show rule help even for rules with no results in this run.
+ * Findings without a line number (e.g. cycles spanning several tokens whose
+ * first member has no recorded line) carry the artifact location only.
+ * In source mode each finding points at its own SCSS file, so every file
+ * referenced by a result is listed as an artifact.
+ * Suppressed findings are included with a SARIF `suppressions` entry
+ * (inSource for ds-validate-ignore, external for the baseline) so viewers
+ * can hide them while keeping the audit trail.
+ *
+ * @param {{ cssFile: string, errors: Array, warnings: Array, suppressed?: Array }} results
+ * @returns {Object}
+ */
+function buildSARIFReport({ cssFile, errors, warnings, suppressed = [] }) {
+  const uri     = toArtifactUri(cssFile);
+  const ruleIds = Object.keys(RULES);
+
+  const findings  = [...errors, ...warnings, ...suppressed.map(s => s.finding)];
+  const artifacts = [...new Set([uri, ...findings.map(f => f.file || uri)])];
+  const suppressionOf = new Map(suppressed.map(s => [s.finding, s]));
+
+  const results = findings.map(finding => {
+    const physicalLocation = { artifactLocation: { uri: finding.file || uri } };
+    if (finding.line) physicalLocation.region = { startLine: finding.line };
+
+    const text = finding.detail ? `${finding.message}\n${finding.detail}` : finding.message;
+
+    const result = {
+      ruleId     : finding.rule,
+      ruleIndex  : ruleIds.indexOf(finding.rule),
+      level      : finding.severity || RULES[finding.rule].severity,
+      message    : { text },
+      locations  : [{ physicalLocation }],
+      properties : { token: finding.token || null, layer: finding.layer || null },
+    };
+    if (suppressionOf.has(finding)) {
+      const { kind, reason } = suppressionOf.get(finding);
+      result.suppressions = [{ kind, justification: reason }];
+    }
+    return result;
+  });
+
+  return {
+    $schema : 'https://json.schemastore.org/sarif-2.1.0.json',
+    version : '2.1.0',
+    runs    : [{
+      tool: {
+        driver: {
+          name  : 'validate-tokens',
+          rules : ruleIds.map(id => ({
+            id,
+            shortDescription     : { text: RULES[id].description },
+            defaultConfiguration : { level: RULES[id].severity },
+          })),
+        },
+      },
+      artifacts : artifacts.map(file => ({ location: { uri: file } })),
+      results,
+    }],
+  };
+}
+
+/**
+ * Component a finding belongs to, for the health report: by token prefix,
+ * then by SCSS directory (source mode), then by .ds-* block in the message.
+ * Adapter findings and everything else fall into 'adapters' / 'global'.
+ *
+ * @param {{ token?: string|null, file?: string|null, layer?: string|null, message: string }} finding
+ * @param {Object<string, { tokenPrefix?: string, scssPath?: string, bemBlock?: string }>} components
+ * @returns {string}
+ */
+function componentOfFinding(finding, components) {
+  for (const [id, c] of Object.entries(components)) {
+    if (finding.token && c.tokenPrefix && finding.token.startsWith(`${c.tokenPrefix}-`)) return id;
+    if (finding.file && c.scssPath && finding.file.startsWith(`${path.posix.dirname(c.scssPath)}/`)) return id;
+    if (c.bemBlock && new RegExp(`\\.${c.bemBlock}(?![a-z0-9-])`).test(finding.message)) return id;
+  }
+  if (topLayer(finding.layer || null) === 'adapters' || (finding.file || '').startsWith('scss/adapters/')) {
+    return 'adapters';
+  }
+  return 'global';
+}
+
+/**
+ * Build the --report html model from the data the validator already holds.
+ *
+ *   coverage — per registry component: its tokens (tokenPrefix), how many
+ *              are consumed (not orphans), listed in a registry, and free of
+ *              any finding; the score is the share meeting all three
+ *
+ * Generated deprecation aliases are left out of the token table and coverage.
+ *
+ * @param {{ cssFile: string, version: string|null, tokenDefs: Map, themes: Map<string, Map>,
+ *           orphans: string[], unusedSemantics: string[], components: Object, registered: Set<string>,
+ *           isAlias: (name: string) => boolean, errors: Array, warnings: Array, suppressed: Array }} data
+ * @returns {Object}  see renderHealthReport in scripts/lib/health-report.js
+ */
+function buildHealthReport({
+  cssFile, version, tokenDefs, themes, orphans, unusedSemantics, components, registered, isAlias,
+  errors, warnings, suppressed,
+}) {
+  const tierOf = name => (VENDOR_TOKEN_PREFIXES.some(prefix => name.startsWith(prefix)) ? 'vendor' : getTier(name));
+
+  const scopes = [['default', tokenDefs]];
+  for (const [theme, overrides] of themes) {
+    const defs = new Map(tokenDefs);
+    for (const [name, def] of overrides) defs.set(name, def);
+    scopes.push([theme, defs]);
+  }
+
+  const names  = [...tokenDefs.keys()].filter(name => !isAlias(name)).sort();
+  const tiers  = {};
+  const tokens = names.map(name => {
+    const tier = tierOf(name);
+    tiers[tier] = (tiers[tier] || 0) + 1;
+    const resolved = {};
+    for (const [scope, defs] of scopes) resolved[scope] = resolveValue(name, defs);
+    return { name, tier, layer: tokenDefs.get(name).layer, value: tokenDefs.get(name).value, resolved };
+  });
+
+  const findings = [
+    ...errors.map(f => ({ ...serializeFinding(f), status: 'active' })),
+    ...warnings.map(f => ({ ...serializeFinding(f), status: 'active' })),
+    ...suppressed.map(({ finding, kind }) => ({
+      ...serializeFinding(finding),
+      status: kind === 'inSource' ? 'suppressed' : 'baselined',
+    })),
+  ];
+
+  const groupIds = [...Object.keys(components), 'adapters', 'global'];
+  const groups   = groupIds
+    .map(id => ({
+      id,
+      name     : components[id] ? components[id].name || id : id === 'adapters' ? 'Adapters' : 'Global',
+      findings : findings.filter(f => componentOfFinding(f, components) === id),
+    }))
+    .filter(group => components[group.id] || group.findings.length > 0);
+
+  const orphanSet = new Set(orphans);
+  const flagged   = new Set(findings.filter(f => f.status !== 'suppressed').map(f => f.token).filter(Boolean));
+  const coverage  = Object.entries(components)
+    .filter(([, c]) => c.tokenPrefix)
+    .map(([id, c]) => {
+      const own        = names.filter(name => name.startsWith(`${c.tokenPrefix}-`));
+      const consumed   = own.filter(name => !orphanSet.has(name));
+      const listed     = own.filter(name => registered.has(name));
+      const clean      = own.filter(name => !flagged.has(name));
+      const covered    = own.filter(name => !orphanSet.has(name) && registered.has(name) && !flagged.has(name));
+      return {
+        id,
+        name       : c.name || id,
+        version    : c.version || null,
+        tokens     : own.length,
+        consumed   : consumed.length,
+        registered : listed.length,
+        clean      : clean.length,
+        score      : own.length === 0 ? 100 : Math.round((covered.length / own.length) * 100),
+      };
+    });
+
+  return {
+    source  : toArtifactUri(cssFile),
+    version,
+    passed  : errors.length === 0,
+    summary : { errors: errors.length, warnings: warnings.length, suppressed: suppressed.length },
+    tiers,
+    themes  : [...themes.keys()],
+    tokens,
+    orphans : [...orphans].sort(),
+    unusedSemantics: [...unusedSemantics].sort(),
+    groups,
+    coverage,
+  };
+}
+
+/**
+ * Write the --report html page. Throws when it cannot be written — main()
+ * fails the run, watch mode reports it and keeps watching.
+ * @param {string} file
+ * @param {Object} data  buildHealthReport input
+ * @param {(...args: any[]) => void} log
+ * @throws {Error}  'Could not write report: …'
+ */
+function writeHealthReport(file, data, log) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderHealthReport(buildHealthReport(data)), 'utf8');
+  } catch (err) {
+    throw new Error(`Could not write report: ${err.message}`);
+  }
+  log(`[prebuild] Token health report: ${toArtifactUri(file)}`);
+}
+
+/**
+ * Render the validation results in the requested format.
+ * text goes through printReport; json and sarif print one JSON document.
+ *
+ * @param {'text'|'json'|'sarif'} format
+ * @param {Object} results  same shape as printReport's argument
+ */
+function emitReport(format, results) {
+  if (format === 'json') {
+    console.log(JSON.stringify(buildJSONReport(results), null, 2));
+  } else if (format === 'sarif') {
+    console.log(JSON.stringify(buildSARIFReport(results), null, 2));
+  } else {
+    printReport(results);
+  }
+}
+
+// ─── 9. WATCH MODE ───────────────────────────────────────────────────────────
+
+/**
+ * Registry and policy inputs watched next to scss/ (rules 11, 13, 15, 16).
+ * ds-validate.config.js is read once — restart the watcher after editing it.
+ */
+const WATCHED_INPUTS = [COMPONENT_REGISTRY_FILE, TOKEN_REGISTRY_FILE, DEPRECATIONS_FILE];
+
+/** Quiet period after the last file event before revalidating (editors write in bursts). */
+const WATCH_DEBOUNCE_MS = 150;
+
+/**
+ * Tokens touched by an edit: definitions added, removed or changed in :root
+ * or in any theme block, plus everything that depends on them (the same
+ * traversal as `token-graph impact`).
+ *
+ * @param {{ tokenDefs: Map<string, { value: string }>, themeOverrides: Map<string, Map<string, { value: string }>> }} previous
+ * @param {Map<string, { value: string }>} tokenDefs
+ * @param {Map<string, Map<string, { value: string }>>} themeOverrides
+ * @param {Map<string, string[]>} graph
+ * @returns {{ changed: Set<string>, affected: Set<string> }}
+ */
+function affectedTokens(previous, tokenDefs, themeOverrides, graph) {
+  const changed = new Set();
+  const compare = (before = new Map(), after = new Map()) => {
+    for (const name of new Set([...before.keys(), ...after.keys()])) {
+      if (!before.has(name) || !after.has(name) || before.get(name).value !== after.get(name).value) {
+        changed.add(name);
+      }
+    }
+  };
+
+  compare(previous.tokenDefs, tokenDefs);
+  for (const theme of new Set([...previous.themeOverrides.keys(), ...themeOverrides.keys()])) {
+    compare(previous.themeOverrides.get(theme), themeOverrides.get(theme));
+  }
+
+  const affected = new Set(changed);
+  for (const name of changed) {
+    for (const { id } of dependentsOf({ edges: graph }, name)) affected.add(id);
+  }
+  return { changed, affected };
+}
+
+/**
+ * Combine a token-scoped rule's fresh violations (computed for the affected
+ * tokens only) with the previous run's violations for every other token.
+ * Compiled lines move with every edit, so carried violations take their
+ * token's current line; violations of tokens that no longer exist are dropped.
+ *
+ * @param {Set<string>|null} scope  null = full run, fresh is complete
+ * @param {Array<{ token: string, line: number }>|null} previous
+ * @param {Array<{ token: string, line: number }>} fresh
+ * @param {(violation: Object) => number|undefined} lineOf
+ * @returns {Array}
+ */
+function mergeScoped(scope, previous, fresh, lineOf) {
+  if (!scope || !previous) return fresh;
+  const carried = previous
+    .filter(v => !scope.has(v.token) && lineOf(v) !== undefined)
+    .map(v => ({ ...v, line: lineOf(v) }));
+  return [...carried, ...fresh];
+}
+
+/**
+ * Findings present in `after` but not `before` (added) and the reverse
+ * (resolved), matched by fingerprint so moved lines are not reported.
+ * Repeated fingerprints are compared as counts.
+ *
+ * @param {Array<{ rule: string, message: string }>} before
+ * @param {Array<{ rule: string, message: string }>} after
+ * @returns {{ added: Array, resolved: Array }}
+ */
+function diffFindings(before, after) {
+  const take = (list, other) => {
+    const counts = new Map();
+    for (const f of other) counts.set(fingerprint(f), (counts.get(fingerprint(f)) || 0) + 1);
+    return list.filter(f => {
+      const n = counts.get(fingerprint(f)) || 0;
+      if (n > 0) counts.set(fingerprint(f), n - 1);
+      return n === 0;
+    });
+  };
+  return { added: take(after, before), resolved: take(before, after) };
+}
+
+/**
+ * One compact line per finding: icon, message, location.
+ * @param {string} mark  '+' added / '-' resolved
+ * @param {{ rule: string, severity?: string, message: string, file?: string, line?: number|null }} finding
+ * @returns {string}
+ */
+function formatFindingLine(mark, finding) {
+  const severity = finding.severity || RULES[finding.rule].severity;
+  const icon     = mark === '-' ? PASS : severity === 'error' ? FAIL : WARN;
+  const where    = finding.file ? ` (${finding.file}${finding.line ? `:${finding.line}` : ''})` : '';
+  return `  ${mark} ${icon} ${finding.message}${where}`;
+}
+
+/**
+ * Watch a directory tree: one non-recursive watcher per directory, so files
+ * replaced by an editor's atomic save (write + rename) keep reporting, and
+ * directories created later are picked up.
+ *
+ * @param {string} root
+ * @param {(file: string) => void} onChange  absolute path of the changed entry
+ */
+function watchTree(root, onChange) {
+  const watched = new Set();
+  const add = dir => {
+    if (watched.has(dir)) return;
+    watched.add(dir);
+    fs.watch(dir, (event, filename) => {
+      if (!filename) return;
+      const file = path.join(dir, filename);
+      if (fs.existsSync(file) && fs.statSync(file).isDirectory()) add(file);
+      else onChange(file);
+    });
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) add(path.join(dir, entry.name));
+    }
+  };
+  add(root);
+}
+
+/**
+ * --watch: validate the SCSS sources, then revalidate after every save to
+ * scss/** or a registry input and print only what changed.
+ *
+ *   - Sass stays loaded (sass.initCompiler), and a registry-only save reuses
+ *     the last compiled CSS instead of recompiling
+ *   - A save that leaves the compiled CSS identical (comments, formatting)
+ *     is not revalidated
+ *   - After a SCSS save, rules 3, 12, 13 and 15 re-run only for the changed
+ *     tokens and their dependents (see validateCSS); registry and
+ *     deprecation saves trigger a full run, as their data feeds every rule
+ *
+ * Runs until interrupted. Compile and input errors are printed and the
+ * watcher keeps going; the next save retries.
+ *
+ * @param {{ cssFile: string, themeFiles: string[], config: Object, useBaseline: boolean,
+ *           report: string|null, reportFile: string }} options
+ */
+function watchSources({ cssFile, themeFiles, config, useBaseline, report, reportFile }) {
+  const quiet = () => {};
+  const stamp = () => new Date().toTimeString().slice(0, 8);
+
+  let compiler;
+  try {
+    compiler = require('sass').initCompiler();
+  } catch (err) {
+    console.error('[prebuild] ERROR: --watch needs sass — run `npm install`');
+    process.exit(1);
+  }
+
+  let compiled = null;   // { css, lookup } of the last successful compile
+  let last     = null;   // last successful validateCSS run
+  let pending  = new Set();
+  let timer    = null;
+
+  /**
+   * Compile (when SCSS changed) and validate; print the full report on the
+   * first run and a finding diff afterwards.
+   * @param {string[]} files  repo-relative paths that changed ([] on start)
+   */
+  const revalidate = files => {
+    const scssChanged  = files.length === 0 || files.some(file => file.endsWith('.scss'));
+    const inputChanged = files.some(file => !file.endsWith('.scss'));
+    const label        = files.length === 1 ? files[0] : `${files.length} files`;
+
+    if (scssChanged) {
+      let next;
+      try {
+        next = compileSources(cssFile, compiler);
+      } catch (err) {
+        console.log(`[watch] ${stamp()}  ${label} — ${FAIL} Sass: ${err.message.split('\n')[0]}`);
+        return;
+      }
+      if (compiled && last && next.css === compiled.css && !inputChanged) {
+        console.log(`[watch] ${stamp()}  ${label} — compiled CSS unchanged`);
+        return;
+      }
+      compiled = next;
+    }
+
+    let run;
+    try {
+      run = validateCSS({ ...compiled, cssFile, themeFiles, config, updateBaseline: false, useBaseline, log: quiet },
+        last && !inputChanged ? last.state : null);
+    } catch (err) {
+      console.log(`[watch] ${stamp()}  ${label} — ${FAIL} ${err.message}`);
+      return;
+    }
+
+    const shown = [...run.results.errors, ...run.results.warnings];
+    if (!last) {
+      printReport(run.results);
+    } else {
+      const { added, resolved } = diffFindings([...last.results.errors, ...last.results.warnings], shown);
+      const { impact } = run.state;
+      const scope = impact ? `${impact.changed} token(s) changed, ${impact.affected} affected` : 'full run';
+      console.log(`[watch] ${stamp()}  ${label} — ${scope}`);
+      added.forEach(finding => console.log(formatFindingLine('+', finding)));
+      resolved.forEach(finding => console.log(formatFindingLine('-', finding)));
+      console.log(`  = ${run.results.errors.length} error(s), ${run.results.warnings.length} warning(s)` +
+                  ` — ${added.length} new, ${resolved.length} resolved`);
+    }
+    if (report === 'html') {
+      try {
+        writeHealthReport(reportFile, run.health, quiet);
+      } catch (err) {
+        console.log(`[watch] ${stamp()}  ${label} — ${FAIL} ${err.message}`);
+      }
+    }
+    last = run;
+  };
+
+  const queue = file => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending].sort();
+      pending = new Set();
+      revalidate(files);
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  revalidate([]);
+
+  const scssDir = path.dirname(SCSS_ENTRY);
+  watchTree(scssDir, file => {
+    if (file.endsWith('.scss')) queue(toArtifactUri(file));
+  });
+  for (const dir of new Set(WATCHED_INPUTS.map(file => path.dirname(file)))) {
+    fs.watch(dir, (event, filename) => {
+      const file = filename && path.join(dir, filename);
+      if (file && WATCHED_INPUTS.includes(file)) queue(toArtifactUri(file));
+    });
+  }
+
+  console.log(`[watch] Watching ${toArtifactUri(scssDir)}/** and ${WATCHED_INPUTS.map(toArtifactUri).join(', ')} — Ctrl+C to stop`);
+  process.on('SIGINT', () => {
+    compiler.dispose();
+    process.exit(0);
+  });
+}
+
+// ─── 10. MAIN ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate one compiled stylesheet: parse it, run every rule, apply the
+ * project config, suppressions and baseline, and map findings back to their
+ * sources. Throws on unreadable inputs (registries, theme files, baseline) —
+ * main() exits on them, watch mode reports them and keeps watching.
+ *
+ * @param {{ css: string, lookup: Function|null, cssFile: string, themeFiles: string[], config: Object,
+ *           updateBaseline: boolean, useBaseline: boolean, log: Function }} input
+ * @param {Object|null} [previous]  `state` of the previous run — re-runs the
+ *                                  token-scoped rules for affected tokens only
+ * @returns {{ results: Object, health: Object, state: Object }}
+ *          results — printReport / emitReport input; health — buildHealthReport input
+ */
+function validateCSS({ css, lookup, cssFile, themeFiles, config, updateBaseline, useBaseline, log }, previous = null) {
+  /**
+   * Where a finding lives, for report details: the SCSS origin in source
+   * mode ('scss/…/_badge.variables.scss:74'), the compiled line otherwise.
+   * @param {number} line  compiled CSS line
+   */
+  const at = line => {
+    const origin = lookup && lookup(line);
+    return origin ? `${origin.file}:${origin.line}` : `line ${line}`;
+  };
+
+  const {
+    tokenDefs, ruleUsages, usageLines, primInRules, themeOverrides, adapterRules, adapterDecls,
+    tokenDecls, fallbacks, ast,
+  } = parseCSS(css);
+  const suppressions = collectSuppressions(ast);
 
   // ── c) Build graph ──────────────────────────────────────────────────────
   const graph = buildGraph(tokenDefs);
 
+  let deprecations, version;
+  try {
+    deprecations = loadDeprecations(DEPRECATIONS_FILE);
+    version      = JSON.parse(fs.readFileSync(PACKAGE_FILE, 'utf8')).version;
+  } catch (err) {
+    throw new Error(`Could not load ${toArtifactUri(DEPRECATIONS_FILE)}: ${err.message}`);
+  }
+  const deprecated = new Map(deprecations.map(entry => [entry.token, entry]));
+
+  /** True for a generated alias — exempt from rules 3 (alias edge), 4, 5, 11d and 13. */
+  const isAlias = name => tokenDefs.has(name) && isDeprecationAlias(name, tokenDefs.get(name).value, deprecated);
+
   // ── d) Run all validation checks ────────────────────────────────────────
-  const missingRefs    = findMissingRefs(tokenDefs, ruleUsages);
+  // In watch mode the token-scoped rules (3, 12, 13, 15) re-run for the
+  // affected tokens only and carry the previous run's findings over for the
+  // rest; a null scope means a full run.
+  const impact  = previous ? affectedTokens(previous, tokenDefs, themeOverrides, graph) : null;
+  const scope   = impact && impact.affected;
+  const inScope = scope ? new Map([...tokenDefs].filter(([name]) => scope.has(name))) : tokenDefs;
+  const lineOf  = v => (tokenDefs.has(v.token) ? tokenDefs.get(v.token).line : undefined);
+
+  const missingRefs    = findMissingRefs(tokenDefs, ruleUsages, usageLines);
   const cycles         = findCycles(graph);
-  const tierViolations = findTierViolations(tokenDefs);
-  const orphans        = findOrphans(tokenDefs, graph, ruleUsages);
-  const unusedSemantics = findUnusedSemantics(tokenDefs, graph, ruleUsages);
+  const tierViolations = mergeScoped(scope, previous && previous.tier, findTierViolations(inScope), lineOf)
+    .filter(v => !(isAlias(v.token) && v.dep === deprecated.get(v.token).replacement));
+  const orphans        = findOrphans(tokenDefs, graph, ruleUsages).filter(name => !isAlias(name));
+  const unusedSemantics = findUnusedSemantics(tokenDefs, graph, ruleUsages).filter(name => !isAlias(name));
+  const themeViolations = findThemeViolations(themeOverrides, tokenDefs);
+  const adapterViolations = findAdapterViolations(adapterRules, adapterDecls);
+  const placementViolations = findLayerPlacementViolations(tokenDecls);
+  const layerOrder      = readLayerOrder(LAYER_ORDER_FILE);
+  const orderViolations = layerOrder ? findLayerOrderViolations(ast, layerOrder) : [];
+
+  let registryRows, components;
+  try {
+    components   = readComponentRegistry(COMPONENT_REGISTRY_FILE);
+    registryRows = [
+      ...componentRegistryRows(components, COMPONENT_REGISTRY_FILE),
+      ...loadTokenRegistryRows(TOKEN_REGISTRY_FILE),
+    ];
+  } catch (err) {
+    throw new Error(`Could not load token registries: ${err.message}`);
+  }
+  const registryViolations = findRegistryViolations(registryRows, tokenDefs)
+    .filter(v => !(v.rule === 'registry-missing-token' && isAlias(v.token)));
+
+  // Contrast is audited for the built themes plus any --theme-file themes.
+  // A file's :root block is a theme named after the file.
+  const contrastThemes = new Map(themeOverrides);
+  const sheets         = [{ ast, file: null }];
+  for (const file of themeFiles) {
+    let parsed;
+    try {
+      parsed = parseCSS(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read theme file: ${err.message}`);
+    }
+    sheets.push({ ast: parsed.ast, file });
+    const label = path.basename(file, path.extname(file));
+    if (parsed.tokenDefs.size > 0) contrastThemes.set(label, parsed.tokenDefs);
+    for (const [theme, overrides] of parsed.themeOverrides) {
+      contrastThemes.set(contrastThemes.has(theme) ? `${theme} (${label})` : theme, overrides);
+    }
+  }
+  const contrastPairs      = scope && !scope.has(CONTRAST_BACKDROP)
+    ? CONTRAST_PAIRS.filter(pair => scope.has(pair.foreground) || scope.has(pair.background))
+    : CONTRAST_PAIRS;
+  const contrastViolations = [
+    ...(contrastPairs === CONTRAST_PAIRS ? [] : previous.contrast.filter(v => !contrastPairs.includes(v.pair))),
+    ...findContrastViolations(contrastPairs, tokenDefs, contrastThemes),
+  ];
+  const rawNamingViolations = mergeScoped(scope, previous && previous.naming,
+    findNamingViolations(inScope, buildNamingVocabulary(components)), lineOf);
+  const namingViolations   = rawNamingViolations.filter(v => !isAlias(v.token));
+  const fallbackViolations = findFallbackViolations(fallbacks, tokenDefs);
+  const declaredTypes      = new Map(registryRows.filter(row => row.type).map(row => [row.component, row]));
+  const freshTypes         = findValueTypeViolations(tokenDefs, themeOverrides, declaredTypes, scope);
+  const typeViolations     = [
+    ...mergeScoped(scope, previous && previous.types, freshTypes.filter(v => v.rule === 'value-type'), v => {
+      const defs = v.theme ? themeOverrides.get(v.theme) : tokenDefs;
+      return defs && defs.has(v.token) ? defs.get(v.token).line : undefined;
+    }),
+    ...freshTypes.filter(v => v.rule !== 'value-type'),
+  ];
+  const deprecationViolations = findDeprecationViolations(sheets, deprecations, version, tokenDefs);
+  const literalViolations  = findRawLiterals(ast);
 
   // ── e) Compile error and warning lists ──────────────────────────────────
+  // Each finding carries its rule id and location fields (token, layer, line)
+  // alongside the human-readable message/detail used by the text report.
   const errors   = [];
   const warnings = [];
 
+  /** @param {string} name */
+  const layerOf = name => (tokenDefs.has(name) ? tokenDefs.get(name).layer : null);
+
+  // Rule 0 — CSS syntax (first: the findings below rest on this structure)
+  for (const { message, line } of ast.errors) {
+    errors.push({ rule: 'css-syntax', message: `CSS syntax: ${message}`, detail: at(line), layer: null, line });
+  }
+
   // Rule 1 — Missing references
   for (const { consumer, missing, line } of missingRefs) {
-    const where = line ? ` (line ${line})` : '';
+    const where = line ? ` (${at(line)})` : '';
     errors.push({
+      rule    : 'missing-reference',
       message : `Missing reference: ${missing}`,
       detail  : `Referenced by ${consumer}${where} but not defined anywhere`,
+      token   : missing,
+      layer   : layerOf(consumer),
+      line,
     });
   }
 
@@ -684,55 +3573,535 @@ function main() {
   // The ✔ / ✖ cycle-check line is always rendered by printReport via `noCycles`.
   for (const cycle of cycles) {
     errors.push({
+      rule    : 'circular-dependency',
       message : `Circular dependency: ${cycle.join(' → ')}`,
+      token   : cycle[0],
+      layer   : layerOf(cycle[0]),
+      line    : tokenDefs.has(cycle[0]) ? tokenDefs.get(cycle[0]).line : null,
     });
   }
 
   // Rule 3 — Tier violations in token definitions
-  for (const { token, dep, tokenTier, depTier, line } of tierViolations) {
+  for (const { token, dep, tokenTier, depTier, fallback, line } of tierViolations) {
     const allowedStr = ALLOWED_DEPS[tokenTier].join(', ') || 'nothing (raw values only)';
     errors.push({
-      message : `Tier violation: ${token} (${tokenTier}) references ${dep} (${depTier})`,
-      detail  : `line ${line} — ${tokenTier} tokens may only reference: ${allowedStr}`,
+      rule    : 'tier-violation',
+      message : `Tier violation: ${token} (${tokenTier}) references ${dep} (${depTier})${fallback ? ' in a fallback' : ''}`,
+      detail  : `${at(line)} — ${tokenTier} tokens may only reference: ${allowedStr}`,
+      token,
+      layer   : layerOf(token),
+      line,
     });
   }
 
   // Rule 6 — Direct primitive usage in CSS rules
-  for (const { token, line, context } of primInRules) {
+  for (const { token, line, context, layer, fallback } of primInRules) {
+    errors.push({
+      rule    : 'primitive-in-rule',
+      message : `Direct primitive in CSS rule: var(${token})${fallback ? ' in a fallback' : ''}`,
+      detail  : `${at(line)} — use a --component-* token instead\n     context: ${context}`,
+      token,
+      layer,
+      line,
+    });
+  }
+
+  // Rule 7 — Theme override contract
+  for (const { rule, theme, token, tier, line, missingFrom } of themeViolations) {
+    const scope = `[data-theme="${theme}"]`;
+    const where = line ? `${at(line)} — ` : '';
+    let message, detail;
+    if (rule === 'theme-override-tier') {
+      message = `Theme override: ${scope} overrides ${token} (${tier})`;
+      detail  = `${where}themes may only override --primitive-* tokens`;
+    } else if (rule === 'theme-raw-value') {
+      message = `Theme raw value: ${scope} assigns a raw value to ${token}`;
+      detail  = `${where}${tier} overrides must reference a token via var()`;
+    } else if (rule === 'theme-unknown-token') {
+      message = `Theme unknown token: ${scope} overrides ${token}`;
+      detail  = `${where}not defined in the base :root token set`;
+    } else {
+      message = `Theme incomplete: ${scope} does not override ${token}`;
+      detail  = `Overridden by [data-theme="${missingFrom}"] — every theme must override the same primitives`;
+    }
+    errors.push({
+      rule,
+      message,
+      detail,
+      token,
+      layer   : line ? themeOverrides.get(theme).get(token).layer : null,
+      line,
+    });
+  }
+
+  // Rule 8 — Adapter contract
+  // The text-search source hint is only needed when there is no source map.
+  for (const { rule, message, reason, source: hint, token, line } of adapterViolations) {
+    const where = hint && !lookup ? `\n     source: ${path.relative(process.cwd(), hint.file)}:${hint.line}` : '';
+    errors.push({ rule, message, detail: `${at(line)} — ${reason}${where}`, token, layer: 'adapters', line });
+  }
+
+  // Rule 9 — Layer placement
+  for (const { token, tier, layer, allowed, line } of placementViolations) {
+    errors.push({
+      rule    : 'layer-placement',
+      message : `Layer placement: ${token} (${tier}) declared in ${layer ? `@layer ${layer}` : 'no layer'}`,
+      detail  : `${at(line)} — ${tier} tokens belong in: ${allowed.map(l => `@layer ${l}`).join(', ')}`,
+      token,
+      layer,
+      line,
+    });
+  }
+
+  // Rule 10 — Layer order
+  if (!layerOrder) {
+    errors.push({
+      rule    : 'layer-order',
+      message : 'Layer order: no @layer ordering statement found',
+      detail  : `Expected one in ${path.relative(process.cwd(), LAYER_ORDER_FILE)}`,
+    });
+  }
+  for (const { message, reason, line } of orderViolations) {
+    errors.push({ rule: 'layer-order', message, detail: line ? `${at(line)} — ${reason}` : reason, layer: null, line });
+  }
+
+  // Rule 11 — Registry consistency
+  // Findings about a registry row point into the registry file itself.
+  const registryCache = new Map();
+  for (const { rule, file, needle, token, listed, actual, field, line } of registryViolations) {
+    if (rule === 'registry-missing-token') {
+      warnings.push({
+        rule,
+        message : `Registry missing token: ${token}`,
+        detail  : `${at(line)} — defined but listed in neither ${toArtifactUri(COMPONENT_REGISTRY_FILE)} nor ${toArtifactUri(TOKEN_REGISTRY_FILE)}`,
+        token,
+        layer   : layerOf(token),
+        line,
+      });
+      continue;
+    }
+
+    const origin = locateInSources([file], [needle], registryCache);
+    const where  = `${toArtifactUri(file)}${origin ? `:${origin.line}` : ''}`;
+    let message, detail;
+    if (rule === 'registry-undefined-token') {
+      message = `Registry undefined token: ${listed}`;
+      detail  = `${where} — listed for ${token} but not defined in the CSS`;
+    } else if (rule === 'registry-stale-chain') {
+      message = `Registry stale chain: ${token} ${field}`;
+      detail  = `${where} — registry lists ${listed || 'none'}, CSS resolves to ${actual || 'none'}`;
+    } else {
+      message = `Registry raw value: ${token}`;
+      detail  = `${where} — registry lists ${listed}, CSS resolves to ${actual === null ? 'nothing' : actual}`;
+    }
     errors.push({
-      message : `Direct primitive in CSS rule: var(${token})`,
-      detail  : `line ${line} — use a --component-* token instead\n     context: ${context}`,
+      rule,
+      message,
+      detail,
+      token,
+      layer   : null,
+      file    : toArtifactUri(file),
+      line    : origin ? origin.line : null,
+    });
+  }
+
+  // Rule 12 — Contrast
+  // A pair's own severity (known palette debt) overrides the rule default.
+  for (const { rule, pair, theme, ratio, lc, token, value } of contrastViolations) {
+    const severity = pair.severity || RULES[rule].severity;
+    const scope    = theme === 'default' ? ':root' : `[data-theme="${theme}"]`;
+    const subject  = `${pair.foreground} on ${pair.background}`;
+    const line     = tokenDefs.has(pair.foreground) ? tokenDefs.get(pair.foreground).line : null;
+    let message, detail;
+    if (rule === 'contrast-unresolved') {
+      message = `Contrast unresolved: ${token} in ${scope}`;
+      detail  = `${value === null ? 'not defined' : `"${value}" is not a parseable color`} — cannot audit ${subject}`;
+    } else {
+      const metrics = `${ratio.toFixed(2)}:1 · APCA Lc ${lc.toFixed(1)}`;
+      message = `Contrast: ${subject} in ${scope} — ${metrics}`;
+      detail  = rule === 'contrast-ratio'
+        ? `${line ? `${at(line)} — ` : ''}below the WCAG ${pair.min}:1 minimum`
+        : `${line ? `${at(line)} — ` : ''}below the APCA Lc ${pair.apca} minimum`;
+    }
+    (severity === 'error' ? errors : warnings).push({
+      rule,
+      severity,
+      key     : `${rule}|${subject} in ${scope}`,
+      message,
+      detail,
+      token   : token || pair.foreground,
+      layer   : null,
+      line    : rule === 'contrast-unresolved' ? null : line,
+    });
+  }
+
+  // Rule 13 — Naming grammar (warnings)
+  for (const { token, line, problem, expected, sibling } of namingViolations) {
+    let hint = '';
+    if (expected) hint = `\n     expected: ${expected}`;
+    if (sibling)  hint = `\n     ${sibling} also exists — one concept, two names`;
+    warnings.push({
+      rule    : 'naming-grammar',
+      message : `Naming: ${token}`,
+      detail  : `${at(line)} — ${problem}${hint}`,
+      token,
+      layer   : layerOf(token),
+      line,
+    });
+  }
+
+  // Rule 14 — var() fallbacks
+  for (const { rule, token, fallback, property, resolved, expected, line, layer, context } of fallbackViolations) {
+    if (rule === 'fallback-raw-value') {
+      errors.push({
+        rule,
+        message : `Raw fallback: var(${token}, ${fallback}) in ${property}`,
+        detail  : `${at(line)} — @layer ${topLayer(layer)} fallbacks must reference a token via var()\n     context: ${context}`,
+        token,
+        layer,
+        line,
+      });
+    } else {
+      warnings.push({
+        rule,
+        message : `Fallback mismatch: var(${token}, ${fallback}) in ${property}`,
+        detail  : `${at(line)} — fallback resolves to ${resolved}, ${token} resolves to ${expected}`,
+        token,
+        layer,
+        line,
+      });
+    }
+  }
+
+  // Rule 15 — Value types
+  for (const { rule, token, theme, value, expected, declared, scale, unit, scaleUnit, line } of typeViolations) {
+    if (rule === 'value-type') {
+      const scope  = theme ? ` in [data-theme="${theme}"]` : '';
+      const origin = declared ? locateInSources([declared.file], [declared.needle], registryCache) : null;
+      const source = declared
+        ? ` (declared '${declared.type}' in ${toArtifactUri(declared.file)}${origin ? `:${origin.line}` : ''})`
+        : '';
+      errors.push({
+        rule,
+        message : `Value type: ${token}${scope} resolves to ${value}`,
+        detail  : `${at(line)} — expected ${expected.join(' or ')}${source}`,
+        token,
+        layer   : layerOf(token),
+        line,
+      });
+    } else {
+      warnings.push({
+        rule,
+        message : `Mixed units: ${token} uses ${unit} in the ${scale}-* scale`,
+        detail  : `${at(line)} — the rest of the scale uses ${scaleUnit}`,
+        token,
+        layer   : layerOf(token),
+        line,
+      });
+    }
+  }
+
+  // Rule 16 — Deprecations
+  for (const { rule, token, entry, kind, property, defined, file, line } of deprecationViolations) {
+    const use = entry.replacement ? `use ${entry.replacement}` : 'no replacement';
+    if (rule === 'deprecation-replacement') {
+      errors.push({
+        rule,
+        message : `Deprecation replacement: ${entry.replacement} is not defined`,
+        detail  : `${toArtifactUri(DEPRECATIONS_FILE)} — listed as the replacement for ${token}`,
+        token,
+        layer   : null,
+        file    : toArtifactUri(DEPRECATIONS_FILE),
+        line    : null,
+      });
+      continue;
+    }
+
+    const where   = file ? `${toArtifactUri(file)}:${line}` : at(line);
+    const subject = defined ? `defined in ${kind}` : `used in ${kind} ${property}`;
+    const reason  = entry.reason ? `\n     reason: ${entry.reason}` : '';
+    const finding = {
+      rule,
+      message : `${rule === 'deprecated-token' ? 'Deprecated' : 'Removed'} token: ${token} ${subject}`,
+      detail  : rule === 'deprecated-token'
+        ? `${where} — deprecated since ${entry.deprecatedSince}, removed in ${entry.removeIn}; ${use}${reason}`
+        : `${where} — removed in ${entry.removeIn} (package version ${version}); ${use}${reason}`,
+      token,
+      layer   : file ? null : layerOf(token),
+      line,
+    };
+    if (file) finding.file = toArtifactUri(file);
+    (rule === 'deprecated-token' ? warnings : errors).push(finding);
+  }
+
+  // Rule 17 — Raw literals
+  for (const { rule, kind, literals, property, selector, line, layer, context } of literalViolations) {
+    (rule === 'raw-color-literal' ? errors : warnings).push({
+      rule,
+      message : `Raw ${kind}: ${literals.join(', ')} in ${selector} { ${property} }`,
+      detail  : `${at(line)} — @layer ${topLayer(layer)} values must come from a token via var()\n     context: ${context}`,
+      key     : `${rule}|${kind} in ${selector} { ${property} }`,
+      token   : property.startsWith('--') ? property : null,
+      layer,
+      line,
     });
   }
 
   // Rule 4 — Orphan tokens (warnings)
   for (const name of orphans) {
     warnings.push({
+      rule    : 'orphan-token',
       message : `Orphan token: ${name}`,
-      detail  : `Defined but not referenced by any token or CSS rule`,
+      detail  : `${at(tokenDefs.get(name).line)} — defined but not referenced by any token or CSS rule`,
+      token   : name,
+      layer   : layerOf(name),
+      line    : tokenDefs.get(name).line,
     });
   }
 
   // Rule 5 — Unused semantic tokens (warnings)
   for (const name of unusedSemantics) {
     warnings.push({
+      rule    : 'unused-semantic',
       message : `Unused semantic: ${name}`,
-      detail  : `Not consumed by any component token or CSS rule`,
+      detail  : `${at(tokenDefs.get(name).line)} — not consumed by any component token or CSS rule`,
+      token   : name,
+      layer   : layerOf(name),
+      line    : tokenDefs.get(name).line,
     });
   }
 
-  // ── f) Print report ─────────────────────────────────────────────────────
-  printReport({
-    cssFile,
-    tokenCount     : tokenDefs.size,
-    ruleUsageCount : ruleUsages.size,
-    noCycles       : cycles.length === 0,
-    errors,
-    warnings,
+  // Custom rules (ds-validate.config.js)
+  const context = buildRuleContext({
+    parsed : { tokenDefs, themeOverrides, ruleUsages, usageLines, ast },
+    graph,
+    components,
+    registryRows,
   });
+  for (const rule of config.customRules) {
+    let found;
+    try {
+      found = runCustomRule(rule, context);
+    } catch (err) {
+      throw new Error(`${toArtifactUri(config.file)}: ${err.message}`);
+    }
+    for (const { message, detail, token, line, layer } of found) {
+      const where = line ? at(line) : null;
+      (rule.severity === 'error' ? errors : warnings).push({
+        rule    : rule.id,
+        message,
+        detail  : where && detail ? `${where} — ${detail}` : where || detail || null,
+        token   : token || null,
+        layer   : layer || (token ? layerOf(token) : null),
+        line    : line || null,
+      });
+    }
+  }
+
+  // Severity overrides and disabled rules (ds-validate.config.js)
+  const configured = applyRuleConfig([...errors, ...warnings], config.overrides);
+
+  // ── f) Inline suppressions, then the baseline (warnings only) ──────────
+  const inline = applySuppressions([...configured.errors, ...configured.warnings], suppressions);
+  const active = new Set(inline.kept);
+
+  const activeErrors   = configured.errors.filter(f => active.has(f));
+  const activeWarnings = configured.warnings.filter(f => active.has(f));
+
+  for (const { rule, suppression, problem } of inline.problems) {
+    activeWarnings.push({
+      rule,
+      message : `Suppression ${rule === 'unused-suppression' ? 'unused' : 'invalid'}: ds-validate-ignore ${suppression.rules.join(', ')}`,
+      detail  : `${at(suppression.line)} — ${problem}`,
+      token   : null,
+      layer   : null,
+      line    : suppression.line,
+    });
+  }
+
+  if (updateBaseline) {
+    try {
+      writeBaseline(BASELINE_FILE, activeWarnings);
+    } catch (err) {
+      throw new Error(`Could not write baseline: ${err.message}`);
+    }
+    log(`[prebuild] Baseline updated: ${toArtifactUri(BASELINE_FILE)} (${activeWarnings.length} warning(s) accepted)`);
+  }
+
+  let baseline;
+  try {
+    baseline = useBaseline ? loadBaseline(BASELINE_FILE) : new Set();
+  } catch (err) {
+    throw new Error(`Could not read baseline: ${err.message}`);
+  }
+  const { kept: newWarnings, baselined, stale } = applyBaseline(activeWarnings, baseline);
+
+  const suppressed = [
+    ...inline.suppressed.map(({ finding, reason }) => ({ finding, kind: 'inSource', reason })),
+    ...baselined.map(finding => ({ finding, kind: 'external', reason: 'accepted in the baseline' })),
+  ];
+
+  // ── g) Resolve finding locations ────────────────────────────────────────
+  // Every finding names the file it points into; in source mode the compiled
+  // line is replaced by the SCSS line it came from.
+  for (const finding of [...activeErrors, ...activeWarnings, ...suppressed.map(s => s.finding)]) {
+    if (finding.file) continue;   // already points outside the CSS (rule 11)
+    const origin = finding.line && lookup ? lookup(finding.line) : null;
+    finding.file = origin ? origin.file : toArtifactUri(cssFile);
+    if (origin) finding.line = origin.line;
+  }
+
+  return {
+    results: {
+      cssFile,
+      tokenCount     : tokenDefs.size,
+      ruleUsageCount : ruleUsages.size,
+      noCycles       : cycles.length === 0 || config.overrides.get('circular-dependency') === 'off',
+      errors         : activeErrors,
+      warnings       : newWarnings,
+      suppressed,
+      staleBaseline  : stale,
+    },
+    health: {
+      cssFile,
+      version,
+      tokenDefs,
+      themes          : contrastThemes,
+      orphans,
+      unusedSemantics,
+      components,
+      registered      : new Set(registryRows.map(row => row.component)),
+      isAlias,
+      errors          : activeErrors,
+      warnings        : newWarnings,
+      suppressed,
+    },
+    // Inputs of the next incremental run (watch mode)
+    state: {
+      impact   : impact && { changed: impact.changed.size, affected: impact.affected.size },
+      tokenDefs,
+      themeOverrides,
+      tier     : tierViolations,
+      naming   : rawNamingViolations,
+      types    : typeViolations.filter(v => v.rule === 'value-type'),
+      contrast : contrastViolations,
+    },
+  };
+}
+
+function main() {
+  const {
+    format, cssFile: explicitFile, source, themeFiles, updateBaseline, baseline: useBaseline, fix, dryRun,
+    report, reportFile, configFile, watch,
+  } = parseArgs(process.argv);
+
+  // Progress messages must not pollute a machine-readable stdout document.
+  const log = format === 'text' ? console.log : console.error;
+
+  // ── a0) Project config: custom rules join the catalogue before anything
+  //        reads it (suppressions, sarif, reports) ────────────────────────────
+  let config;
+  try {
+    config = loadValidateConfig(configFile, Object.keys(RULES));
+  } catch (err) {
+    console.error(`[prebuild] ERROR: Could not load ${toArtifactUri(configFile)}: ${err.message}`);
+    process.exit(1);
+  }
+  for (const { id, severity, description } of config.customRules) {
+    RULES[id] = { severity, description };
+  }
+  for (const [id, severity] of config.overrides) {
+    if (severity !== 'off') RULES[id] = { ...RULES[id], severity };
+  }
+  if (config.file) {
+    const off = [...config.overrides.values()].filter(severity => severity === 'off').length;
+    log(`[prebuild] Config: ${toArtifactUri(config.file)} — ${config.customRules.length} custom rule(s), ` +
+        `${config.overrides.size - off} severity override(s), ${off} rule(s) off`);
+  }
+
+  // ── a) Resolve what to validate: a CSS build, or the SCSS sources ───────
+  let cssFile = source ? (explicitFile || SCSS_ENTRY) : resolveCSSFile(explicitFile);
+  let compileSCSS = source;
+
+  if (!cssFile) {
+    log('');
+    log('[prebuild] No compiled CSS found. Checked:');
+    CSS_CANDIDATES.forEach(c => log(`           ${path.relative(process.cwd(), c)}`));
+    log('[prebuild] Falling back to the SCSS sources.');
+    cssFile     = SCSS_ENTRY;
+    compileSCSS = true;
+  }
+
+  if (watch) {
+    watchSources({ cssFile, themeFiles, config, useBaseline, report, reportFile });
+    return;
+  }
+
+  // ── b) Read (or compile) and parse ──────────────────────────────────────
+  let css;
+  let lookup = null;
+  if (compileSCSS) {
+    log(`[prebuild] Validating token chain in: ${path.relative(process.cwd(), cssFile)} (compiled in memory)`);
+    try {
+      ({ css, lookup } = compileSources(cssFile));
+    } catch (err) {
+      console.error(`[prebuild] ERROR: Could not compile SCSS sources: ${err.message}`);
+      process.exit(1);
+    }
+  } else {
+    log(`[prebuild] Validating token chain in: ${path.relative(process.cwd(), cssFile)}`);
+    try {
+      css = fs.readFileSync(cssFile, 'utf8');
+    } catch (err) {
+      console.error(`[prebuild] ERROR: Could not read CSS file: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  // ── b2) --fix: rewrite the sources, then validate the rewritten build ────
+  if (fix) {
+    const before   = parseCSS(css);
+    const plan     = planFixes(before.primInRules, findTierViolations(before.tokenDefs), before.tokenDefs, lookup);
+    const result   = applyFixes(plan.edits, !dryRun);
+    printFixes(result, [...plan.unresolved, ...result.unresolved], dryRun, log);
+
+    if (result.changed.length > 0 && !dryRun) {
+      try {
+        ({ css, lookup } = compileSources(cssFile));
+      } catch (err) {
+        console.error(`[prebuild] ERROR: Could not compile the fixed SCSS sources: ${err.message}`);
+        process.exit(1);
+      }
+    }
+  }
+
+  // ── c–g) Validate ───────────────────────────────────────────────────────
+  let run;
+  try {
+    run = validateCSS({ css, lookup, cssFile, themeFiles, config, updateBaseline, useBaseline, log });
+  } catch (err) {
+    console.error(`[prebuild] ERROR: ${err.message}`);
+    process.exit(1);
+  }
+
+  // ── h) Print report ─────────────────────────────────────────────────────
+  emitReport(format, run.results);
+
+  // ── h2) Write the --report html page ────────────────────────────────────
+  let reportFailed = false;
+  if (report === 'html') {
+    try {
+      writeHealthReport(reportFile, run.health, log);
+    } catch (err) {
+      console.error(`[prebuild] ERROR: ${err.message}`);
+      reportFailed = true;
+    }
+  }
 
-  // ── g) Exit with correct code ────────────────────────────────────────────
-  process.exit(errors.length > 0 ? 1 : 0);
+  // ── i) Exit with correct code ────────────────────────────────────────────
+  // exitCode, not exit(): a piped stdout is written asynchronously and
+  // process.exit() would cut a long JSON / SARIF document short
+  process.exitCode = run.results.errors.length > 0 || reportFailed ? 1 : 0;
 }
 
 main();